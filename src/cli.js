@@ -0,0 +1,205 @@
+/**
+ * Command-line entry point for scrape runs
+ *
+ *   node src/cli.js [--venue <slug>]... [--retry-failed] [--dry-run] [--no-cache]
+ *                   [--max-stale-days <n>] [--output <dir>] [--format table|json]
+ *                   [--fail-on degraded|broken]
+ *
+ * Without --venue or --retry-failed every enabled venue is scraped and the
+ * output files are replaced; otherwise the results are merged into them.
+ */
+
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { scrapeSites } from './scraper.js';
+import { DEFAULT_OUTPUT_DIR } from './utils/scrape-output.js';
+import { isAtLeast } from './utils/venue-health.js';
+import { DEFAULT_MAX_STALE_DAYS } from './utils/last-known-good.js';
+import { getLondonDateKey, getLondonParts } from './utils/london-time.js';
+
+const FORMATS = ['table', 'json'];
+const FAIL_LEVELS = ['degraded', 'broken'];
+
+const USAGE = `Usage: node src/cli.js [options]
+
+Options:
+  -v, --venue <slug>   Only scrape this venue (repeatable)
+      --retry-failed   Only scrape venues marked "error" in scrape-stats.json
+      --dry-run        Print results without writing any files
+      --no-cache       Scrape every venue even if its pages haven't changed, and re-read event pages
+      --max-stale-days <n>
+                       Keep a failing venue's last good events this long (default: ${DEFAULT_MAX_STALE_DAYS})
+  -o, --output <dir>   Directory for events.json and scrape logs (default: ${DEFAULT_OUTPUT_DIR})
+  -f, --format <fmt>   Result format: table or json (default: table)
+      --fail-on <lvl>  Exit with code 2 if any venue is degraded or broken (or worse)
+  -h, --help           Show this help`;
+
+/**
+ * Turn argv into scrapeSites() options
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Options, plus `format` and `help`
+ * @throws {Error} For unknown options, an unsupported format or a bad --max-stale-days
+ */
+const parseCliArgs = (argv) => {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      venue: { type: 'string', short: 'v', multiple: true },
+      'retry-failed': { type: 'boolean' },
+      'dry-run': { type: 'boolean' },
+      'no-cache': { type: 'boolean' },
+      'max-stale-days': { type: 'string' },
+      output: { type: 'string', short: 'o' },
+      format: { type: 'string', short: 'f' },
+      'fail-on': { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  const format = values.format || 'table';
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format "${format}" (expected ${FORMATS.join(' or ')})`);
+  }
+
+  const failOn = values['fail-on'] || null;
+  if (failOn && !FAIL_LEVELS.includes(failOn)) {
+    throw new Error(`Unknown --fail-on level "${failOn}" (expected ${FAIL_LEVELS.join(' or ')})`);
+  }
+
+  const maxStaleDays = values['max-stale-days'] === undefined ? DEFAULT_MAX_STALE_DAYS : Number(values['max-stale-days']);
+  if (!Number.isFinite(maxStaleDays) || maxStaleDays < 0) {
+    throw new Error(`Invalid --max-stale-days "${values['max-stale-days']}" (expected a number of days)`);
+  }
+
+  return {
+    venues: values.venue || [],
+    retryFailed: Boolean(values['retry-failed']),
+    dryRun: Boolean(values['dry-run']),
+    cache: !values['no-cache'],
+    maxStaleDays,
+    outputDir: values.output || DEFAULT_OUTPUT_DIR,
+    format,
+    failOn,
+    help: Boolean(values.help)
+  };
+};
+
+const formatFallback = (fallback) => (fallback.expired
+  ? `last good events expired (${fallback.ageHours}h old)`
+  : `showing ${fallback.events} events from ${fallback.ageHours}h ago`);
+
+// Brighton wall-clock time, e.g. "2025-11-27 19:30"
+const formatDate = (event) => {
+  if (!event.dateUnix) return event.date || '-';
+  const { hour, minute } = getLondonParts(event.dateUnix);
+  return `${getLondonDateKey(event.dateUnix)} ${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+/**
+ * Render rows as a fixed-width text table
+ */
+const renderTable = (columns, rows) => {
+  const widths = columns.map(column => Math.max(
+    column.label.length,
+    ...rows.map(row => String(row[column.key] ?? '').length)
+  ));
+  const line = (cells) => cells.map((cell, i) => String(cell ?? '').padEnd(widths[i])).join('  ').trimEnd();
+
+  return [
+    line(columns.map(column => column.label)),
+    line(widths.map(width => '-'.repeat(width))),
+    ...rows.map(row => line(columns.map(column => row[column.key])))
+  ].join('\n');
+};
+
+/**
+ * Per-venue summary followed by the events this run found
+ */
+const formatTable = ({ events, stats }) => {
+  const venueRows = (stats.run?.venues || []).map(name => ({
+    venue: name,
+    status: stats.venues[name]?.status || '-',
+    events: stats.venues[name]?.events ?? 0,
+    health: stats.venues[name]?.health?.status || '-',
+    detail: [
+      stats.venues[name]?.error || stats.venues[name]?.health?.reasons?.join('; '),
+      stats.venues[name]?.fallback && formatFallback(stats.venues[name].fallback)
+    ].filter(Boolean).join(' - ')
+  }));
+
+  const eventRows = events.map(event => ({
+    date: formatDate(event),
+    venue: event.venue,
+    title: event.title
+  }));
+
+  return [
+    renderTable([
+      { key: 'venue', label: 'Venue' },
+      { key: 'status', label: 'Status' },
+      { key: 'events', label: 'Events' },
+      { key: 'health', label: 'Health' },
+      { key: 'detail', label: 'Problem' }
+    ], venueRows),
+    '',
+    renderTable([
+      { key: 'date', label: 'Date' },
+      { key: 'venue', label: 'Venue' },
+      { key: 'title', label: 'Title' }
+    ], eventRows)
+  ].join('\n');
+};
+
+const formatJson = ({ events, stats }) => JSON.stringify({
+  venues: Object.fromEntries((stats.run?.venues || []).map(name => [name, stats.venues[name]])),
+  events
+}, null, 2);
+
+/**
+ * Venues from this run whose health is at least the given level
+ */
+const getFlaggedVenues = ({ stats }, level) => (stats.run?.venues || [])
+  .filter(name => isAtLeast(stats.venues[name]?.health?.status, level));
+
+const main = async (argv = process.argv.slice(2)) => {
+  let options;
+  try {
+    options = parseCliArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  // Keep stdout clean for the JSON result; progress logging goes to stderr
+  const json = options.format === 'json';
+
+  try {
+    const result = await scrapeSites({ ...options, log: json ? console.error : console.log });
+    if (json) {
+      process.stdout.write(`${formatJson(result)}\n`);
+    } else {
+      console.log(`\n${formatTable(result)}`);
+    }
+
+    const flagged = options.failOn ? getFlaggedVenues(result, options.failOn) : [];
+    if (flagged.length > 0) {
+      console.error(`Venues ${options.failOn} or worse: ${flagged.join(', ')}`);
+      return 2;
+    }
+    return 0;
+  } catch (error) {
+    console.error(`Scrape failed: ${error.message}`);
+    return 1;
+  }
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  process.exitCode = await main();
+}
+
+export { parseCliArgs, formatTable, formatJson, getFlaggedVenues, main };
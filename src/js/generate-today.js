@@ -1,22 +1,32 @@
 import fs from 'fs/promises';
+import { getLondonDayRange } from '../utils/london-time.js';
+
+// Doors / start / end times from listings and event pages, e.g. " · doors 19:00, on 20:00, until late"
+const formatTimes = (event) => {
+    const times = [
+        event.doorsTime && `doors ${event.doorsTime}`,
+        event.startTime && `on ${event.startTime}`,
+        event.endTime && `until ${event.endTime}`
+    ].filter(Boolean);
+    return times.length > 0 ? ` · ${times.join(', ')}` : '';
+};
 
 const generateTodayPage = async () => {
     // Load events
     const eventsJson = await fs.readFile('./data/events.json', 'utf-8');
     const events = JSON.parse(eventsJson);
 
-    // Get today's date range in UTC
+    // Get today's date range in Brighton (the runner is on UTC)
     const now = new Date();
-    const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 0, 0, 0).getTime();
-    const endOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 23, 59, 59, 999).getTime();
+    const { start: startOfDay, end: endOfDay } = getLondonDayRange(now.getTime());
 
-    // Filter to today's events only
+    // Filter to today's events only, including multi-day events that span today
     const todayEvents = events.filter(event =>
-        event.dateUnix >= startOfDay && event.dateUnix <= endOfDay
+        event.dateUnix <= endOfDay && (event.endDateUnix ?? event.dateUnix) >= startOfDay
     );
 
     // Format the date nicely
-    const dateOptions = { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' };
+    const dateOptions = { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Europe/London' };
     const dateString = now.toLocaleDateString('en-GB', dateOptions);
 
     // Build plain text content
@@ -25,27 +35,25 @@ const generateTodayPage = async () => {
     if (todayEvents.length === 0) {
         plainText += 'No gigs listed today.\n';
     } else {
-        // Sort by venue name for clean grouping, dedupe by venue+title
-        // (some venues list the same gig under multiple ticket links)
+        // Group by venue; duplicate listings are already merged by the scraper
         const byVenue = {};
-        const seen = new Set();
         todayEvents.forEach(event => {
             // Strip any HTML tags from title
             const cleanTitle = event.title.replace(/<[^>]*>/g, '').trim();
-            const key = `${event.venue}::${cleanTitle}`;
-            if (seen.has(key)) return;
-            seen.add(key);
 
             if (!byVenue[event.venue]) {
                 byVenue[event.venue] = [];
             }
-            byVenue[event.venue].push(cleanTitle);
+            byVenue[event.venue].push({ title: cleanTitle, event });
         });
 
-        Object.entries(byVenue).forEach(([venue, titles]) => {
-            titles.forEach(title => {
+        Object.entries(byVenue).forEach(([venue, entries]) => {
+            entries.forEach(({ title, event }) => {
                 plainText += `${title}\n`;
-                plainText += `${venue}\n`;
+                if (event.support) {
+                    plainText += `+ ${event.support}\n`;
+                }
+                plainText += `${venue}${formatTimes(event)}\n`;
                 plainText += '\n';
             });
         });
@@ -5,6 +5,15 @@
 
 import { createFilterDebouncer } from '../utils/debounce.js';
 import { sanitizeEvents, escapeHtml } from '../utils/sanitizer.js';
+import { getLondonDateKey, getLondonParts } from '../utils/london-time.js';
+import { minutesOfDay } from '../utils/event-times.js';
+
+// Start-time filter bands, in minutes after midnight; shows starting after midnight count as late
+const TIME_BANDS = {
+    early: time => time >= 6 * 60 && time < 19 * 60,
+    evening: time => time >= 19 * 60 && time < 22 * 60,
+    late: time => time >= 22 * 60 || time < 6 * 60
+};
 
 /**
  * Main Application Class - Manages all frontend state and interactions
@@ -20,8 +29,10 @@ class BrightonGigsApp {
             filters: {
                 venue: '',
                 dateFrom: '',
-                dateTo: ''
+                dateTo: '',
+                time: ''
             },
+            sort: 'date',
             ui: {
                 hasInitialized: false,
                 lastFilterTime: 0,
@@ -66,7 +77,7 @@ class BrightonGigsApp {
      */
     cacheElements() {
         const elementIds = [
-            'events-list', 'venue-filter', 'date-from', 'date-to', 'clear-filters'
+            'events-list', 'venue-filter', 'date-from', 'date-to', 'time-filter', 'sort-order', 'clear-filters'
         ];
         
         elementIds.forEach(id => {
@@ -84,7 +95,7 @@ class BrightonGigsApp {
      */
     attachEventListeners() {
         // Filter change listeners with debouncing
-        ['venue-filter', 'date-from', 'date-to'].forEach(filterId => {
+        ['venue-filter', 'date-from', 'date-to', 'time-filter', 'sort-order'].forEach(filterId => {
             this.elements[filterId].addEventListener('change', (event) => {
                 this.wrapWithErrorBoundary(() => {
                     this.handleFilterChange(event);
@@ -180,11 +191,10 @@ class BrightonGigsApp {
     }
     
     /**
-     * Format Unix timestamp for date input
+     * Format Unix timestamp for date input (the Brighton calendar day)
      */
     formatDateForInput(unixTimestamp) {
-        const date = new Date(unixTimestamp);
-        return date.toISOString().split('T')[0];
+        return getLondonDateKey(unixTimestamp);
     }
     
     /**
@@ -193,7 +203,7 @@ class BrightonGigsApp {
     getDateRange(events) {
         if (!events.length) return { min: Date.now(), max: Date.now() };
         
-        const dates = events.map(event => event.dateUnix);
+        const dates = events.flatMap(event => (event.endDateUnix ? [event.dateUnix, event.endDateUnix] : [event.dateUnix]));
         return {
             min: Math.min(...dates),
             max: Math.max(...dates)
@@ -225,24 +235,32 @@ class BrightonGigsApp {
                 return false;
             }
             
+            // Date filters compare Brighton calendar days ("YYYY-MM-DD"), inclusive;
+            // multi-day events match on any day they span
+            const firstDay = getLondonDateKey(event.dateUnix);
+            const lastDay = event.endDateUnix ? getLondonDateKey(event.endDateUnix) : firstDay;
+
             // Date from filter
-            if (this.state.filters.dateFrom) {
-                const fromDate = new Date(this.state.filters.dateFrom).getTime();
-                if (event.dateUnix < fromDate) {
-                    return false;
-                }
+            if (this.state.filters.dateFrom && lastDay < this.state.filters.dateFrom) {
+                return false;
             }
             
-            // Date to filter (end of selected day)
-            if (this.state.filters.dateTo) {
-                const toDate = new Date(this.state.filters.dateTo).getTime() + (24 * 60 * 60 * 1000) - 1;
-                if (event.dateUnix > toDate) {
+            // Date to filter (whole of the selected day)
+            if (this.state.filters.dateTo && firstDay > this.state.filters.dateTo) {
+                return false;
+            }
+
+            // Start time filter; events without a known start time only show for "Any Time"
+            if (this.state.filters.time) {
+                const start = minutesOfDay(event.startTime);
+                if (start === null || !TIME_BANDS[this.state.filters.time](start)) {
                     return false;
                 }
             }
             
             return true;
         });
+        this.sortEvents(this.state.filteredEvents);
         
         // Track performance
         const filterTime = performance.now() - startTime;
@@ -251,6 +269,19 @@ class BrightonGigsApp {
         this.displayEvents(this.state.filteredEvents);
     }
     
+    /**
+     * Sort in place: by date (the default), or by start time of day and then date,
+     * with events whose start time isn't known last
+     */
+    sortEvents(events) {
+        if (this.state.sort !== 'time') {
+            return events.sort((a, b) => a.dateUnix - b.dateUnix);
+        }
+
+        const startOf = event => minutesOfDay(event.startTime) ?? Infinity;
+        return events.sort((a, b) => (startOf(a) - startOf(b)) || (a.dateUnix - b.dateUnix));
+    }
+
     /**
      * Track filter performance for optimization
      */
@@ -333,7 +364,13 @@ class BrightonGigsApp {
         // Date element
         const dateDiv = document.createElement('div');
         dateDiv.className = 'event-date';
-        dateDiv.textContent = this.formatDate(event.dateUnix);
+        if (event.endDateUnix) {
+            dateDiv.textContent = `${this.formatDate(event.dateUnix)} – ${this.formatDate(event.endDateUnix)}`;
+        } else {
+            dateDiv.textContent = event.hasTime
+                ? `${this.formatDate(event.dateUnix)} · ${this.formatTime(event.dateUnix)}`
+                : this.formatDate(event.dateUnix);
+        }
         
         // Title element with link
         const titleH2 = document.createElement('h2');
@@ -358,27 +395,75 @@ class BrightonGigsApp {
         article.appendChild(dateDiv);
         article.appendChild(titleH2);
         article.appendChild(venueDiv);
+
+        // Times, lineup and price from the event's own page, when the scraper found them
+        const details = this.formatEventDetails(event);
+        if (details) {
+            const detailsDiv = document.createElement('div');
+            detailsDiv.className = 'event-details';
+            detailsDiv.innerHTML = details; // Already sanitized
+            article.appendChild(detailsDiv);
+        }
+
+        // Other ticket links for a gig listed by more than one source
+        const otherLinks = (event.links || []).filter(href => href !== event.link);
+        if (otherLinks.length > 0) {
+            const linksDiv = document.createElement('div');
+            linksDiv.className = 'event-links';
+            linksDiv.append('Also at: ');
+            otherLinks.forEach((href, index) => {
+                const link = document.createElement('a');
+                link.href = href;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                link.textContent = new URL(href).hostname.replace(/^www\./, '');
+                if (index > 0) linksDiv.append(' · ');
+                linksDiv.appendChild(link);
+            });
+            article.appendChild(linksDiv);
+        }
         
         return article;
     }
+
+    /**
+     * One-line summary of an event's detail fields, e.g. "Doors 19:00 · Support: X · £12"
+     */
+    formatEventDetails(event) {
+        return [
+            event.doorsTime && `Doors ${event.doorsTime}`,
+            event.startTime && `Starts ${event.startTime}`,
+            event.endTime && `Until ${event.endTime}`,
+            event.support && `Support: ${event.support}`,
+            event.price,
+            event.ageLimit
+        ].filter(Boolean).join(' · ');
+    }
     
     /**
      * Date formatting function - Swiss style
      */
     formatDate(unixTimestamp) {
-        const date = new Date(unixTimestamp);
-        const day = date.getDate();
+        const { day, month: monthIndex, year } = getLondonParts(unixTimestamp);
         const months = [
             'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
             'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'
         ];
-        const month = months[date.getMonth()];
-        const year = date.getFullYear();
+        const month = months[monthIndex];
         
         // Swiss style: abbreviated, uppercase
         return `${day} ${month} ${year}`.toUpperCase();
     }
 
+    /**
+     * Time in Brighton, e.g. "7:30PM"; only shown for events whose listing gave one
+     */
+    formatTime(unixTimestamp) {
+        const { hour, minute } = getLondonParts(unixTimestamp);
+        const meridiem = hour < 12 ? 'AM' : 'PM';
+        return `${hour % 12 || 12}:${String(minute).padStart(2, '0')}${meridiem}`;
+    }
+
     /**
      * Clear all filters and reset state
      */
@@ -387,19 +472,23 @@ class BrightonGigsApp {
         this.state.filters = {
             venue: '',
             dateFrom: '',
-            dateTo: ''
+            dateTo: '',
+            time: ''
         };
+        this.state.sort = 'date';
         
         // Reset UI elements
         this.elements['venue-filter'].value = '';
         this.elements['date-from'].value = '';
         this.elements['date-to'].value = '';
+        this.elements['time-filter'].value = '';
+        this.elements['sort-order'].value = 'date';
         
         // Cancel any pending debounced filters
         this.debouncedFilter.cancel();
         
         // Reset filtered events and display
-        this.state.filteredEvents = [...this.state.allEvents];
+        this.state.filteredEvents = this.sortEvents([...this.state.allEvents]);
         this.displayEvents(this.state.filteredEvents);
         
         console.log('✓ Filters cleared');
@@ -422,6 +511,12 @@ class BrightonGigsApp {
             case 'date-to':
                 this.state.filters.dateTo = value;
                 break;
+            case 'time-filter':
+                this.state.filters.time = value;
+                break;
+            case 'sort-order':
+                this.state.sort = value;
+                break;
         }
         
         // Apply debounced filtering
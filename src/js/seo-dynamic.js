@@ -14,13 +14,18 @@ class DynamicSEO {
             weekday: 'long', 
             day: 'numeric', 
             month: 'long', 
-            year: 'numeric' 
+            year: 'numeric',
+            timeZone: 'Europe/London'
         };
         return this.currentDate.toLocaleDateString('en-GB', options);
     }
 
     isTonight() {
-        const currentHour = this.currentDate.getHours();
+        const currentHour = Number(new Intl.DateTimeFormat('en-GB', {
+            hour: 'numeric',
+            hourCycle: 'h23',
+            timeZone: 'Europe/London'
+        }).format(this.currentDate));
         return currentHour >= 16; // After 4 PM consider it "tonight"
     }
 
@@ -1,13 +1,14 @@
 // Dynamic Sitemap Generator
-// Generates sitemap.xml based on events.json data structure
+// Generates sitemap.xml from the venue registry (data/venues.json) and events.json
 
 const fs = require('fs');
 const path = require('path');
 
 class SitemapGenerator {
-    constructor(eventsDataPath, outputPath) {
+    constructor(eventsDataPath, outputPath, venuesDataPath) {
         this.eventsDataPath = eventsDataPath;
         this.outputPath = outputPath;
+        this.venuesDataPath = venuesDataPath || path.join(path.dirname(eventsDataPath), 'venues.json');
         this.baseUrl = 'https://brightongigs.uk';
         this.currentDate = new Date().toISOString();
     }
@@ -22,49 +23,14 @@ class SitemapGenerator {
         }
     }
 
-    getVenueStats(events) {
-        const venueStats = {};
-        
-        events.forEach(event => {
-            if (!venueStats[event.venue]) {
-                venueStats[event.venue] = {
-                    count: 0,
-                    lastUpdate: 0
-                };
-            }
-            venueStats[event.venue].count++;
-            venueStats[event.venue].lastUpdate = Math.max(
-                venueStats[event.venue].lastUpdate, 
-                event.dateUnix || 0
-            );
-        });
-
-        return venueStats;
-    }
-
-    getVenueSlug(venueName) {
-        // Handle specific venue mappings first
-        const venueMap = {
-            'Hope & Ruin': 'hope-and-ruin',
-            'Concorde 2': 'concorde-2',
-            'Green Door Store': 'green-door-store',
-            'Folklore Rooms': 'folklore-rooms',
-            'Prince Albert': 'prince-albert',
-            'The Rose Hill': 'the-rose-hill',
-            'Brighton Dome': 'brighton-dome',
-            'Rossi Bar': 'rossi-bar'
-        };
-
-        if (venueMap[venueName]) {
-            return venueMap[venueName];
+    loadVenueRegistry() {
+        try {
+            const data = fs.readFileSync(this.venuesDataPath, 'utf8');
+            return JSON.parse(data).filter(venue => venue.enabled !== false);
+        } catch (error) {
+            console.error('Error loading venue registry:', error);
+            return [];
         }
-
-        return venueName
-            .toLowerCase()
-            .replace(/\s+/g, '-')
-            .replace(/[^a-z0-9-]/g, '')
-            .replace(/--+/g, '-')
-            .replace(/^-+|-+$/g, '');
     }
 
     generateStaticUrls() {
@@ -93,14 +59,13 @@ class SitemapGenerator {
         ];
     }
 
-    generateVenueUrls(venueStats) {
+    generateVenueUrls(venues) {
         const urls = [];
 
-        // Main venue pages for all venues
-        Object.keys(venueStats).forEach(venue => {
-            const slug = this.getVenueSlug(venue);
+        // One page per enabled venue in the registry
+        venues.forEach(venue => {
             urls.push({
-                loc: `${this.baseUrl}/venues/${slug}/`,
+                loc: `${this.baseUrl}/venues/${venue.slug}/`,
                 lastmod: this.currentDate,
                 changefreq: 'daily',
                 priority: '0.9',
@@ -139,12 +104,12 @@ class SitemapGenerator {
 
     generateSitemap() {
         const events = this.loadEventsData();
-        const venueStats = this.getVenueStats(events);
+        const venues = this.loadVenueRegistry();
         
         // Combine all URLs
         const allUrls = [
             ...this.generateStaticUrls(),
-            ...this.generateVenueUrls(venueStats),
+            ...this.generateVenueUrls(venues),
             ...this.generateEventUrls()
         ];
 
@@ -168,7 +133,7 @@ class SitemapGenerator {
             fs.writeFileSync(this.outputPath, completeXml);
             console.log(`✅ Sitemap generated successfully: ${this.outputPath}`);
             console.log(`📊 Total URLs: ${allUrls.length}`);
-            console.log(`🏠 Venue pages: ${Object.keys(venueStats).length}`);
+            console.log(`🏠 Venue pages: ${venues.length}`);
             console.log(`🎵 Total events: ${events.length}`);
         } catch (error) {
             console.error('❌ Error writing sitemap:', error);
@@ -180,6 +145,7 @@ class SitemapGenerator {
         console.log('🚀 Starting sitemap generation...');
         console.log(`📍 Base URL: ${this.baseUrl}`);
         console.log(`📁 Events data: ${this.eventsDataPath}`);
+        console.log(`📋 Venue registry: ${this.venuesDataPath}`);
         console.log(`💾 Output: ${this.outputPath}`);
         console.log('---');
         
@@ -9,41 +9,115 @@ if (typeof window !== 'undefined') {
     document.head.appendChild(script);
 }
 
+// Gigs are dated by the calendar in Brighton, whatever the visitor's timezone
+// (this page isn't a module, so it can't share utils/london-time.js)
+const LONDON_DATE = new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'Europe/London',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+});
+
+// Brighton calendar day, e.g. "2025-11-27"
+const getLondonDateKey = (unixTimestamp) => LONDON_DATE.format(new Date(unixTimestamp));
+
+const LONDON_TIME = new Intl.DateTimeFormat('en-GB', {
+    timeZone: 'Europe/London',
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true
+});
+
+// Time in Brighton, e.g. "7:30PM"; only shown for events whose listing gave one
+const formatTime = (unixTimestamp) => LONDON_TIME.format(new Date(unixTimestamp)).replace(/\s/g, '').toUpperCase();
+
 // Date formatting function - Swiss style (reused from main script)
 const formatDate = (unixTimestamp) => {
-    const date = new Date(unixTimestamp);
-    const day = date.getDate();
+    const [year, monthNumber, day] = getLondonDateKey(unixTimestamp).split('-').map(Number);
     const months = [
         'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
         'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'
     ];
-    const month = months[date.getMonth()];
-    const year = date.getFullYear();
+    const month = months[monthNumber - 1];
     
     return `${day} ${month} ${year}`.toUpperCase();
 };
 
+// Start date, plus the time when the listing gave one or the last day of a multi-day event
+const formatEventDate = (event) => {
+    if (event.endDateUnix) return `${formatDate(event.dateUnix)} – ${formatDate(event.endDateUnix)}`;
+    return event.hasTime ? `${formatDate(event.dateUnix)} · ${formatTime(event.dateUnix)}` : formatDate(event.dateUnix);
+};
+
 let allEvents = [];
 let venueEvents = [];
 let filteredEvents = [];
 let currentVenue = '';
 
-// Get venue from data attribute
-const getCurrentVenue = () => {
-    const script = document.querySelector('script[data-venue]');
-    return script ? script.getAttribute('data-venue') : '';
+// Get venue slug from data attribute
+const getCurrentVenueSlug = () => {
+    const script = document.querySelector('script[data-venue-slug]');
+    return script ? script.getAttribute('data-venue-slug') : '';
 };
 
-// Filter functions
-const formatDateForInput = (unixTimestamp) => {
-    const date = new Date(unixTimestamp);
-    return date.toISOString().split('T')[0];
+// Load every venue from the shared registry (data/venues.json), paused ones included
+const loadVenueRegistry = async () => {
+    const response = await fetch('../data/venues.json');
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return response.json();
+};
+
+const isPaused = (venue) => venue.enabled === false;
+
+// Rebuild the venue navigation so paused or retired venues drop out
+const renderVenueNav = (venues, currentSlug) => {
+    const nav = document.querySelector('.venue-nav');
+    if (!nav || venues.length === 0) return;
+
+    const addSeparator = () => {
+        const separator = document.createElement('span');
+        separator.className = 'nav-separator';
+        separator.textContent = '|';
+        nav.appendChild(separator);
+    };
+
+    nav.innerHTML = '';
+    const allLink = document.createElement('a');
+    allLink.href = '../';
+    allLink.className = 'nav-link';
+    allLink.textContent = 'All Events';
+    nav.appendChild(allLink);
+
+    [...venues]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(venue => {
+            addSeparator();
+            if (venue.slug === currentSlug) {
+                const current = document.createElement('span');
+                current.className = 'nav-current';
+                current.textContent = venue.name;
+                nav.appendChild(current);
+                return;
+            }
+
+            const link = document.createElement('a');
+            link.href = `${venue.slug}.html`;
+            link.className = 'nav-link';
+            link.textContent = venue.name;
+            nav.appendChild(link);
+        });
 };
 
+// Filter functions
+const formatDateForInput = (unixTimestamp) => getLondonDateKey(unixTimestamp);
+
 const getDateRange = (events) => {
     if (!events.length) return { min: Date.now(), max: Date.now() };
     
-    const dates = events.map(event => event.dateUnix);
+    const dates = events.flatMap(event => (event.endDateUnix ? [event.dateUnix, event.endDateUnix] : [event.dateUnix]));
     return {
         min: Math.min(...dates),
         max: Math.max(...dates)
@@ -56,14 +130,16 @@ const filterEvents = () => {
 
     let filtered = [...venueEvents];
 
+    // Inputs give "YYYY-MM-DD", so compare Brighton calendar days as strings;
+    // multi-day events match on any day they span
+    const lastDay = (event) => getLondonDateKey(event.endDateUnix || event.dateUnix);
+
     if (dateFromFilter) {
-        const fromDate = new Date(dateFromFilter).getTime();
-        filtered = filtered.filter(event => event.dateUnix >= fromDate);
+        filtered = filtered.filter(event => lastDay(event) >= dateFromFilter);
     }
 
     if (dateToFilter) {
-        const toDate = new Date(dateToFilter).getTime() + (24 * 60 * 60 * 1000) - 1; // End of day
-        filtered = filtered.filter(event => event.dateUnix <= toDate);
+        filtered = filtered.filter(event => getLondonDateKey(event.dateUnix) <= dateToFilter); // Whole day
     }
 
     filteredEvents = filtered;
@@ -80,6 +156,19 @@ const clearFilters = () => {
     updateEventCount();
 };
 
+// A paused venue keeps its page, but says so instead of listing events
+const displayPaused = (venue) => {
+    const countElement = document.getElementById('event-count');
+    if (countElement) countElement.textContent = 'Listings paused';
+
+    document.getElementById('events-list').innerHTML = `
+        <div class="no-events" role="status">
+            <h3>${venue.name} listings are paused</h3>
+            <p>We're not collecting this venue's events at the moment. Check back soon, or browse all events.</p>
+        </div>
+    `;
+};
+
 const displayEvents = () => {
     const eventsContainer = document.getElementById('events-list');
     
@@ -97,7 +186,7 @@ const displayEvents = () => {
     
     eventsContainer.innerHTML = sortedEvents.map(event => `
         <article class="event-item" role="listitem">
-            <div class="event-date">${formatDate(event.dateUnix)}</div>
+            <div class="event-date">${formatEventDate(event)}</div>
             <h2 class="event-title">
                 <a href="${event.link}" target="_blank" rel="noopener noreferrer">
                     ${event.title}
@@ -155,7 +244,20 @@ const loadEvents = async () => {
         }
         
         allEvents = await response.json();
-        currentVenue = getCurrentVenue();
+
+        const venues = await loadVenueRegistry();
+        const currentSlug = getCurrentVenueSlug();
+        const venue = venues.find(entry => entry.slug === currentSlug);
+        if (!venue) {
+            throw new Error(`Unknown venue: ${currentSlug}`);
+        }
+        currentVenue = venue.name;
+        renderVenueNav(venues.filter(entry => !isPaused(entry)), currentSlug);
+
+        if (isPaused(venue)) {
+            displayPaused(venue);
+            return;
+        }
         
         // Filter events for current venue
         venueEvents = allEvents.filter(event => event.venue === currentVenue);
@@ -1,111 +1,83 @@
 import fs from 'fs/promises';
-import axios from 'axios';
+import { fileURLToPath } from 'url';
 import BaseScraper from './scrapers/BaseScraper.js';
+import JsonLdScraper from './scrapers/JsonLdScraper.js';
+import EventbriteScraper from './scrapers/EventbriteScraper.js';
+import SquarespaceScraper from './scrapers/SquarespaceScraper.js';
+import WeGotTicketsScraper from './scrapers/WeGotTicketsScraper.js';
+import TicketmasterScraper from './scrapers/TicketmasterScraper.js';
+import GigseekrScraper from './scrapers/GigseekrScraper.js';
+import GettixScraper from './scrapers/GettixScraper.js';
 import { validateEvents } from './utils/data-validator.js';
 import { globalRateLimiter } from './utils/rate-limiter.js';
+import { loadVenueRegistry, getEnabledVenues, createScrapers } from './utils/venue-registry.js';
+import { httpFixtures } from './utils/http-fixtures.js';
+import { httpCache } from './utils/http-cache.js';
+import { detailCache } from './utils/event-details.js';
+import {
+  DEFAULT_OUTPUT_DIR,
+  readJsonFile,
+  writeJsonFile,
+  getOutputPath,
+  sortEvents,
+  mergeEvents,
+  mergeStats,
+  getFailedVenueNames
+} from './utils/scrape-output.js';
+import { computeRunMetrics, assessVenueHealth, updateVenueHistory, summariseHealth } from './utils/venue-health.js';
+import { DEFAULT_MAX_STALE_DAYS, needsFallback, buildFallback, summariseFallback } from './utils/last-known-good.js';
+import { assignEventIds } from './utils/event-ids.js';
+import { assignYears } from './utils/year-inference.js';
+import { dedupeEvents } from './utils/event-dedupe.js';
+import { buildChangelog, hasChanges, appendChangesHistory } from './utils/changelog.js';
+
+// Month abbreviations as venues print them, in calendar order
+const MONTH_ABBREVIATIONS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
 
 // Individual venue scraper classes extending BaseScraper
-class HopeRuinScraper extends BaseScraper {
-  constructor() {
-    super('Hope & Ruin', 'https://www.hope.pub/gigs-in-the-venue/');
-  }
-
-  async scrape() {
-    return globalRateLimiter.execute(async () => {
-      const $ = await this.fetchAndParseHTML(this.baseUrl);
-
-      // Extract JSON-LD structured data from script tags
-      const events = [];
-      $('script[type="application/ld+json"]').each((_, element) => {
-        try {
-          const jsonData = JSON.parse($(element).html());
-
-          // Handle both single event and array of events
-          const eventData = Array.isArray(jsonData) ? jsonData : [jsonData];
-
-          eventData.forEach(data => {
-            if (data['@type'] === 'Event') {
-              const title = data.name?.trim() || '';
-              const startDate = data.startDate || '';
-              const link = data.url || '';
-
-              // Parse ISO 8601 date format (YYYY-MM-DDTHH:MM)
-              const dateUnix = this.parseEventDate(startDate, title);
-
-              events.push(this.createEvent({
-                title,
-                date: startDate,
-                link,
-                dateUnix
-              }));
-            }
-          });
-        } catch (error) {
-          console.warn(`Hope & Ruin - Failed to parse JSON-LD: ${error.message}`);
-        }
-      });
-
-      return events;
-    }, { domain: 'hope.pub', priority: 1 });
-  }
-}
-
 class GreenDoorScraper extends BaseScraper {
-  constructor() {
-    super('Green Door Store', 'https://thegreendoorstore.co.uk/events/');
-  }
+  static pagination = { type: 'nextLink', selector: 'a.next.page-numbers, a[rel="next"]', maxPages: 5 };
+  // Dates are listed as "Tue, 2 Sep 2025"
+  static dateParsing = { order: ['weekday-date'] };
 
   async scrape() {
-    return globalRateLimiter.execute(async () => {
-      const $ = await this.fetchAndParseHTML(this.baseUrl);
-      
+    return this.paginate($ => {
       return $('.event-card').map((_, element) => {
         const title = $(element).find('.event-card__title').text().trim();
         const date = $(element).find('.event-card__date').text().trim();
         const link = $(element).find('.event-card__link').attr('href');
-        const dateUnix = this.parseEventDate(date, title);
+        const parsedDate = this.parseEventDate(date, title);
         
-        return this.createEvent({ title, date, link, dateUnix });
+        return this.createEvent({ title, date, link, parsedDate });
       }).get();
-    }, { domain: 'thegreendoorstore.co.uk', priority: 1 });
+    });
   }
 }
 
 class ConcordeTwoScraper extends BaseScraper {
-  constructor() {
-    super('Concorde 2', 'https://www.concorde2.co.uk/whats-on?type=live');
-  }
+  static pagination = { type: 'pageNumber', param: 'page', maxPages: 5 };
 
   async scrape() {
-    return globalRateLimiter.execute(async () => {
-      const $ = await this.fetchAndParseHTML(this.baseUrl);
-      
+    return this.paginate($ => {
       return $('a.block.group').map((_, element) => {
         const title = $(element).find('h3').text().trim();
         const date = $(element).find('datetime').text().trim();
         const link = $(element).attr('href');
-        const dateUnix = this.parseEventDate(date, title);
+        const parsedDate = this.parseEventDate(date, title);
         
-        return this.createEvent({ title, date, link, dateUnix });
+        return this.createEvent({ title, date, link, parsedDate });
       }).get();
-    }, { domain: 'concorde2.co.uk', priority: 1 });
+    });
   }
 }
 
 class ChalkScraper extends BaseScraper {
-  constructor() {
-    super('Chalk', 'https://chalkvenue.com/live');
-  }
-
   async scrape() {
     return globalRateLimiter.execute(async () => {
       const $ = await this.fetchAndParseHTML(this.baseUrl);
 
       // Chalk uses Inertia.js — all page data is embedded in div#app[data-page] as JSON
-      const rawJson = $('#app').attr('data-page');
-      if (!rawJson) return [];
-
-      const pageData = JSON.parse(rawJson);
+      const pageData = this.extractPageData($, 'inertia');
       const searchEvents = pageData?.props?.searchEvents || [];
 
       // Filter to live music events only (exclude /club/ events)
@@ -115,132 +87,14 @@ class ChalkScraper extends BaseScraper {
           const title = (event.name || '').trim();
           const date = event.date || '';
           const link = event.url || null;
-          const dateUnix = this.parseEventDate(date, title);
-          return this.createEvent({ title, date, link, dateUnix });
+          const parsedDate = this.parseEventDate(date, title);
+          return this.createEvent({ title, date, link, parsedDate });
         });
-    }, { domain: 'chalkvenue.com', priority: 1 });
-  }
-}
-
-class FolkloreRoomsScraper extends BaseScraper {
-  constructor() {
-    super('Folklore Rooms', 'https://wegottickets.com/location/23904');
-  }
-
-  async scrape() {
-    return globalRateLimiter.execute(async () => {
-      const $ = await this.fetchAndParseHTML(this.baseUrl);
-
-      // Extract JSON-LD structured data from script tags
-      const events = [];
-      $('script[type="application/ld+json"]').each((_, element) => {
-        try {
-          const jsonData = JSON.parse($(element).html());
-
-          // Handle both single event and array of events
-          const eventData = Array.isArray(jsonData) ? jsonData : [jsonData];
-
-          eventData.forEach(data => {
-            if (data['@type'] === 'MusicEvent') {
-              const title = data.name?.trim() || '';
-              const startDate = data.startDate || '';
-              const link = data.url || '';
-
-              // Parse ISO 8601 date format
-              const dateUnix = this.parseEventDate(startDate, title);
-
-              events.push(this.createEvent({
-                title,
-                date: startDate,
-                link,
-                dateUnix
-              }));
-            }
-          });
-        } catch (error) {
-          console.warn(`Folklore Rooms - Failed to parse JSON-LD: ${error.message}`);
-        }
-      });
-
-      return events;
-    }, { domain: 'wegottickets.com', priority: 1 });
-  }
-}
-
-class PrinceAlbertScraper extends BaseScraper {
-  constructor() {
-    super('Prince Albert', 'https://www.gigseekr.com/uk/en/brighton/the-prince-albert/venue/6a');
-  }
-
-  async scrape() {
-    return globalRateLimiter.execute(async () => {
-      const $ = await this.fetchAndParseHTML(this.baseUrl);
-      
-      return $('.event-container .basic-event').map((_, element) => {
-        const day = $(element).find('.date-container .day').text().trim();
-        const month = $(element).find('.date-container .month').text().trim();
-        const year = $(element).find('.date-container .year').text().trim();
-        const title = $(element).find('.details h3 a').text().trim();
-        const date = `${day} ${month} ${year}`;
-        const link = 'https://www.gigseekr.com' + $(element).find('.details h3 a').attr('href');
-        const dateUnix = this.parseEventDate(date, title);
-        
-        return this.createEvent({ title, date, link, dateUnix });
-      }).get();
-    }, { domain: 'gigseekr.com', priority: 1 });
-  }
-}
-
-class PipelineScraper extends BaseScraper {
-  constructor() {
-    super('Pipeline', 'https://wegottickets.com/location/20025');
-  }
-
-  async scrape() {
-    return globalRateLimiter.execute(async () => {
-      const $ = await this.fetchAndParseHTML(this.baseUrl);
-
-      // Extract JSON-LD structured data from script tags
-      const events = [];
-      $('script[type="application/ld+json"]').each((_, element) => {
-        try {
-          const jsonData = JSON.parse($(element).html());
-
-          // Handle both single event and array of events
-          const eventData = Array.isArray(jsonData) ? jsonData : [jsonData];
-
-          eventData.forEach(data => {
-            if (data['@type'] === 'MusicEvent') {
-              const title = data.name?.trim() || '';
-              const startDate = data.startDate || '';
-              const link = data.url || '';
-
-              // Parse ISO 8601 date format
-              const dateUnix = this.parseEventDate(startDate, title);
-
-              events.push(this.createEvent({
-                title,
-                date: startDate,
-                link,
-                dateUnix
-              }));
-            }
-          });
-        } catch (error) {
-          console.warn(`Pipeline - Failed to parse JSON-LD: ${error.message}`);
-        }
-      });
-
-      return events;
-    }, { domain: 'wegottickets.com', priority: 1 });
+    }, { domain: this.domain, priority: 1 });
   }
 }
 
 class QuartersScraper extends BaseScraper {
-  constructor() {
-    super('Quarters', 'https://quartersbrighton.co.uk/whatson');
-  }
-
   async scrape() {
     return globalRateLimiter.execute(async () => {
       const $ = await this.fetchAndParseHTML(this.baseUrl);
@@ -258,21 +112,17 @@ class QuartersScraper extends BaseScraper {
         const fullLink = link?.startsWith('http') ? link : `https://quartersbrighton.co.uk${link}`;
 
         if (title && dateText) {
-          const dateUnix = this.parseEventDate(dateText, title);
-          events.push(this.createEvent({ title, date: dateText, link: fullLink, dateUnix }));
+          const parsedDate = this.parseEventDate(dateText, title);
+          events.push(this.createEvent({ title, date: dateText, link: fullLink, parsedDate, text: allText }));
         }
       });
 
       return events;
-    }, { domain: 'quartersbrighton.co.uk', priority: 1 });
+    }, { domain: this.domain, priority: 1 });
   }
 }
 
 class RossiBarScraper extends BaseScraper {
-  constructor() {
-    super('Rossi Bar', 'https://therossibar.co.uk/events/');
-  }
-
   async scrape() {
     return globalRateLimiter.execute(async () => {
       const $ = await this.fetchAndParseHTML(this.baseUrl);
@@ -286,26 +136,22 @@ class RossiBarScraper extends BaseScraper {
         const fullLink = link?.startsWith('http') ? link : `https://therossibar.co.uk${link}`;
 
         if (title && dateText) {
-          const dateUnix = this.parseEventDate(dateText, title);
-          events.push(this.createEvent({ title, date: dateText, link: fullLink, dateUnix }));
+          const parsedDate = this.parseEventDate(dateText, title);
+          events.push(this.createEvent({ title, date: dateText, link: fullLink, parsedDate }));
         }
       });
 
       return events;
-    }, { domain: 'therossibar.co.uk', priority: 1 });
+    }, { domain: this.domain, priority: 1 });
   }
 }
 
 class RoseHillScraper extends BaseScraper {
-  constructor() {
-    super('The Rose Hill', 'https://therosehill.co.uk/events/?event-type=gig');
-  }
+  static pagination = { type: 'nextLink', selector: 'a[rel="next"], .pagination a.next', maxPages: 5 };
 
   async scrape() {
-    return globalRateLimiter.execute(async () => {
-      const $ = await this.fetchAndParseHTML(this.baseUrl);
-
-      const events = [];
+    const events = await this.paginate($ => {
+      const pageEvents = [];
       $('a[href*="/event/"]').each((_, element) => {
         const title = $(element).find('h2, h3').first().text().trim();
         const fullText = $(element).text();
@@ -316,26 +162,26 @@ class RoseHillScraper extends BaseScraper {
         const fullLink = link?.startsWith('http') ? link : `https://therosehill.co.uk${link}`;
 
         if (title && dateText) {
-          const dateUnix = this.parseEventDate(dateText, title);
-          events.push(this.createEvent({ title, date: dateText, link: fullLink, dateUnix }));
+          const parsedDate = this.parseEventDate(dateText, title);
+          pageEvents.push(this.createEvent({ title, date: dateText, link: fullLink, parsedDate, text: fullText }));
         }
       });
 
-      return events;
-    }, { domain: 'therosehill.co.uk', priority: 1 });
+      return pageEvents;
+    });
+
+    // Listed without years; the pages run in date order across the year end
+    return this.assignListingYears(events);
   }
 }
 
 class BrightonCentreScraper extends BaseScraper {
-  constructor() {
-    super('Brighton Centre', 'https://brightoncentre.co.uk/Umbraco/Api/Events/Find');
-  }
-
   async scrape() {
     return globalRateLimiter.execute(async () => {
-      const { data } = await axios.post(this.baseUrl, { Category: 'Music' }, {
-        headers: { 'Content-Type': 'application/json' },
-        timeout: this.timeout
+      const data = await this.fetchJSON(this.baseUrl, {
+        method: 'POST',
+        data: { Category: 'Music' },
+        headers: { 'Content-Type': 'application/json' }
       });
 
       const events = [];
@@ -344,110 +190,57 @@ class BrightonCentreScraper extends BaseScraper {
           const title = (event.EventNameOverride || event.Name || '').trim();
           const dateStr = event.InstanceDate || '';
           const link = event.Url ? `https://brightoncentre.co.uk${event.Url}` : null;
-          const dateUnix = this.parseEventDate(dateStr, title);
+          const parsedDate = this.parseEventDate(dateStr, title);
 
           if (title) {
-            events.push(this.createEvent({ title, date: dateStr, link, dateUnix }));
+            events.push(this.createEvent({ title, date: dateStr, link, parsedDate }));
           }
         }
       }
 
       return events;
-    }, { domain: 'brightoncentre.co.uk', priority: 1 });
+    }, { domain: this.domain, priority: 1 });
   }
 }
 
 class BrightonDomeScraper extends BaseScraper {
-  constructor() {
-    super('Brighton Dome', 'https://brightondome.org/whats-on/#genre=85&calendar=false,false&top_filter=all&page=1&view=list');
-  }
-
   async scrape() {
     return globalRateLimiter.execute(async () => {
       const $ = await this.fetchAndParseHTML(this.baseUrl);
 
-      const events = [];
-      // Extract JavaScript _filter_data.push() statements from script tags
-      $('script').each((_, element) => {
-        const scriptContent = $(element).html();
-        if (scriptContent && scriptContent.includes('_filter_data.push')) {
-          try {
-            // Extract all _filter_data.push({...}) statements
-            const pushMatches = scriptContent.matchAll(/_filter_data\.push\(\s*(\{[\s\S]*?\})\s*\);/g);
-
-            for (const match of pushMatches) {
-              try {
-                // Clean up the JavaScript to be valid JSON
-                const jsonString = match[1]
-                  .replace(/\/\*/g, '')  // Remove /*
-                  .replace(/\*\//g, '')  // Remove */
-                  .replace(/,(\s*[}\]])/g, '$1'); // Remove trailing commas
-
-                const event = JSON.parse(jsonString);
-
-                const title = event.title || event.name || '';
-                const dateFormatted = event.date_formatted || '';
-                const link = event.url || '';
-                const fullLink = link?.startsWith('http') ? link : `https://brightondome.org${link}`;
-
-                // Use Unix timestamp if available, otherwise parse formatted date
-                let dateUnix;
-                if (event.start_date) {
-                  dateUnix = event.start_date * 1000; // Convert seconds to milliseconds
-                } else {
-                  dateUnix = this.parseEventDate(dateFormatted, title);
-                }
-
-                events.push(this.createEvent({
-                  title,
-                  date: dateFormatted,
-                  link: fullLink,
-                  dateUnix
-                }));
-              } catch (parseError) {
-                console.warn(`Brighton Dome - Failed to parse individual event: ${parseError.message}`);
-              }
-            }
-          } catch (error) {
-            console.warn(`Brighton Dome - Failed to extract _filter_data: ${error.message}`);
-          }
-        }
-      });
+      // Each listing is pushed onto a JS array: _filter_data.push({ title, url, start_date, ... })
+      const listings = this.extractPageData($, { call: '_filter_data.push' }) || [];
 
-      return events;
-    }, { domain: 'brightondome.org', priority: 1 });
-  }
-}
+      const events = listings
+        .filter(event => event && typeof event === 'object')
+        .map(event => {
+          const title = event.title || event.name || '';
+          const dateFormatted = event.date_formatted || '';
+
+          // Use Unix timestamp if available, otherwise parse formatted date
+          return this.createEvent({
+            title,
+            date: dateFormatted,
+            link: this.resolveUrl(event.url, 'https://brightondome.org'),
+            ...(event.start_date
+              ? { dateUnix: event.start_date * 1000 } // Convert seconds to milliseconds
+              : { parsedDate: this.parseEventDate(dateFormatted, title) })
+          });
+        });
 
-class CowleyClubScraper extends BaseScraper {
-  constructor() {
-    super('Cowley Club', 'https://cowley.club/events');
+      // date_formatted has no year ("Thu 3 Sep"); listings with a start_date anchor the rest
+      return this.assignListingYears(events);
+    }, { domain: this.domain, priority: 1 });
   }
+}
 
+class CowleyClubScraper extends JsonLdScraper {
   async scrape() {
     return globalRateLimiter.execute(async () => {
       const $ = await this.fetchAndParseHTML(this.baseUrl);
-      const events = [];
 
       // Try JSON-LD first
-      $('script[type="application/ld+json"]').each((_, element) => {
-        try {
-          const jsonData = JSON.parse($(element).html());
-          const eventData = Array.isArray(jsonData) ? jsonData : [jsonData];
-          eventData.forEach(data => {
-            if (data['@type'] === 'Event' || data['@type'] === 'MusicEvent') {
-              const title = data.name?.trim() || '';
-              const startDate = data.startDate || '';
-              const link = data.url || '';
-              const dateUnix = this.parseEventDate(startDate, title);
-              if (title) events.push(this.createEvent({ title, date: startDate, link, dateUnix }));
-            }
-          });
-        } catch (error) {
-          console.warn(`Cowley Club - Failed to parse JSON-LD: ${error.message}`);
-        }
-      });
-
+      const events = this.extractJsonLdEvents($);
       if (events.length > 0) return events;
 
       // Fallback: parse event links and extract date from adjacent text
@@ -465,38 +258,37 @@ class CowleyClubScraper extends BaseScraper {
         const dateMatch = parentText.match(datePattern);
         const dateText = dateMatch ? dateMatch[1] : '';
         if (!dateText) return;
-        const dateUnix = this.parseEventDate(dateText, title);
+        const parsedDate = this.parseEventDate(dateText, title);
 
-        events.push(this.createEvent({ title, date: dateText, link: fullLink, dateUnix }));
+        events.push(this.createEvent({ title, date: dateText, link: fullLink, parsedDate }));
       });
 
       return events;
-    }, { domain: 'cowley.club', priority: 1 });
+    }, { domain: this.domain, priority: 1 });
   }
 }
 
 class CarolineOfBrunswickScraper extends BaseScraper {
-  constructor() {
-    super('Caroline of Brunswick', 'https://carolineofbrunswick.co.uk/events/');
-  }
+  static pagination = { type: 'month', yearParam: 'mec_year', monthParam: 'mec_month', maxPages: 6 };
 
   async scrape() {
-    return globalRateLimiter.execute(async () => {
-      const $ = await this.fetchAndParseHTML(this.baseUrl);
-      const events = [];
+    return this.paginate(($, { year, month }) => {
+      const listed = [];
 
       // MEC renders events in .mec-event-article blocks grouped by month headers
       // Month headers: .mec-event-list-standard (e.g. "April 2026")
-      // Event date: .mec-event-meta-wrap (e.g. "06 Apr")
-      let currentYear = new Date().getFullYear();
+      // Event date: .mec-event-meta-wrap (e.g. "06 Apr", no year)
+      // Each page is one month (mec_year / mec_month), which anchors the years of its dates;
+      // headers re-anchor them, and assignYears() carries dates on over the year end
+      const dates = [{ year, month: month - 1 }];
 
       $('body').find('.mec-event-list-standard, .mec-event-article').each((_, element) => {
         const el = $(element);
         if (el.hasClass('mec-event-list-standard')) {
-          // Month header — extract year if present (e.g. "April 2026")
-          const headerText = el.text().trim();
-          const yearMatch = headerText.match(/\b(\d{4})\b/);
-          if (yearMatch) currentYear = parseInt(yearMatch[1], 10);
+          // Month header — an anchor if it has a month and year (e.g. "April 2026")
+          const headerMatch = el.text().trim().match(/\b([A-Za-z]{3})[a-z]*\s+(\d{4})\b/);
+          const headerMonth = headerMatch ? MONTH_ABBREVIATIONS.indexOf(headerMatch[1].toUpperCase()) : -1;
+          if (headerMonth !== -1) dates.push({ year: parseInt(headerMatch[2], 10), month: headerMonth });
           return;
         }
 
@@ -509,190 +301,29 @@ class CarolineOfBrunswickScraper extends BaseScraper {
         const link = el.find('a').first().attr('href') || '';
         // Extract just "DD Mon" from meta-wrap (may also contain time/location text)
         const metaText = el.find('.mec-event-meta-wrap').text().replace(/\s+/g, ' ');
-        const dateMatch = metaText.match(/(\d{1,2}\s+(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec))/i);
-        const dateStr = dateMatch ? `${dateMatch[1]} ${currentYear}` : '';
-        const dateUnix = dateStr ? this.parseEventDate(dateStr, title) : null;
-
-        events.push(this.createEvent({ title, date: dateStr, link, dateUnix }));
-      });
-
-      return events;
-    }, { domain: 'carolineofbrunswick.co.uk', priority: 1 });
-  }
-}
-
-class DaltonsScraper extends BaseScraper {
-  constructor() {
-    super('Daltons', 'https://www.eventbrite.co.uk/d/united-kingdom--brighton/daltons-brighton/');
-  }
-
-  async scrape() {
-    return globalRateLimiter.execute(async () => {
-      const $ = await this.fetchAndParseHTML(this.baseUrl);
-      const events = [];
-
-      $('script[type="application/ld+json"]').each((_, element) => {
-        try {
-          const jsonData = JSON.parse($(element).html());
-          if (!Array.isArray(jsonData?.itemListElement)) return;
-
-          jsonData.itemListElement.forEach(listItem => {
-            const item = listItem.item || listItem;
-            if (item['@type'] !== 'Event' && item['@type'] !== 'MusicEvent') return;
-
-            const venueName = (item.location?.name || '').toLowerCase();
-            if (!venueName.includes('dalton')) return;
-
-            const title = (item.name || '').trim();
-            const startDate = item.startDate || '';
-            const link = item.url || '';
-            const dateUnix = startDate ? this.parseEventDate(startDate, title) : null;
-
-            if (title) events.push(this.createEvent({ title, date: startDate, link, dateUnix }));
-          });
-        } catch (error) {
-          console.warn(`Daltons - Failed to parse JSON-LD: ${error.message}`);
+        const dateMatch = metaText.match(/(\d{1,2})\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)/i);
+        if (dateMatch) {
+          dates.push({ month: MONTH_ABBREVIATIONS.indexOf(dateMatch[2].toUpperCase()), day: parseInt(dateMatch[1], 10) });
         }
-      });
 
-      return events;
-    }, { domain: 'eventbrite.co.uk', priority: 1 });
-  }
-}
-
-class BrunswickScraper extends BaseScraper {
-  constructor() {
-    super('The Brunswick', 'https://www.eventbrite.co.uk/d/united-kingdom--brighton/the-brunswick/');
-  }
-
-  async scrape() {
-    return globalRateLimiter.execute(async () => {
-      const $ = await this.fetchAndParseHTML(this.baseUrl);
-      const events = [];
-
-      $('script[type="application/ld+json"]').each((_, element) => {
-        try {
-          const jsonData = JSON.parse($(element).html());
-          if (!Array.isArray(jsonData?.itemListElement)) return;
-
-          jsonData.itemListElement.forEach(listItem => {
-            const item = listItem.item || listItem;
-            if (item['@type'] !== 'Event' && item['@type'] !== 'MusicEvent') return;
-
-            const venueName = (item.location?.name || '').toLowerCase();
-            // Only include events at The Brunswick, not Caroline of Brunswick
-            if (!venueName.includes('brunswick') || venueName.includes('caroline')) return;
-
-            const title = (item.name || '').trim();
-            const startDate = item.startDate || '';
-            const link = item.url || '';
-            const dateUnix = startDate ? this.parseEventDate(startDate, title) : null;
-
-            if (title) events.push(this.createEvent({ title, date: startDate, link, dateUnix }));
-          });
-        } catch (error) {
-          console.warn(`The Brunswick - Failed to parse JSON-LD: ${error.message}`);
-        }
+        listed.push({ title, link, metaText, dateText: dateMatch?.[0], entry: dateMatch ? dates.length - 1 : null });
       });
 
-      return events;
-    }, { domain: 'eventbrite.co.uk', priority: 1 });
-  }
-}
-
-class DustScraper extends BaseScraper {
-  constructor() {
-    super('Dust', 'https://gettix.online/api/events?venue=dust');
-  }
-
-  async scrape() {
-    return globalRateLimiter.execute(async () => {
-      const { data } = await axios.get(this.baseUrl, {
-        timeout: this.timeout,
-        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; Brighton-Gigs-Scraper/1.0)' }
+      const years = assignYears(dates, { referenceDate: this.referenceDate });
+      return listed.map(({ title, link, metaText, dateText, entry }) => {
+        const dateStr = dateText ? `${dateText} ${years[entry]}` : '';
+        const parsedDate = dateStr ? this.parseEventDate(dateStr, title) : null;
+        return this.createEvent({ title, date: dateStr, link, parsedDate, text: metaText });
       });
-
-      const items = data.data || (Array.isArray(data) ? data : []);
-      return items
-        .map(event => {
-          const title = (event.name || '').trim();
-          const dateStr = event.date || event.starts_at || '';
-          const relLink = event.link || event.ticket_link || '';
-          const link = relLink.startsWith('http') ? relLink : `https://dustvenue.com${relLink}`;
-          const dateUnix = dateStr ? this.parseEventDate(dateStr, title) : null;
-          return this.createEvent({ title, date: dateStr, link, dateUnix });
-        })
-        .filter(e => e.title);
-    }, { domain: 'gettix.online', priority: 1 });
-  }
-}
-
-class VolksScraper extends BaseScraper {
-  constructor() {
-    super('Volks', 'https://www.ticketmaster.co.uk/volks-club-tickets-brighton/venue/410165');
-  }
-
-  async scrape() {
-    return globalRateLimiter.execute(async () => {
-      const $ = await this.fetchAndParseHTML(this.baseUrl);
-      const events = [];
-
-      $('script[type="application/ld+json"]').each((_, element) => {
-        try {
-          const jsonData = JSON.parse($(element).html());
-          const eventData = Array.isArray(jsonData) ? jsonData : (jsonData['@graph'] || [jsonData]);
-          eventData.forEach(data => {
-            if (data['@type'] === 'MusicEvent' || data['@type'] === 'Event') {
-              const title = data.name?.trim() || '';
-              const startDate = data.startDate || '';
-              const link = data.url || '';
-              const dateUnix = this.parseEventDate(startDate, title);
-              if (title) events.push(this.createEvent({ title, date: startDate, link, dateUnix }));
-            }
-          });
-        } catch (error) {
-          console.warn(`Volks - Failed to parse JSON-LD: ${error.message}`);
-        }
-      });
-
-      return events;
-    }, { domain: 'ticketmaster.co.uk', priority: 1 });
-  }
-}
-
-class TheOldMarketScraper extends BaseScraper {
-  constructor() {
-    super('The Old Market', 'https://www.theoldmarket.com/shows?category=Music&format=json');
-  }
-
-  async scrape() {
-    return globalRateLimiter.execute(async () => {
-      const { data } = await axios.get(this.baseUrl, {
-        timeout: this.timeout,
-        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; Brighton-Gigs-Scraper/1.0)' }
-      });
-
-      return (data.upcoming || []).map(item => {
-        const title = (item.title || '').replace(/<[^>]+>/g, '').trim();
-        const startDate = item.startDate; // milliseconds Unix timestamp
-        const fullUrl = item.fullUrl || '';
-        const link = fullUrl.startsWith('http') ? fullUrl : `https://www.theoldmarket.com${fullUrl}`;
-        const dateUnix = startDate ? this.parseEventDate(startDate, title) : null;
-
-        return this.createEvent({ title, date: new Date(startDate || Date.now()).toISOString(), link, dateUnix });
-      }).filter(e => e.title);
-    }, { domain: 'theoldmarket.com', priority: 1 });
+    });
   }
 }
 
 class KomediaScraper extends BaseScraper {
-  constructor() {
-    super('Komedia', 'https://www.komedia.co.uk/brighton/music/');
-  }
+  static pagination = { type: 'pageNumber', maxPages: 5 };
 
   async scrape() {
-    return globalRateLimiter.execute(async () => {
-      const $ = await this.fetchAndParseHTML(this.baseUrl);
+    return this.paginate($ => {
       const events = [];
       const seen = new Set();
 
@@ -713,206 +344,131 @@ class KomediaScraper extends BaseScraper {
         // Date format: "Tue 7 Apr 2026"
         const dateMatch = linkText.match(/([A-Za-z]{3}\s+\d{1,2}\s+[A-Za-z]+\s+\d{4})/);
         const dateText = dateMatch ? dateMatch[1] : '';
-        const dateUnix = dateText ? this.parseEventDate(dateText, title) : null;
-
-        events.push(this.createEvent({ title, date: dateText, link: fullLink, dateUnix }));
-      });
-
-      return events;
-    }, { domain: 'komedia.co.uk', priority: 1 });
-  }
-}
-
-class ResidentMusicScraper extends BaseScraper {
-  constructor() {
-    super('Resident Music', 'https://www.eventbrite.co.uk/d/united-kingdom--brighton/resident-music/');
-  }
-
-  async scrape() {
-    return globalRateLimiter.execute(async () => {
-      const $ = await this.fetchAndParseHTML(this.baseUrl);
-      const events = [];
-
-      $('script[type="application/ld+json"]').each((_, element) => {
-        try {
-          const jsonData = JSON.parse($(element).html());
-          if (!Array.isArray(jsonData?.itemListElement)) return;
-
-          jsonData.itemListElement.forEach(listItem => {
-            const item = listItem.item || listItem;
-            if (item['@type'] !== 'Event' && item['@type'] !== 'MusicEvent') return;
-
-            const venueName = (item.location?.name || '').toLowerCase();
-            if (!venueName.includes('resident')) return;
-
-            const title = (item.name || '').trim();
-            const startDate = item.startDate || '';
-            const link = item.url || '';
-            const dateUnix = startDate ? this.parseEventDate(startDate, title) : null;
+        const parsedDate = dateText ? this.parseEventDate(dateText, title) : null;
 
-            if (title) events.push(this.createEvent({ title, date: startDate, link, dateUnix }));
-          });
-        } catch (error) {
-          console.warn(`Resident Music - Failed to parse JSON-LD: ${error.message}`);
-        }
+        events.push(this.createEvent({ title, date: dateText, link: fullLink, parsedDate, text: linkText }));
       });
 
       return events;
-    }, { domain: 'eventbrite.co.uk', priority: 1 });
+    });
   }
 }
 
-class AlphabetScraper extends BaseScraper {
-  constructor() {
-    super('Alphabet', 'https://www.alphabetbrighton.com/listings?format=json');
-  }
-
+class AlphabetScraper extends SquarespaceScraper {
   parseDateFromTitle(title) {
     // Title format: "APR 10: EVENT NAME" → extract date and clean title
     const prefixMatch = title.match(/^([A-Z]{3})\s+(\d{1,2}):\s*(.+)$/i);
     if (!prefixMatch) return { eventTitle: title, dateStr: '' };
 
     const [, monthAbbr, dayStr, eventTitle] = prefixMatch;
-    const months = { JAN: 0, FEB: 1, MAR: 2, APR: 3, MAY: 4, JUN: 5, JUL: 6, AUG: 7, SEP: 8, OCT: 9, NOV: 10, DEC: 11 };
-    const monthNum = months[monthAbbr.toUpperCase()];
-    if (monthNum === undefined) return { eventTitle: title, dateStr: '' };
-
-    const day = parseInt(dayStr, 10);
-    const now = new Date();
-    let year = now.getFullYear();
-    if (new Date(year, monthNum, day) < now) year++;
+    if (!MONTH_ABBREVIATIONS.includes(monthAbbr.toUpperCase())) return { eventTitle: title, dateStr: '' };
 
-    return { eventTitle: eventTitle.trim(), dateStr: `${day} ${monthAbbr} ${year}` };
+    // No year; scrape() works it out from the listing's order
+    return { eventTitle: eventTitle.trim(), dateStr: `${parseInt(dayStr, 10)} ${monthAbbr}` };
   }
 
   async scrape() {
-    return globalRateLimiter.execute(async () => {
-      const { data } = await axios.get(this.baseUrl, {
-        timeout: this.timeout,
-        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; Brighton-Gigs-Scraper/1.0)' }
-      });
-
-      return (data.items || []).reduce((acc, item) => {
-        const rawTitle = (item.title || '').replace(/<[^>]+>/g, '').trim();
-        const { eventTitle, dateStr } = this.parseDateFromTitle(rawTitle);
-        if (!dateStr) return acc; // skip items without "MMM DD:" date prefix
+    return this.assignListingYears(await super.scrape());
+  }
 
-        const fullUrl = item.fullUrl || '';
-        const link = fullUrl.startsWith('http') ? fullUrl : `https://www.alphabetbrighton.com${fullUrl}`;
-        const dateUnix = this.parseEventDate(dateStr, eventTitle);
+  extractItem(item) {
+    const rawTitle = SquarespaceScraper.stripHtml(item.title);
+    const { eventTitle, dateStr } = this.parseDateFromTitle(rawTitle);
+    if (!dateStr) return null; // skip items without "MMM DD:" date prefix
 
-        acc.push(this.createEvent({ title: eventTitle, date: dateStr, link, dateUnix }));
-        return acc;
-      }, []);
-    }, { domain: 'alphabetbrighton.com', priority: 1 });
+    return { title: eventTitle, date: dateStr };
   }
 }
 
-class FortuneOfWarScraper extends BaseScraper {
-  constructor() {
-    super('Fortune of War', 'https://www.fortuneofwar.pub/events-2?format=json');
-  }
-
-  async scrape() {
-    return globalRateLimiter.execute(async () => {
-      const { data } = await axios.get(this.baseUrl, {
-        timeout: this.timeout,
-        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; Brighton-Gigs-Scraper/1.0)' }
-      });
 
-      return (data.upcoming || []).map(item => {
-        const title = (item.title || '').replace(/<[^>]+>/g, '').trim();
-        const startDate = item.startDate; // milliseconds Unix timestamp
-        const fullUrl = item.fullUrl || '';
-        const link = fullUrl.startsWith('http') ? fullUrl : `https://www.fortuneofwar.pub${fullUrl}`;
-        const dateUnix = startDate ? this.parseEventDate(startDate, title) : null;
+// Scraper classes referenced by name (or platform) from data/venues.json
+const SCRAPER_CLASSES = {
+  JsonLdScraper,
+  EventbriteScraper,
+  SquarespaceScraper,
+  WeGotTicketsScraper,
+  TicketmasterScraper,
+  GigseekrScraper,
+  GettixScraper,
+  GreenDoorScraper,
+  ConcordeTwoScraper,
+  ChalkScraper,
+  QuartersScraper,
+  RossiBarScraper,
+  RoseHillScraper,
+  BrightonCentreScraper,
+  BrightonDomeScraper,
+  CowleyClubScraper,
+  CarolineOfBrunswickScraper,
+  KomediaScraper,
+  AlphabetScraper
+};
 
-        return this.createEvent({ title, date: new Date(startDate || Date.now()).toISOString(), link, dateUnix });
-      }).filter(e => e.title);
-    }, { domain: 'fortuneofwar.pub', priority: 1 });
+/**
+ * Pick the registry entries to scrape
+ * Named venues (by slug or id) may include paused ones; retryFailed narrows the
+ * selection to venues whose last recorded status was "error"
+ */
+const selectVenues = async (registry, { venues: requested = [], retryFailed = false, outputDir = DEFAULT_OUTPUT_DIR } = {}) => {
+  let selected = getEnabledVenues(registry);
+
+  if (requested.length > 0) {
+    const unknown = requested.filter(name => !registry.some(venue => venue.slug === name || venue.id === name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown venue(s): ${unknown.join(', ')}`);
+    }
+    selected = registry.filter(venue => requested.includes(venue.slug) || requested.includes(venue.id));
   }
-}
 
-class PatternsScraper extends BaseScraper {
-  constructor() {
-    super('Patterns', 'https://www.eventbrite.co.uk/d/united-kingdom--brighton/patterns-brighton/');
+  if (retryFailed) {
+    const lastStats = await readJsonFile(getOutputPath(outputDir, 'stats'));
+    const failed = new Set(getFailedVenueNames(lastStats));
+    selected = selected.filter(venue => failed.has(venue.name));
   }
 
-  async scrape() {
-    return globalRateLimiter.execute(async () => {
-      const $ = await this.fetchAndParseHTML(this.baseUrl);
-      const events = [];
-
-      $('script[type="application/ld+json"]').each((_, element) => {
-        try {
-          const jsonData = JSON.parse($(element).html());
-          if (!Array.isArray(jsonData?.itemListElement)) return;
-
-          jsonData.itemListElement.forEach(listItem => {
-            const item = listItem.item || listItem;
-            if (item['@type'] !== 'Event' && item['@type'] !== 'MusicEvent') return;
-
-            const venueName = (item.location?.name || '').toLowerCase();
-            if (!venueName.includes('pattern')) return;
-
-            const title = (item.name || '').trim();
-            const startDate = item.startDate || '';
-            const link = item.url || '';
-            const dateUnix = startDate ? this.parseEventDate(startDate, title) : null;
+  return selected;
+};
 
-            if (title) events.push(this.createEvent({ title, date: startDate, link, dateUnix }));
-          });
-        } catch (error) {
-          console.warn(`Patterns - Failed to parse JSON-LD: ${error.message}`);
-        }
-      });
+/**
+ * Judge one venue's run against its history and fold the run into that history
+ * Failed scrapes count as broken; cache hits re-used unchanged pages and are skipped
+ * @returns {{health: Object|null, history: Object}}
+ */
+const checkVenueHealth = (history, result) => {
+  const value = result.status === 'fulfilled' ? result.value : null;
 
-      return events;
-    }, { domain: 'eventbrite.co.uk', priority: 1 });
+  if (!value?.success) {
+    const message = value?.error?.message || result.reason?.message || 'Unknown error';
+    return {
+      health: { status: 'broken', reasons: [`Scrape failed: ${message}`], fields: [], selectors: [] },
+      history
+    };
   }
-}
 
-class WaterbearScraper extends BaseScraper {
-  constructor() {
-    super('Waterbear', 'https://www.eventbrite.co.uk/d/united-kingdom--brighton/waterbear/');
+  if (value.context.cache === 'hit') {
+    return { health: null, history };
   }
 
-  async scrape() {
-    return globalRateLimiter.execute(async () => {
-      const $ = await this.fetchAndParseHTML(this.baseUrl);
-      const events = [];
-
-      $('script[type="application/ld+json"]').each((_, element) => {
-        try {
-          const jsonData = JSON.parse($(element).html());
-          if (!Array.isArray(jsonData?.itemListElement)) return;
-
-          jsonData.itemListElement.forEach(listItem => {
-            const item = listItem.item || listItem;
-            if (item['@type'] !== 'Event' && item['@type'] !== 'MusicEvent') return;
-
-            const venueName = (item.location?.name || '').toLowerCase();
-            // Only include events at WaterBear venues
-            if (!venueName.includes('waterbear')) return;
-
-            const title = (item.name || '').trim();
-            const startDate = item.startDate || '';
-            const link = item.url || '';
-            const dateUnix = startDate ? this.parseEventDate(startDate, title) : null;
-
-            if (title) events.push(this.createEvent({ title, date: startDate, link, dateUnix }));
-          });
-        } catch (error) {
-          console.warn(`Waterbear - Failed to parse JSON-LD: ${error.message}`);
-        }
-      });
-
-      return events;
-    }, { domain: 'eventbrite.co.uk', priority: 1 });
-  }
-}
+  const metrics = computeRunMetrics(value.events, value.context.selectors);
+  const health = assessVenueHealth(history, metrics);
+  return { health, history: updateVenueHistory(history, metrics, health) };
+};
 
-const scrapeSites = async () => {
+/**
+ * Scrape venues and write the results
+ * @param {Object} options
+ * @param {string[]} options.venues - Only scrape these venue slugs
+ * @param {boolean} options.retryFailed - Only scrape venues that failed last run
+ * @param {boolean} options.dryRun - Scrape without writing any files
+ * @param {boolean} options.cache - Set false to ignore the HTTP cache for this run
+ * @param {number} options.maxStaleDays - How long a failing venue keeps its last good events
+ * @param {string} options.outputDir - Directory for events.json and the stats/log files
+ * @param {Function} options.log - Where progress lines go (default: console.log)
+ * @returns {Promise<Object>} This run's events, the written (merged) events, stats, errors and warnings
+ */
+const scrapeSites = async (options = {}) => {
+  const { dryRun = false, outputDir = DEFAULT_OUTPUT_DIR, maxStaleDays = DEFAULT_MAX_STALE_DAYS, log = console.log } = options;
+  const partial = (options.venues?.length || 0) > 0 || Boolean(options.retryFailed);
   const startTime = Date.now();
   const allEvents = [];
   const allErrors = [];
@@ -927,37 +483,29 @@ const scrapeSites = async () => {
     executionTime: 0
   };
 
-  // Initialize venue scrapers
-  const scrapers = [
-    new HopeRuinScraper(),
-    new GreenDoorScraper(),
-    new ConcordeTwoScraper(),
-    new ChalkScraper(),
-    new FolkloreRoomsScraper(),
-    new PrinceAlbertScraper(),
-    new PipelineScraper(),
-    new QuartersScraper(),
-    new RossiBarScraper(),
-    new RoseHillScraper(),
-    new BrightonCentreScraper(),
-    new BrightonDomeScraper(),
-    new CowleyClubScraper(),
-    new CarolineOfBrunswickScraper(),
-    new DaltonsScraper(),
-    new BrunswickScraper(),
-    new DustScraper(),
-    new VolksScraper(),
-    new TheOldMarketScraper(),
-    new KomediaScraper(),
-    new ResidentMusicScraper(),
-    new AlphabetScraper(),
-    new FortuneOfWarScraper(),
-    new PatternsScraper(),
-    new WaterbearScraper()
-  ];
-
-  console.log(`=== Starting Parallel Scraping (${scrapers.length} venues) ===`);
-  console.log(`Rate Limiter: Max ${globalRateLimiter.maxConcurrent} concurrent, ${globalRateLimiter.requestsPerSecond} RPS`);
+  // Initialize venue scrapers from the registry
+  EventbriteScraper.resetFeeds();
+  if (options.cache === false) {
+    httpCache.enabled = false;
+    detailCache.enabled = false;
+  }
+  await httpCache.load();
+  await detailCache.load();
+  const registry = await loadVenueRegistry();
+  EventbriteScraper.setRegistry(registry);
+  const venues = await selectVenues(registry, { ...options, outputDir });
+  const scrapers = createScrapers(venues, SCRAPER_CLASSES, { log });
+
+  if (scrapers.length === 0) {
+    log('No venues selected to scrape');
+    return { events: [], mergedEvents: [], stats: scrapeStats, errors: [], warnings: [] };
+  }
+
+  log(`=== Starting Parallel Scraping (${scrapers.length} venues) ===`);
+  if (httpFixtures.mode !== 'live') {
+    log(`HTTP fixtures: ${httpFixtures.mode} (${httpFixtures.dir})`);
+  }
+  log(`Rate Limiter: Max ${globalRateLimiter.maxConcurrent} concurrent, ${globalRateLimiter.requestsPerSecond} RPS`);
 
   try {
     // Execute all scrapers in parallel with error isolation
@@ -1002,23 +550,28 @@ const scrapeSites = async () => {
             validationErrors: validation.stats.errors,
             warningTypes: validation.stats.warningTypes,
             executionTime: context.duration,
-            scraper: context.scraper
+            scraper: context.scraper,
+            ...(context.cache && { cache: context.cache }),
+            ...(context.details && { details: context.details }),
+            ...(context.feed && { feed: context.feed })
           };
           
-          console.log(`✓ ${venueName}: ${validation.valid.length}/${events.length} valid events` + 
+          log(`✓ ${venueName}: ${validation.valid.length}/${events.length} valid events` + 
                      (validation.warnings.length > 0 ? ` (${validation.warnings.length} warnings)` : ''));
           
           if (validation.invalid.length > 0) {
-            console.log(`  ⚠ ${validation.invalid.length} events failed validation`);
+            log(`  ⚠ ${validation.invalid.length} events failed validation`);
           }
         } else if (success) {
           scrapeStats.venues[venueName] = { 
             status: 'no_events', 
             events: 0, 
             executionTime: context.duration,
-            scraper: context.scraper
+            scraper: context.scraper,
+            ...(context.cache && { cache: context.cache }),
+            ...(context.feed && { feed: context.feed })
           };
-          console.log(`⚠ ${venueName}: No events found`);
+          log(`⚠ ${venueName}: No events found`);
         } else {
           // Success = false, but fulfilled promise (handled error)
           scrapeStats.failed++;
@@ -1045,69 +598,196 @@ const scrapeSites = async () => {
       }
     });
 
-    // Sort all events by date
-    allEvents.sort((a, b) => {
-      if (a.dateUnix === null && b.dateUnix === null) return 0;
-      if (a.dateUnix === null) return 1;
-      if (b.dateUnix === null) return -1;
-      return a.dateUnix - b.dateUnix;
+    // Compare each venue with its recent runs to catch scrapers that quietly stopped matching
+    const venueHistory = await readJsonFile(getOutputPath(outputDir, 'history'), {});
+    results.forEach((result, index) => {
+      const scraper = scrapers[index];
+      const historyKey = scraper.venueId || scraper.venueName;
+      const { health, history } = checkVenueHealth(venueHistory[historyKey], result);
+
+      if (history) venueHistory[historyKey] = history;
+      if (!health) return;
+
+      scrapeStats.venues[scraper.venueName].health = health;
+      if (health.status !== 'ok' && scrapeStats.venues[scraper.venueName].status !== 'error') {
+        console.warn(`⚠ ${scraper.venueName}: ${health.status} - ${health.reasons.join('; ')}`);
+      }
+    });
+
+    // Venues that failed or came back empty keep their last good events, marked stale
+    const runAt = new Date().toISOString();
+    const previousEvents = await readJsonFile(getOutputPath(outputDir, 'events'), []);
+    const lastStats = await readJsonFile(getOutputPath(outputDir, 'stats'));
+    scrapers.forEach(scraper => {
+      const entry = scrapeStats.venues[scraper.venueName];
+      const previousEntry = lastStats?.venues?.[scraper.venueName];
+      const fallback = needsFallback(entry)
+        ? buildFallback(previousEvents.filter(event => event.venue === scraper.venueName), previousEntry, { maxStaleDays })
+        : null;
+
+      if (!fallback) {
+        const lastSuccessAt = entry.status === 'error' ? previousEntry?.lastSuccessAt : runAt;
+        if (lastSuccessAt) entry.lastSuccessAt = lastSuccessAt;
+        return;
+      }
+
+      const { events, ...summary } = fallback;
+      entry.fallback = { ...summary, events: events.length };
+      entry.lastSuccessAt = fallback.since;
+      allEvents.push(...events);
+
+      console.warn(fallback.expired
+        ? `⚠ ${scraper.venueName}: last good events are ${fallback.ageHours}h old, past the ${maxStaleDays}-day limit; dropping them`
+        : `⚠ ${scraper.venueName}: serving ${events.length} events from ${fallback.ageHours}h ago`);
     });
 
+    // The same gig from several sources or ticket links becomes one event
+    const dedupe = dedupeEvents(allEvents);
+    allEvents.splice(0, allEvents.length, ...dedupe.events);
+    scrapeStats.dedupe = dedupe.stats;
+
+    // Ids need the whole run (to split clashes) and the last output (for firstSeen)
+    assignEventIds(allEvents, previousEvents, runAt);
+    sortEvents(allEvents);
+    await httpFixtures.flush();
+
     const executionTime = Date.now() - startTime;
     scrapeStats.executionTime = executionTime;
     scrapeStats.rateLimiter = globalRateLimiter.getStats();
+    scrapeStats.httpCache = httpCache.getStats();
+    scrapeStats.untrackedVenues = {
+      eventbrite: EventbriteScraper.getUntrackedVenues()
+    };
+    scrapeStats.run = {
+      partial,
+      venues: scrapers.map(scraper => scraper.venueName)
+    };
+
+    // Partial runs only replace the venues they scraped (failed ones with their fallback events)
+    let mergedEvents = allEvents;
+    if (partial) {
+      mergedEvents = mergeEvents(previousEvents, allEvents, Object.keys(scrapeStats.venues));
+      if (!scrapers.some(scraper => scraper instanceof EventbriteScraper) && lastStats?.untrackedVenues) {
+        scrapeStats.untrackedVenues = lastStats.untrackedVenues;
+      }
+    }
 
-    // Write all events to a JSON file
-    await fs.writeFile('./data/events.json', JSON.stringify(allEvents, null, 2));
-    
-    // Write detailed scraping statistics
-    await fs.writeFile('./data/scrape-stats.json', JSON.stringify({
+    const stats = {
       timestamp: new Date().toISOString(),
-      totalEvents: allEvents.length,
-      nullDates: allEvents.filter(e => e.dateUnix === null).length,
+      totalEvents: mergedEvents.length,
+      nullDates: mergedEvents.filter(e => e.dateUnix === null).length,
       totalErrors: allErrors.length,
       totalWarnings: allWarnings.length,
-      ...scrapeStats
-    }, null, 2));
-    
-    // Write detailed error log if there are errors
-    if (allErrors.length > 0) {
-      await fs.writeFile('./data/scrape-errors.json', JSON.stringify(allErrors, null, 2));
+      ...(partial ? mergeStats(lastStats, scrapeStats) : scrapeStats)
+    };
+    stats.health = summariseHealth(stats.venues);
+    stats.fallback = summariseFallback(stats.venues);
+
+    // What a reader of the site would notice since the last run
+    const changes = buildChangelog(previousEvents, mergedEvents, { generatedAt: runAt });
+
+    if (!dryRun) {
+      await fs.mkdir(outputDir, { recursive: true });
+
+      // Write all events to a JSON file
+      await writeJsonFile(getOutputPath(outputDir, 'events'), mergedEvents);
+
+      // Write detailed scraping statistics
+      await writeJsonFile(getOutputPath(outputDir, 'stats'), stats);
+      await httpCache.save();
+      await detailCache.save();
+      await writeJsonFile(getOutputPath(outputDir, 'history'), venueHistory);
+      await writeJsonFile(getOutputPath(outputDir, 'changes'), changes);
+      const changesHistory = await readJsonFile(getOutputPath(outputDir, 'changesHistory'), []);
+      await writeJsonFile(getOutputPath(outputDir, 'changesHistory'), appendChangesHistory(changesHistory, changes));
+
+      // Write detailed error log if there are errors
+      if (allErrors.length > 0) {
+        await writeJsonFile(getOutputPath(outputDir, 'errors'), allErrors);
+      }
+
+      // Write warnings log if there are warnings
+      if (allWarnings.length > 0) {
+        await writeJsonFile(getOutputPath(outputDir, 'warnings'), allWarnings);
+      }
     }
-    
-    // Write warnings log if there are warnings
-    if (allWarnings.length > 0) {
-      await fs.writeFile('./data/scrape-warnings.json', JSON.stringify(allWarnings, null, 2));
+
+    log(`\n=== Scraping Summary ===`);
+    log(`Execution time: ${executionTime}ms`);
+    log(`Total events: ${allEvents.length}`);
+    log(`Successful venues: ${scrapeStats.successful}`);
+    log(`Failed venues: ${scrapeStats.failed}`);
+    log(`Venues with warnings: ${scrapeStats.warnings}`);
+    log(`Events with parsing issues: ${allEvents.filter(e => e.dateUnix === null).length}`);
+    log(`Total validation errors: ${allErrors.length}`);
+    log(`Total warnings: ${allWarnings.length}`);
+    if (stats.health.degraded.length > 0 || stats.health.broken.length > 0) {
+      log(`Degraded venues: ${stats.health.degraded.join(', ') || 'none'}`);
+      log(`Broken venues: ${stats.health.broken.join(', ') || 'none'}`);
+    }
+    if (stats.fallback.venues.length > 0) {
+      log(`Served from last good run: ${stats.fallback.venues.join(', ')}`);
+    }
+    log(hasChanges(changes)
+      ? `Changes since last run: ${changes.summary.added} added, ${changes.summary.updated} updated, ${changes.summary.removed} removed`
+      : 'Changes since last run: none');
+    if (dedupe.stats.removed > 0) {
+      log(`Duplicates merged: ${dedupe.stats.removed} events into ${dedupe.stats.clusters}`);
+    }
+    if (scrapeStats.httpCache.enabled) {
+      log(`HTTP cache: ${scrapeStats.httpCache.hits} unchanged venue(s) reused, ${scrapeStats.httpCache.misses} scraped`);
     }
 
-    console.log(`\n=== Scraping Summary ===`);
-    console.log(`Execution time: ${executionTime}ms`);
-    console.log(`Total events: ${allEvents.length}`);
-    console.log(`Successful venues: ${scrapeStats.successful}`);
-    console.log(`Failed venues: ${scrapeStats.failed}`);
-    console.log(`Venues with warnings: ${scrapeStats.warnings}`);
-    console.log(`Events with parsing issues: ${allEvents.filter(e => e.dateUnix === null).length}`);
-    console.log(`Total validation errors: ${allErrors.length}`);
-    console.log(`Total warnings: ${allWarnings.length}`);
-    console.log('\nRate Limiter Stats:');
-    console.log(`- Active requests: ${scrapeStats.rateLimiter.activeRequests}`);
-    console.log(`- Queue length: ${scrapeStats.rateLimiter.queueLength}`);
-    console.log(`- Consecutive errors: ${scrapeStats.rateLimiter.consecutiveErrors}`);
-    console.log('\nData written to events.json and scrape-stats.json');
-    
-    if (allErrors.length > 0) {
-      console.log('Error details written to scrape-errors.json');
+    const untrackedEventbrite = Object.entries(scrapeStats.untrackedVenues.eventbrite);
+    if (untrackedEventbrite.length > 0) {
+      log(`\nUntracked Brighton venues on Eventbrite: ${untrackedEventbrite.length}`);
+      untrackedEventbrite
+        .sort(([, a], [, b]) => b.events - a.events)
+        .forEach(([name, entry]) => log(`- ${name} (${entry.events} events)`));
     }
-    if (allWarnings.length > 0) {
-      console.log('Warning details written to scrape-warnings.json');
+    log('\nRate Limiter Stats:');
+    log(`- Active requests: ${scrapeStats.rateLimiter.activeRequests}`);
+    log(`- Queue length: ${scrapeStats.rateLimiter.queueLength}`);
+    log(`- Consecutive errors: ${scrapeStats.rateLimiter.consecutiveErrors}`);
+    if (dryRun) {
+      log('\nDry run - no files written');
+    } else {
+      log(`\nData ${partial ? 'merged into' : 'written to'} events.json and scrape-stats.json in ${outputDir}`);
+
+      if (allErrors.length > 0) {
+        log('Error details written to scrape-errors.json');
+      }
+      if (allWarnings.length > 0) {
+        log('Warning details written to scrape-warnings.json');
+      }
     }
-    
+
+    return { events: allEvents, mergedEvents, stats, changes, errors: allErrors, warnings: allWarnings };
   } catch (error) {
     console.error('Critical error in scraping process:', error.message);
     throw error;
   }
 };
 
+export {
+  SCRAPER_CLASSES,
+  GreenDoorScraper,
+  ConcordeTwoScraper,
+  ChalkScraper,
+  QuartersScraper,
+  RossiBarScraper,
+  RoseHillScraper,
+  BrightonCentreScraper,
+  BrightonDomeScraper,
+  CowleyClubScraper,
+  CarolineOfBrunswickScraper,
+  KomediaScraper,
+  AlphabetScraper,
+  selectVenues,
+  scrapeSites
+};
 
-// Start the scraping
-scrapeSites();
\ No newline at end of file
+// Start the scraping when run directly (not when imported by tests)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  scrapeSites();
+}
\ No newline at end of file
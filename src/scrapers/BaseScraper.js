@@ -5,34 +5,143 @@
 
 import axios from 'axios';
 import * as cheerio from 'cheerio';
-import toUnixTimestamp from '../utils/date-parser.js';
+import { RELATIVE_DATE_PATTERNS, dateParser, extractDateFromText } from '../utils/date-parser.js';
+import { extractPageData } from '../utils/page-data.js';
+import { httpFixtures, requestKey } from '../utils/http-fixtures.js';
+import { httpCache, hashBody } from '../utils/http-cache.js';
+import { globalRateLimiter } from '../utils/rate-limiter.js';
+import { createPager } from '../utils/pagination.js';
+import { DETAIL_FIELDS, detailCache, extractEventDetails } from '../utils/event-details.js';
+import { extractEventTimes } from '../utils/event-times.js';
+import { assignYears } from '../utils/year-inference.js';
+import { fromLondonTime, getLondonParts } from '../utils/london-time.js';
+import { robotsCache, buildUserAgent } from '../utils/robots.js';
+
+const USER_AGENT = buildUserAgent();
+
+const DEFAULT_MAX_PAGES = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Event pages fetched per venue per run when enriching; cached pages don't count
+const DEFAULT_MAX_DETAIL_PAGES = 20;
+
+// Detail fields a scraper may add on top of title/date/venue/link/dateUnix
+const OPTIONAL_EVENT_FIELDS = ['endDate', 'endDateUnix', 'eventStatus', 'location', 'offers', 'performers', 'image', ...DETAIL_FIELDS];
 
 class BaseScraper {
   constructor(venueName, baseUrl, options = {}) {
     this.venueName = venueName;
     this.baseUrl = baseUrl;
+    this.venueId = options.id || null;
+    this.slug = options.slug || null;
+    this.urls = options.urls || [baseUrl];
+    this.domain = options.domain || BaseScraper.getDomain(baseUrl);
     this.timeout = options.timeout || 10000;
     this.retryAttempts = options.retryAttempts || 3;
     this.retryDelay = options.retryDelay || 1000;
+    this.fixtures = options.fixtures || httpFixtures;
+    this.cache = options.cache || httpCache;
+    this.detailCache = options.detailCache || detailCache;
+    this.robots = options.robots || robotsCache;
+    // Progress lines; the CLI sends them to stderr when stdout carries JSON
+    this.log = options.log || console.log;
+    this.exchanges = [];
+    this.prefetched = new Map();
+    this.selectorCounts = {};
+    this.detailStats = {};
+
+    // Subclasses declare `static pagination`; registry options.pagination overrides it
+    const pagination = { ...this.constructor.pagination, ...options.pagination };
+    this.pagination = Object.keys(pagination).length > 0 ? pagination : null;
+
+    // Detail enrichment is opt-in the same way (`details: {}` for the defaults); { enabled: false } turns it off
+    const details = this.constructor.details || options.details
+      ? { ...this.constructor.details, ...options.details }
+      : null;
+    this.details = details?.enabled !== false ? details : null;
+
+    // Venue date formats and pattern order from `static dateParsing`; registry options.dateParsing
+    // can add patterns (regexes as strings) and override the order
+    const dateParsing = this.constructor.dateParsing || {};
+    const venueDateParsing = options.dateParsing || {};
+    this.dateParser = dateParser.extend({
+      patterns: [...(venueDateParsing.patterns || []), ...(dateParsing.patterns || [])],
+      order: venueDateParsing.order || dateParsing.order
+    });
+    this.dateDebug = venueDateParsing.debug ?? dateParsing.debug ?? process.env.SCRAPER_DATE_DEBUG === 'on';
+    // dateParsing.fallback: false turns off reading noisy date strings token by token
+    this.dateFallback = venueDateParsing.fallback ?? dateParsing.fallback ?? true;
+    // "Now" for "Tonight", "This Friday" and years left off listings; the current time unless given
+    this.referenceDate = options.referenceDate;
   }
 
   /**
-   * Fetch and parse HTML with error handling and retries
+   * Name of this scraper's HTTP fixture file (see utils/http-fixtures.js)
    */
-  async fetchAndParseHTML(url, options = {}) {
+  get fixtureName() {
+    return this.venueId || this.slug || this.venueName;
+  }
+
+  /**
+   * Derive the rate-limit domain from a URL (www. prefix dropped)
+   */
+  static getDomain(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+      return 'default';
+    }
+  }
+
+  /**
+   * Key for this venue's entry in the HTTP cache
+   */
+  get cacheKey() {
+    return this.venueId || this.slug || this.venueName;
+  }
+
+  /**
+   * Whether runs may reuse this venue's cached events (never while recording or replaying fixtures)
+   */
+  get usesHttpCache() {
+    return this.cache.enabled && this.fixtures.mode === 'live';
+  }
+
+  /**
+   * Resolve a possibly relative link against the page it was found on
+   */
+  resolveUrl(href, pageUrl = this.baseUrl) {
+    if (!href) return null;
+    try {
+      return new URL(href.trim(), pageUrl).href;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Fetch a URL with error handling and retries, returning the response body
+   */
+  async fetchWithRetry(url, options = {}) {
     const finalTimeout = options.timeout || this.timeout;
     let lastError;
 
+    await this.checkRobots(url);
+
     for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
       try {
-        const { data } = await axios.get(url, { 
+        const { data } = await this.request({
+          url,
+          method: options.method || 'GET',
+          data: options.data,
+          remember: options.remember,
           timeout: finalTimeout,
           headers: {
-            'User-Agent': 'Mozilla/5.0 (compatible; Brighton-Gigs-Scraper/1.0)',
+            'User-Agent': USER_AGENT,
             ...options.headers
           }
         });
-        return cheerio.load(data);
+        return data;
       } catch (error) {
         lastError = this.createErrorContext(error, url, attempt);
         
@@ -48,30 +157,494 @@ class BaseScraper {
   }
 
   /**
-   * Parse event date with error context
+   * Refuse URLs the site's robots.txt disallows, and pass its Crawl-delay to the rate limiter
+   * Replayed fixtures never touch the network, so they skip the check
+   * @throws {Error} With context.errorType 'blocked_by_robots'; not worth retrying
+   */
+  async checkRobots(url) {
+    if (this.fixtures.isReplaying) return;
+
+    const { allowed, crawlDelay } = await this.robots.check(url);
+    if (crawlDelay) {
+      globalRateLimiter.setDomainDelay(BaseScraper.getDomain(url), crawlDelay * 1000);
+    }
+
+    if (!allowed) {
+      const error = new Error(`${this.venueName} scraping failed - Blocked by robots.txt`);
+      error.context = {
+        venue: this.venueName,
+        url,
+        timestamp: new Date().toISOString(),
+        errorType: 'blocked_by_robots'
+      };
+      throw error;
+    }
+  }
+
+  /**
+   * Send one HTTP request, or answer it from fixtures in replay mode
+   * Recording mode saves every exchange, including HTTP errors
+   * @param {Object} config - axios request config; `remember: false` keeps it out of the HTTP cache
+   * @returns {Promise<{status: number, headers: Object, data: *}>}
+   */
+  async request({ remember = true, ...config }) {
+    const request = { method: config.method || 'GET', url: config.url, body: config.data };
+
+    if (this.fixtures.isReplaying) {
+      return this.fixtures.replay(this.fixtureName, request);
+    }
+
+    // A changed page fetched while revalidating the cache is used as-is
+    const key = requestKey(request);
+    if (this.prefetched.has(key)) {
+      const response = this.prefetched.get(key);
+      this.prefetched.delete(key);
+      if (remember) this.rememberExchange(request, response);
+      return response;
+    }
+
+    try {
+      const response = await axios.request(config);
+      if (remember) this.rememberExchange(request, response);
+      if (this.fixtures.isRecording) {
+        await this.fixtures.record(this.fixtureName, request, response);
+      }
+      return response;
+    } catch (error) {
+      if (this.fixtures.isRecording && error.response) {
+        await this.fixtures.record(this.fixtureName, request, error.response);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Note a successful request's validators and body hash for the HTTP cache
+   */
+  rememberExchange(request, response) {
+    if (!this.usesHttpCache) return;
+
+    this.exchanges.push({
+      ...request,
+      etag: response.headers?.etag || null,
+      lastModified: response.headers?.['last-modified'] || null,
+      hash: hashBody(response.data)
+    });
+  }
+
+  /**
+   * Check whether this venue's pages changed since the cached scrape
+   * Every cached request is re-sent conditionally; the first changed one stops the check
+   * @returns {Promise<Object[]|null>} The cached events if nothing changed, otherwise null
+   */
+  async revalidateCache() {
+    const entry = this.cache.getVenue(this.cacheKey);
+    // "Tonight" or "Friday" is another day now, so those listings are always parsed again
+    if (!entry || entry.events.some(event => this.hasRelativeDate(event))) {
+      this.cache.recordMiss();
+      return null;
+    }
+
+    for (const cached of entry.requests) {
+      const outcome = await globalRateLimiter.execute(
+        () => this.revalidateRequest(cached),
+        { domain: this.domain, priority: 1 }
+      );
+      this.cache.recordRevalidation(outcome);
+
+      if (outcome === 'changed') {
+        this.cache.recordMiss();
+        return null;
+      }
+    }
+
+    this.cache.recordHit();
+    return entry.events;
+  }
+
+  /**
+   * Whether an event's listed date counts from the day it was parsed (see RELATIVE_DATE_PATTERNS)
+   */
+  hasRelativeDate(event) {
+    try {
+      return RELATIVE_DATE_PATTERNS.includes(this.dateParser.parse(event.date, { referenceDate: this.referenceDate }).pattern);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Conditionally re-send one cached request
+   * @returns {Promise<'notModified'|'unchangedBody'|'changed'>}
+   */
+  async revalidateRequest(cached) {
+    try {
+      await this.checkRobots(cached.url);
+      const response = await axios.request({
+        url: cached.url,
+        method: cached.method,
+        data: cached.body,
+        timeout: this.timeout,
+        headers: {
+          'User-Agent': USER_AGENT,
+          ...(cached.etag && { 'If-None-Match': cached.etag }),
+          ...(cached.lastModified && { 'If-Modified-Since': cached.lastModified })
+        },
+        validateStatus: status => status === 304 || (status >= 200 && status < 300)
+      });
+
+      if (response.status === 304) return 'notModified';
+      if (hashBody(response.data) === cached.hash) {
+        cached.etag = response.headers?.etag || cached.etag;
+        cached.lastModified = response.headers?.['last-modified'] || cached.lastModified;
+        return 'unchangedBody';
+      }
+
+      this.prefetched.set(requestKey(cached), response);
+      return 'changed';
+    } catch {
+      // Let the normal scrape (with its retries) deal with failures
+      return 'changed';
+    }
+  }
+
+  /**
+   * Fetch and parse HTML with error handling and retries
+   */
+  async fetchAndParseHTML(url, options = {}) {
+    const data = await this.fetchWithRetry(url, options);
+    return this.trackSelectors(cheerio.load(data));
+  }
+
+  /**
+   * Count how many elements each top-level $('selector') query matches
+   * The counts feed venue health checks (see utils/venue-health.js)
+   */
+  trackSelectors($) {
+    return new Proxy($, {
+      apply: (target, thisArg, args) => {
+        const result = Reflect.apply(target, thisArg, args);
+        const [selector, context] = args;
+        if (typeof selector === 'string' && context === undefined && !selector.trim().startsWith('<')) {
+          this.selectorCounts[selector] = (this.selectorCounts[selector] || 0) + result.length;
+        }
+        return result;
+      }
+    });
+  }
+
+  /**
+   * Fetch a JSON API response with error handling and retries
+   */
+  async fetchJSON(url, options = {}) {
+    const data = await this.fetchWithRetry(url, options);
+    return typeof data === 'string' ? JSON.parse(data) : data;
+  }
+
+  /**
+   * Read data the page embeds for its own JavaScript (see utils/page-data.js)
+   * @param {string|Object} source - 'inertia' | 'next' | 'nuxt' | { call: name } | { assignment: name }
+   * @returns {*} The data, or null when it is missing or malformed
+   */
+  extractPageData($, source) {
+    const label = typeof source === 'string' ? source : source?.call || source?.assignment;
+
+    try {
+      return extractPageData($, source, {
+        onError: error => console.warn(`${this.venueName} - Skipping unparsable ${label} call: ${error.message}`)
+      });
+    } catch (error) {
+      console.warn(`${this.venueName} - Failed to read ${label} page data: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Walk a paginated listing one page at a time, each fetch through the rate limiter
+   * Stops at maxPages, when a page adds no new events, past the date horizon
+   * (horizonDays), or when parsePage returns { events, stop: true }
+   * @param {Function} parsePage - ($ or JSON, { url, pageNumber, ...strategy info }) => events
+   *   or { events, stop }
+   * @param {Object} pagination - Strategy config (see utils/pagination.js); defaults to this.pagination
+   * @returns {Promise<Object[]>} Events from every page, duplicates dropped
+   */
+  async paginate(parsePage, pagination = this.pagination || {}) {
+    const pager = createPager(pagination, this.baseUrl);
+    const maxPages = pagination.maxPages || DEFAULT_MAX_PAGES;
+    const horizon = pagination.horizonDays ? Date.now() + pagination.horizonDays * DAY_MS : null;
+    const fetchPage = pager.format === 'json'
+      ? (url) => this.fetchJSON(url, pagination.request)
+      : (url) => this.fetchAndParseHTML(url, pagination.request);
+
+    const events = [];
+    const seenEvents = new Set();
+    const visitedUrls = new Set();
+    let step = pager.first();
+
+    for (let pageNumber = 1; step && pageNumber <= maxPages; pageNumber++) {
+      if (visitedUrls.has(step.url) || (horizon && step.startsAt > horizon)) break;
+      visitedUrls.add(step.url);
+
+      const { url } = step;
+      const page = await globalRateLimiter.execute(
+        () => fetchPage(url),
+        { domain: this.domain, priority: 1 }
+      );
+
+      const parsed = await parsePage(page, { ...step.info, url, pageNumber });
+      const pageEvents = (Array.isArray(parsed) ? parsed : parsed?.events) || [];
+      // Keyed on date too, so a show's separate nights sharing one link all survive
+      const newEvents = pageEvents.filter(event => {
+        const key = `${event.link || event.title}|${event.date}`;
+        if (seenEvents.has(key)) return false;
+        seenEvents.add(key);
+        return true;
+      });
+      events.push(...newEvents);
+
+      if (parsed?.stop) break;
+      if (newEvents.length === 0 && !pager.continueWhenEmpty) break;
+      if (horizon && newEvents.length > 0 && newEvents.every(event => event.dateUnix > horizon)) break;
+
+      step = pager.next({ ...step, page, items: pageEvents.length });
+    }
+
+    return events;
+  }
+
+  /**
+   * Follow each upcoming event's link and fill in fields from its own page
+   * Pages come from the detail cache when possible; at most maxEvents uncached
+   * pages are fetched per run, each through the rate limiter behind listing pages
+   * @param {Object[]} events - Events from scrape()
+   * @returns {Promise<Object[]>} The events, with detail fields merged where found
+   */
+  async enrichEvents(events) {
+    this.detailStats = { cached: 0, fetched: 0, failed: 0, skipped: 0 };
+    if (!this.details) return events;
+
+    const maxPages = this.details.maxEvents || DEFAULT_MAX_DETAIL_PAGES;
+    const detailsByLink = new Map();
+    const enriched = [];
+
+    for (const event of events) {
+      const upcoming = !event.dateUnix || (event.endDateUnix ?? event.dateUnix) >= Date.now();
+      if (!event.link || !upcoming) {
+        enriched.push(event);
+        continue;
+      }
+
+      if (!detailsByLink.has(event.link)) {
+        const cached = this.detailCache.get(event.link);
+        if (cached) {
+          this.detailStats.cached++;
+          detailsByLink.set(event.link, cached);
+        } else if (this.detailStats.fetched + this.detailStats.failed >= maxPages) {
+          this.detailStats.skipped++;
+          detailsByLink.set(event.link, null);
+        } else {
+          detailsByLink.set(event.link, await this.fetchEventDetails(event));
+        }
+      }
+
+      const merged = this.mergeEventDetails(event, detailsByLink.get(event.link));
+      enriched.push(merged === event ? event : { ...merged, ...this.eventTimes(merged) });
+    }
+
+    return enriched;
+  }
+
+  /**
+   * Fetch and parse one event page, caching the result
+   * @returns {Promise<Object|null>} Detail fields, or null if the page couldn't be read
+   */
+  async fetchEventDetails(event) {
+    try {
+      const html = await globalRateLimiter.execute(
+        () => this.fetchWithRetry(event.link, { remember: false }),
+        { domain: BaseScraper.getDomain(event.link), priority: 0 }
+      );
+      const details = this.parseEventDetails(cheerio.load(html), event);
+      this.detailCache.set(event.link, details);
+      this.detailStats.fetched++;
+      return details;
+    } catch (error) {
+      this.detailStats.failed++;
+      console.warn(`${this.venueName} - Could not read details for "${event.title}": ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Read detail fields from an event page
+   * Venues whose pages need more than JSON-LD, details.selectors and text patterns
+   * override this; they are also passed the listed event
+   */
+  parseEventDetails($) {
+    return extractEventDetails($, this.details.selectors);
+  }
+
+  /**
+   * Add detail fields the event doesn't already have; listing values always win
+   */
+  mergeEventDetails(event, details) {
+    if (!details) return event;
+
+    const additions = Object.entries(details)
+      .filter(([field, value]) => DETAIL_FIELDS.includes(field) && value && !event[field]);
+    return additions.length > 0 ? { ...event, ...Object.fromEntries(additions) } : event;
+  }
+
+  /**
+   * Parse event date with error context, using this venue's date patterns
+   * With date debugging on (dateParsing.debug or SCRAPER_DATE_DEBUG=on) it logs the pattern
+   * that matched, or why each one failed. Strings no pattern reads go to the free-text
+   * fallback (extractDateFromText). Pass the result to createEvent() as `parsedDate`, so the
+   * event records whether its time and year were real (see dateFlags())
+   * @returns {Object|null} The parse result ({ timestamp, hasTime, yearInferred, ... }), or null
    */
   parseEventDate(date, eventTitle) {
     try {
-      return toUnixTimestamp(date);
+      const parsed = this.dateParser.parse(date, { referenceDate: this.referenceDate, debug: this.dateDebug });
+      if (this.dateDebug) this.log(`${this.venueName} - "${date}" matched ${parsed.pattern}`);
+      return parsed;
     } catch (error) {
+      const extracted = this.dateFallback ? extractDateFromText(date, { referenceDate: this.referenceDate }) : null;
+      if (extracted) {
+        console.warn(`${this.venueName} - Read "${date}" for "${eventTitle}" from free text ` +
+          `as ${new Date(extracted.timestamp).toISOString()} (confidence ${extracted.confidence})`);
+        return extracted;
+      }
+
       console.error(`${this.venueName} - Date parsing error for "${eventTitle}": ${error.message}`);
+      error.context?.attempts?.forEach(({ pattern, reason }) => console.error(`  ${pattern}: ${reason}`));
       return null;
     }
   }
 
+  /**
+   * How much of an event's date the listing gave: hasTime, yearInferred and datePrecision,
+   * plus endDateUnix (the start of the last day) for date ranges and dateConfidence for
+   * dates rebuilt from free text
+   * Empty without a parse result from parseEventDate()
+   */
+  dateFlags(parsed) {
+    if (!parsed) return {};
+    return {
+      hasTime: parsed.hasTime,
+      yearInferred: parsed.yearInferred,
+      datePrecision: parsed.precision,
+      ...(parsed.endTimestamp !== null && { endDateUnix: parsed.endTimestamp }),
+      ...(parsed.confidence !== undefined && { dateConfidence: parsed.confidence })
+    };
+  }
+
+  /**
+   * Re-date events whose year was guessed by where they fall in the listing (see
+   * utils/year-inference.js), rather than by each date alone. Pass the listing's events in
+   * document order; events with a year, or a timestamp, anchor the rest, as do `headers`,
+   * { index, year, month } month headings (month 0-11) that came before events[index]
+   * @returns {Object[]} The events, with dateUnix and endDateUnix moved to their listing year
+   */
+  assignListingYears(events, headers = []) {
+    const dates = [];
+    // Where each event's date sits among the headers
+    const eventEntries = events.map((event, index) => {
+      headers.filter(header => header.index === index)
+        .forEach(({ year, month }) => dates.push({ year, month }));
+
+      const { year, month, day } = event.dateUnix ? getLondonParts(event.dateUnix) : {};
+      dates.push(!event.dateUnix ? null : event.yearInferred ? { month, day } : { year, month, day });
+      return dates.length - 1;
+    });
+    const years = assignYears(dates, { referenceDate: this.referenceDate });
+
+    const toYear = (timestamp, shift) => {
+      const { year, month, day, hour, minute, second } = getLondonParts(timestamp);
+      return fromLondonTime(year + shift, month, day, hour, minute, second);
+    };
+
+    return events.map((event, index) => {
+      const year = years[eventEntries[index]];
+      const shift = event.yearInferred && year !== null ? year - getLondonParts(event.dateUnix).year : 0;
+      if (shift === 0) return event;
+      return {
+        ...event,
+        dateUnix: toYear(event.dateUnix, shift),
+        ...(event.endDateUnix && { endDateUnix: toYear(event.endDateUnix, shift) })
+      };
+    });
+  }
+
+  /**
+   * Doors, start and end times the event doesn't have yet, from its title, date line and
+   * `text` (other listing text; see utils/event-times.js). A listed time gives the start time.
+   * An event parsed without a time moves to its start, or doors, time in Brighton, unless that
+   * is after midnight (a late show on the listed night stays on its day)
+   * @returns {Object} Fields to add to the event
+   */
+  eventTimes(event, text) {
+    const times = {};
+    [event.title, event.date, text].forEach(source => {
+      Object.entries(extractEventTimes(source)).forEach(([field, value]) => {
+        if (!event[field] && !times[field]) times[field] = value;
+      });
+    });
+
+    const startTime = event.startTime || times.startTime;
+    const doorsTime = event.doorsTime || times.doorsTime;
+    if (!event.dateUnix) return times;
+
+    if (event.hasTime) {
+      // Midnight exactly is more often "no time given" than a show starting then
+      const { hour, minute } = getLondonParts(event.dateUnix);
+      const listed = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+      if (!startTime && listed !== '00:00' && listed !== doorsTime) times.startTime = listed;
+      return times;
+    }
+
+    const time = startTime || doorsTime;
+    if (event.hasTime === false && time && time >= '06:00') {
+      const { year, month, day } = getLondonParts(event.dateUnix);
+      const [hour, minute] = time.split(':').map(Number);
+      Object.assign(times, {
+        dateUnix: fromLondonTime(year, month, day, hour, minute),
+        hasTime: true,
+        datePrecision: 'minute'
+      });
+    }
+    return times;
+  }
+
   /**
    * Create standardized event object
+   * The date is `parsedDate` (a parseEventDate() result, with its flags) or a raw `dateUnix`
+   * timestamp. Optional detail fields are only included when the scraper supplies them;
+   * `text` is searched for times (see eventTimes()) but not kept
    */
   createEvent(data) {
-    return {
+    const event = {
       title: data.title?.trim() || '',
       date: data.date?.trim() || '',
       venue: this.venueName,
       link: data.link?.trim() || null,
-      dateUnix: data.dateUnix || null,
-      scrapedAt: new Date().toISOString(),
-      scraper: this.constructor.name
+      dateUnix: (data.parsedDate ? data.parsedDate.timestamp : data.dateUnix) || null,
+      ...this.dateFlags(data.parsedDate)
     };
+
+    OPTIONAL_EVENT_FIELDS.forEach(field => {
+      const value = typeof data[field] === 'string' ? data[field].trim() : data[field];
+      const isEmpty = value === undefined || value === null || value === '' ||
+        (Array.isArray(value) && value.length === 0);
+      if (!isEmpty) {
+        event[field] = value;
+      }
+    });
+
+    Object.assign(event, this.eventTimes(event, data.text));
+    event.scrapedAt = new Date().toISOString();
+    event.scraper = this.constructor.name;
+    return event;
   }
 
   /**
@@ -153,17 +726,33 @@ class BaseScraper {
 
     try {
       this.validateConfig();
-      console.log(`${this.venueName} - Starting scrape...`);
+      this.log(`${this.venueName} - Starting scrape...`);
       
-      const rawEvents = await this.scrape();
+      this.exchanges = [];
+      this.selectorCounts = {};
+      const cachedEvents = this.usesHttpCache ? await this.revalidateCache() : null;
+      const listedEvents = cachedEvents || await this.scrape();
+
+      // The HTTP cache keeps listing events; details are re-applied from the detail cache
+      if (this.usesHttpCache) {
+        context.cache = cachedEvents ? 'hit' : 'miss';
+        if (!cachedEvents && listedEvents?.length > 0) {
+          this.cache.setVenue(this.cacheKey, this.exchanges, listedEvents);
+        }
+      }
+
+      const rawEvents = await this.enrichEvents(listedEvents || []);
       const duration = Date.now() - startTime;
       
       context.endTime = new Date().toISOString();
       context.duration = duration;
       context.eventsFound = rawEvents?.length || 0;
       context.status = 'success';
+      context.selectors = this.selectorCounts;
+      if (this.details) context.details = this.detailStats;
       
-      console.log(`${this.venueName} - Completed in ${duration}ms, found ${context.eventsFound} events`);
+      this.log(`${this.venueName} - Completed in ${duration}ms, found ${context.eventsFound} events` +
+        (cachedEvents ? ' (unchanged, reused cached events)' : ''));
       
       return {
         success: true,
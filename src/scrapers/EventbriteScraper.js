@@ -0,0 +1,252 @@
+/**
+ * EventbriteScraper - Fans one paginated Eventbrite search out to many venues
+ *
+ * Every Eventbrite venue in the registry shares a feed keyed by its search URL.
+ * The feed walks the result pages once, then hands each event to the first
+ * registered venue whose name/address matchers fit its location. Events at
+ * Brighton venues nobody has registered are kept for reporting; that check runs
+ * against the whole registry (see setRegistry()), so a run limited to some venues
+ * doesn't report the ones it left out. Every venue on a feed reports the feed's
+ * selector, page and node counts, whichever of them happened to fetch it.
+ */
+
+import JsonLdScraper from './JsonLdScraper.js';
+import { globalRateLimiter } from '../utils/rate-limiter.js';
+
+// Shared feeds keyed by search URL
+const feeds = new Map();
+
+// Name matchers for every registry entry, selected this run or not
+let registeredVenues = [];
+
+const toLowerList = (value) => [].concat(value ?? []).map(name => name.toLowerCase());
+
+const JSON_LD_SELECTOR = 'script[type="application/ld+json"]';
+
+// Brighton & Hove addresses: town name or a BN postcode
+const BRIGHTON_ADDRESS_PATTERN = /\b(?:brighton|hove)\b|\bBN\d{1,2}\b/i;
+
+class EventbriteFeed {
+  constructor(searchUrl, options = {}) {
+    this.searchUrl = searchUrl;
+    this.maxPages = options.maxPages || 20;
+    this.scrapers = [];
+    this.assignments = new Map();
+    this.untracked = {};
+    this.pagesFetched = 0;
+    this.nodesFound = 0;
+    this.selectorCounts = {};
+    this.loading = null;
+  }
+
+  /**
+   * Add a venue to the fan-out; registration order decides ties between matchers
+   */
+  register(scraper) {
+    this.scrapers.push(scraper);
+    this.assignments.set(scraper, []);
+  }
+
+  /**
+   * Fetch every result page once, however many venues ask for it
+   */
+  load(fetcher) {
+    if (!this.loading) {
+      this.loading = this.fetchAllPages(fetcher);
+    }
+    return this.loading;
+  }
+
+  async fetchAllPages(fetcher) {
+    const seenUrls = new Set();
+    let pageCount = this.maxPages;
+
+    for (let page = 1; page <= Math.min(pageCount, this.maxPages); page++) {
+      const pageUrl = EventbriteFeed.getPageUrl(this.searchUrl, page);
+      let $;
+
+      try {
+        $ = await globalRateLimiter.execute(
+          () => fetcher.fetchAndParseHTML(pageUrl),
+          { domain: fetcher.domain, priority: 1 }
+        );
+      } catch (error) {
+        // Without the first page there is nothing to fan out
+        if (page === 1) throw error;
+        console.warn(`Eventbrite - Stopping at page ${page}: ${error.message}`);
+        break;
+      }
+
+      this.pagesFetched++;
+      if (page === 1) {
+        pageCount = EventbriteFeed.getPageCount($) || this.maxPages;
+      }
+
+      const nodes = [];
+      const scripts = $(JSON_LD_SELECTOR);
+      this.selectorCounts[JSON_LD_SELECTOR] = (this.selectorCounts[JSON_LD_SELECTOR] || 0) + scripts.length;
+      scripts.each((_, element) => {
+        JsonLdScraper.collectEventNodes(fetcher.parseJsonLd($(element).html()), nodes);
+      });
+
+      const freshNodes = nodes.filter(node => {
+        const key = node.url || `${node.name}|${node.startDate}`;
+        if (seenUrls.has(key)) return false;
+        seenUrls.add(key);
+        return true;
+      });
+
+      // An empty or fully repeated page means we've run past the last result
+      if (freshNodes.length === 0) break;
+      this.nodesFound += freshNodes.length;
+      freshNodes.forEach(node => this.assign(node));
+    }
+
+    fetcher.log(`Eventbrite - Read ${this.pagesFetched} result page(s) for ${this.scrapers.length} venues`);
+  }
+
+  /**
+   * Give an event node to the first matching venue, or record it as untracked
+   */
+  assign(node) {
+    const owner = this.scrapers.find(scraper => scraper.matchesVenue(node));
+    if (owner) {
+      this.assignments.get(owner).push(node);
+      return;
+    }
+
+    const location = JsonLdScraper.normaliseLocation(node.location);
+    if (!location?.name) return;
+
+    const place = `${location.name} ${location.address || ''}`;
+    if (!BRIGHTON_ADDRESS_PATTERN.test(place)) return;
+    if (EventbriteFeed.isRegistered(place.toLowerCase())) return;
+
+    const entry = this.untracked[location.name] || { events: 0, address: location.address };
+    entry.events++;
+    this.untracked[location.name] = entry;
+  }
+
+  async getNodesFor(scraper) {
+    await this.load(scraper);
+    return this.assignments.get(scraper) || [];
+  }
+
+  /**
+   * Whether a location belongs to a registry venue, matched as the venue's scraper would
+   */
+  static isRegistered(place) {
+    return registeredVenues.some(({ match, exclude }) =>
+      !exclude.some(name => place.includes(name)) && match.some(name => place.includes(name)));
+  }
+
+  static getPageUrl(searchUrl, page) {
+    const url = new URL(searchUrl);
+    if (page > 1) url.searchParams.set('page', page);
+    return url.href;
+  }
+
+  /**
+   * Read the total page count from the embedded search state, when present
+   */
+  static getPageCount($) {
+    const match = $.html().match(/"page_count"\s*:\s*(\d+)/);
+    return match ? parseInt(match[1], 10) : null;
+  }
+}
+
+class EventbriteScraper extends JsonLdScraper {
+  constructor(venueName, baseUrl, options = {}) {
+    super(venueName, baseUrl, options);
+
+    // Without explicit matchers, match on the venue's own name
+    if (this.venueMatch.length === 0) {
+      this.venueMatch = [venueName.toLowerCase()];
+    }
+
+    this.feed = EventbriteScraper.getFeed(baseUrl, options);
+    this.feed.register(this);
+  }
+
+  /**
+   * Whichever venue loads the feed fetches it, so all of them share one fixture file
+   */
+  get fixtureName() {
+    return 'eventbrite';
+  }
+
+  /**
+   * The shared feed's requests belong to whichever venue loaded it, so skip the per-venue cache
+   */
+  get usesHttpCache() {
+    return false;
+  }
+
+  /**
+   * Report the shared feed's page and node counts for every venue on it
+   */
+  async execute() {
+    const result = await super.execute();
+    result.context.feed = { pages: this.feed.pagesFetched, nodes: this.feed.nodesFound };
+    return result;
+  }
+
+  async scrape() {
+    const nodes = await this.feed.getNodesFor(this);
+    // Only the venue that loaded the feed queried its pages; give every venue the counts for health checks
+    Object.assign(this.selectorCounts, this.feed.selectorCounts);
+
+    return nodes
+      .map(node => this.createEvent(this.normaliseEvent(node)))
+      .filter(event => event.title);
+  }
+
+  static getFeed(searchUrl, options = {}) {
+    if (!feeds.has(searchUrl)) {
+      feeds.set(searchUrl, new EventbriteFeed(searchUrl, options));
+    }
+    return feeds.get(searchUrl);
+  }
+
+  /**
+   * Brighton venues seen in Eventbrite results that no registry entry claims
+   * @returns {Object<string, {events: number, address: string|null}>}
+   */
+  static getUntrackedVenues() {
+    const merged = {};
+    for (const feed of feeds.values()) {
+      Object.entries(feed.untracked).forEach(([name, entry]) => {
+        const existing = merged[name] || { events: 0, address: entry.address };
+        existing.events += entry.events;
+        merged[name] = existing;
+      });
+    }
+    return merged;
+  }
+
+  /**
+   * Venues not to report as untracked: every registry entry, by its venueMatch/venueExclude
+   * options or, without matchers, its name
+   * @param {Object[]} venues - The full registry, not just the venues being scraped
+   */
+  static setRegistry(venues) {
+    registeredVenues = venues.map(venue => {
+      const match = toLowerList(venue.options?.venueMatch);
+      return {
+        match: match.length > 0 ? match : [venue.name.toLowerCase()],
+        exclude: toLowerList(venue.options?.venueExclude)
+      };
+    });
+  }
+
+  /**
+   * Drop all shared feeds and the registry (for a fresh run or between tests)
+   */
+  static resetFeeds() {
+    feeds.clear();
+    registeredVenues = [];
+  }
+}
+
+export { EventbriteFeed };
+export default EventbriteScraper;
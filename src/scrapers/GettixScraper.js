@@ -0,0 +1,47 @@
+/**
+ * GettixScraper - Venues selling through the gettix.online events API
+ * Registry source: "gettix:{venue}"; set options.linkBase to the venue's own site,
+ * since gettix returns ticket links relative to it rather than to gettix.online
+ */
+
+import BaseScraper from './BaseScraper.js';
+
+class GettixScraper extends BaseScraper {
+  static platform = 'gettix';
+
+  static pagination = { type: 'cursor', getNextUrl: data => GettixScraper.getNextPageUrl(data), maxPages: 5 };
+
+  static buildUrl(venue) {
+    return `https://gettix.online/api/events?venue=${encodeURIComponent(venue)}`;
+  }
+
+  constructor(venueName, baseUrl, options = {}) {
+    super(venueName, baseUrl, options);
+    this.linkBase = options.linkBase || 'https://gettix.online';
+  }
+
+  async scrape() {
+    return this.paginate(data => {
+      const items = data?.data || (Array.isArray(data) ? data : []);
+      return items.map(item => this.parseItem(item)).filter(event => event.title);
+    });
+  }
+
+  parseItem(item) {
+    const title = (item.name || '').trim();
+    const dateStr = item.date || item.starts_at || '';
+    const link = this.resolveUrl(item.link || item.ticket_link || '', this.linkBase);
+    const parsedDate = dateStr ? this.parseEventDate(dateStr, title) : null;
+    return this.createEvent({ title, date: dateStr, link, parsedDate });
+  }
+
+  /**
+   * Laravel-style paginated responses expose the next page as links.next or next_page_url
+   */
+  static getNextPageUrl(data) {
+    if (!data || Array.isArray(data)) return null;
+    return data.links?.next || data.next_page_url || data.meta?.next_page_url || null;
+  }
+}
+
+export default GettixScraper;
@@ -0,0 +1,42 @@
+/**
+ * GigseekrScraper - Venue pages on gigseekr.com
+ * Registry source: "gigseekr:{venue-slug}/{venueId}", e.g. "gigseekr:the-prince-albert/6a"
+ * (the city defaults to Brighton; set options.city for venues elsewhere)
+ */
+
+import BaseScraper from './BaseScraper.js';
+
+class GigseekrScraper extends BaseScraper {
+  static platform = 'gigseekr';
+
+  static pagination = { type: 'nextLink', selector: '.pagination a[rel="next"], .pagination .next a', maxPages: 3 };
+
+  static buildUrl(platformId, options = {}) {
+    const [venueSlug, venueId] = platformId.split('/');
+    const city = options.city || 'brighton';
+    return `https://www.gigseekr.com/uk/en/${city}/${venueSlug}/venue/${venueId}`;
+  }
+
+  async scrape() {
+    return this.paginate(($, { url }) => this.parseListing($, url));
+  }
+
+  /**
+   * Event cards split the date into day / month / year elements; links are site-relative
+   */
+  parseListing($, pageUrl) {
+    return $('.event-container .basic-event').map((_, element) => {
+      const day = $(element).find('.date-container .day').text().trim();
+      const month = $(element).find('.date-container .month').text().trim();
+      const year = $(element).find('.date-container .year').text().trim();
+      const title = $(element).find('.details h3 a').text().trim();
+      const date = `${day} ${month} ${year}`;
+      const link = this.resolveUrl($(element).find('.details h3 a').attr('href'), pageUrl);
+      const parsedDate = this.parseEventDate(date, title);
+
+      return this.createEvent({ title, date, link, parsedDate });
+    }).get();
+  }
+}
+
+export default GigseekrScraper;
@@ -0,0 +1,211 @@
+/**
+ * JsonLdScraper - Base class for venues that publish schema.org events as JSON-LD
+ * Handles single objects, arrays, @graph and ItemList payloads in one place, so a
+ * JSON-LD venue only needs a URL and an optional venue-name filter. Listings split
+ * across pages set nextPageSelector (and maxPages) to follow the "next" link, or
+ * any other BaseScraper pagination strategy.
+ */
+
+import BaseScraper from './BaseScraper.js';
+import { parseClockTime } from '../utils/event-times.js';
+
+// schema.org Event and the subtypes venues actually use; anything ending in "Event" is also accepted
+const EVENT_TYPES = new Set(['Event', 'MusicEvent', 'Festival', 'ComedyEvent', 'TheaterEvent', 'DanceEvent', 'SocialEvent']);
+
+const EVENT_STATUSES = {
+  EventScheduled: 'scheduled',
+  EventCancelled: 'cancelled',
+  EventPostponed: 'postponed',
+  EventRescheduled: 'rescheduled',
+  EventMovedOnline: 'moved_online'
+};
+
+const toList = (value) => {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+// "https://schema.org/MusicEvent" and "MusicEvent" both become "MusicEvent"
+const stripSchemaPrefix = (value) => String(value).replace(/^https?:\/\/schema\.org\//i, '');
+
+class JsonLdScraper extends BaseScraper {
+  constructor(venueName, baseUrl, options = {}) {
+    super(venueName, baseUrl, options);
+    this.venueMatch = toList(options.venueMatch).map(name => name.toLowerCase());
+    this.venueExclude = toList(options.venueExclude).map(name => name.toLowerCase());
+    this.nextPageSelector = options.nextPageSelector || null;
+
+    if (!this.pagination && this.nextPageSelector) {
+      this.pagination = { type: 'nextLink', selector: this.nextPageSelector, maxPages: options.maxPages || 1 };
+    }
+  }
+
+  async scrape() {
+    return this.paginate(($, { url }) => this.extractJsonLdEvents($, url));
+  }
+
+  /**
+   * Parse every JSON-LD block on the page and build events from the Event nodes
+   * Relative event URLs are resolved against pageUrl
+   */
+  extractJsonLdEvents($, pageUrl = this.baseUrl) {
+    const events = [];
+
+    $('script[type="application/ld+json"]').each((_, element) => {
+      const nodes = JsonLdScraper.collectEventNodes(this.parseJsonLd($(element).html()));
+
+      nodes.forEach(node => {
+        if (!this.matchesVenue(node)) return;
+
+        const event = this.normaliseEvent(node);
+        event.link = this.resolveUrl(event.link, pageUrl);
+        if (event.title) events.push(this.createEvent(event));
+      });
+    });
+
+    return events;
+  }
+
+  /**
+   * Parse a JSON-LD block, tolerating raw control characters some CMSs leave in strings
+   */
+  parseJsonLd(raw) {
+    if (!raw) return null;
+
+    try {
+      return JSON.parse(raw);
+    } catch {
+      try {
+        return JSON.parse(raw.replace(/\p{Cc}+/gu, ' '));
+      } catch (error) {
+        console.warn(`${this.venueName} - Failed to parse JSON-LD: ${error.message}`);
+        return null;
+      }
+    }
+  }
+
+  /**
+   * Walk a JSON-LD payload and return every Event-like node
+   * Handles arrays, @graph containers and ItemList itemListElement entries
+   */
+  static collectEventNodes(data, nodes = []) {
+    if (!data || typeof data !== 'object') return nodes;
+
+    if (Array.isArray(data)) {
+      data.forEach(item => JsonLdScraper.collectEventNodes(item, nodes));
+      return nodes;
+    }
+
+    if (JsonLdScraper.isEventType(data['@type'])) {
+      nodes.push(data);
+      return nodes;
+    }
+
+    if (data['@graph']) {
+      JsonLdScraper.collectEventNodes(data['@graph'], nodes);
+    }
+
+    if (data.itemListElement) {
+      // ListItem wraps the event in "item"; some sites put the event in the list directly
+      toList(data.itemListElement).forEach(listItem => {
+        JsonLdScraper.collectEventNodes(listItem?.item || listItem, nodes);
+      });
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Check an @type value (string or array) against the supported event types
+   */
+  static isEventType(type) {
+    return toList(type).some(entry => {
+      const name = stripSchemaPrefix(entry);
+      return EVENT_TYPES.has(name) || (name.endsWith('Event') && name !== 'EventSeries');
+    });
+  }
+
+  /**
+   * Apply the optional venueMatch / venueExclude filters to an event's location
+   */
+  matchesVenue(node) {
+    if (this.venueMatch.length === 0 && this.venueExclude.length === 0) return true;
+
+    const location = JsonLdScraper.normaliseLocation(node.location);
+    const haystack = `${location?.name || ''} ${location?.address || ''}`.toLowerCase();
+
+    if (this.venueExclude.some(name => haystack.includes(name))) return false;
+    return this.venueMatch.length === 0 || this.venueMatch.some(name => haystack.includes(name));
+  }
+
+  /**
+   * Map a schema.org Event node to createEvent() input
+   */
+  normaliseEvent(node) {
+    const title = (typeof node.name === 'string' ? node.name : '').trim();
+    const startDate = node.startDate || '';
+
+    return {
+      title,
+      date: startDate,
+      link: node.url || toList(node.offers)[0]?.url || '',
+      parsedDate: startDate ? this.parseEventDate(startDate, title) : null,
+      endDate: node.endDate || null,
+      doorsTime: parseClockTime(node.doorTime),
+      endTime: /T\d{2}:\d{2}/.test(node.endDate || '') ? parseClockTime(node.endDate) : null,
+      eventStatus: JsonLdScraper.normaliseStatus(node.eventStatus),
+      location: JsonLdScraper.normaliseLocation(node.location),
+      offers: JsonLdScraper.normaliseOffers(node.offers),
+      performers: JsonLdScraper.normalisePerformers(node.performer),
+      image: JsonLdScraper.normaliseImage(node.image)
+    };
+  }
+
+  static normaliseStatus(status) {
+    if (!status) return null;
+    const name = stripSchemaPrefix(status);
+    return EVENT_STATUSES[name] || name;
+  }
+
+  static normaliseLocation(location) {
+    const place = toList(location).find(entry => entry && typeof entry === 'object') ||
+      (typeof location === 'string' ? { name: location } : null);
+    if (!place) return null;
+
+    let address = place.address || null;
+    if (address && typeof address === 'object') {
+      address = [address.streetAddress, address.addressLocality, address.postalCode]
+        .filter(Boolean)
+        .join(', ');
+    }
+
+    if (!place.name && !address) return null;
+    return { name: place.name || null, address: address || null };
+  }
+
+  static normaliseOffers(offers) {
+    return toList(offers)
+      .filter(offer => offer && typeof offer === 'object')
+      .map(offer => ({
+        price: offer.price ?? offer.lowPrice ?? null,
+        currency: offer.priceCurrency || null,
+        url: offer.url || null,
+        availability: offer.availability ? stripSchemaPrefix(offer.availability) : null
+      }));
+  }
+
+  static normalisePerformers(performers) {
+    return toList(performers)
+      .map(performer => (typeof performer === 'string' ? performer : performer?.name))
+      .filter(name => typeof name === 'string' && name.trim().length > 0)
+      .map(name => name.trim());
+  }
+
+  static normaliseImage(image) {
+    const first = toList(image)[0];
+    if (!first) return null;
+    return typeof first === 'string' ? first : first.url || first.contentUrl || null;
+  }
+}
+
+export default JsonLdScraper;
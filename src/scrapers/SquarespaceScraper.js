@@ -0,0 +1,127 @@
+/**
+ * SquarespaceScraper - Reads Squarespace collections through their ?format=json view
+ *
+ * Walks every page of the collection via pagination.nextPageUrl, prefers the
+ * `upcoming` list of event collections over `items`, and uses startDate/endDate
+ * where the collection has them. Venues with unusual listings override
+ * extractItem() to pull the title and date from elsewhere.
+ */
+
+import * as cheerio from 'cheerio';
+import BaseScraper from './BaseScraper.js';
+import { getLondonDateKey, getLondonDayRange } from '../utils/london-time.js';
+
+class SquarespaceScraper extends BaseScraper {
+  constructor(venueName, baseUrl, options = {}) {
+    super(venueName, baseUrl, options);
+    this.includePast = options.includePast || false;
+    this.pagination = {
+      type: 'cursor',
+      startUrl: SquarespaceScraper.toJsonUrl(baseUrl, baseUrl),
+      getNextUrl: data => (data?.pagination?.nextPage
+        ? SquarespaceScraper.toJsonUrl(data.pagination.nextPageUrl, baseUrl)
+        : null),
+      // Pages without usable items are skipped rather than ending the walk
+      continueWhenEmpty: true,
+      maxPages: options.maxPages || 10,
+      ...this.pagination
+    };
+  }
+
+  async scrape() {
+    return this.paginate(data => {
+      const pageEvents = SquarespaceScraper.getCollectionItems(data)
+        .map(item => this.buildEvent(item))
+        .filter(Boolean);
+      const upcoming = pageEvents.filter(event => this.includePast || !this.isPast(event));
+
+      // Item collections run newest-first, so a page of only past events means we've hit the archive
+      return { events: upcoming, stop: pageEvents.length > 0 && upcoming.length === 0 };
+    });
+  }
+
+  /**
+   * Turn one collection item into an event, or null to skip it
+   */
+  buildEvent(item) {
+    const extracted = this.extractItem(item);
+    if (!extracted || !extracted.title) return null;
+
+    // Extractors that gave a parsed date or a raw timestamp aren't parsed again
+    const parsedDate = extracted.parsedDate !== undefined || extracted.dateUnix !== undefined
+      ? extracted.parsedDate
+      : (extracted.date ? this.parseEventDate(extracted.date, extracted.title) : null);
+
+    return this.createEvent({
+      ...extracted,
+      link: extracted.link || this.resolveLink(item.fullUrl),
+      parsedDate
+    });
+  }
+
+  /**
+   * Default extractor: HTML-free title plus the collection's startDate/endDate
+   * Override per venue when the date lives in the title or excerpt instead
+   * @returns {{title: string, date: string, parsedDate?: Object, dateUnix?: number, endDate?: string, endDateUnix?: number}|null}
+   */
+  extractItem(item) {
+    const title = SquarespaceScraper.stripHtml(item.title);
+    if (!item.startDate) return { title, date: '' };
+
+    const end = item.endDate ? new Date(item.endDate).getTime() : null;
+    return {
+      title,
+      date: new Date(item.startDate).toISOString(),
+      parsedDate: this.parseEventDate(item.startDate, title),
+      endDate: end ? new Date(end).toISOString() : null,
+      // Events running past their first day span to the start of the last one, as date ranges do
+      ...(end && getLondonDateKey(end) !== getLondonDateKey(item.startDate) && { endDateUnix: getLondonDayRange(end).start })
+    };
+  }
+
+  resolveLink(fullUrl) {
+    if (!fullUrl) return null;
+    return new URL(fullUrl, this.baseUrl).href;
+  }
+
+  /**
+   * Past if it finished (or, without an end, started) before the reference day began in Brighton
+   */
+  isPast(event) {
+    const reference = event.endDate ? Date.parse(event.endDate) : event.dateUnix;
+    if (!reference) return false;
+
+    return reference < getLondonDayRange(this.referenceDate).start;
+  }
+
+  /**
+   * Event collections return `upcoming`/`past`; everything else returns `items`
+   */
+  static getCollectionItems(data) {
+    if (Array.isArray(data?.upcoming)) return data.upcoming;
+    if (Array.isArray(data?.items)) return data.items;
+    return [];
+  }
+
+  /**
+   * Resolve a (possibly relative) collection URL and force the JSON view,
+   * carrying over query parameters such as ?category= from the base URL
+   */
+  static toJsonUrl(url, baseUrl) {
+    const resolved = new URL(url, baseUrl);
+    const base = new URL(baseUrl);
+
+    base.searchParams.forEach((value, key) => {
+      if (!resolved.searchParams.has(key)) resolved.searchParams.set(key, value);
+    });
+    resolved.searchParams.set('format', 'json');
+    return resolved.href;
+  }
+
+  static stripHtml(html) {
+    if (!html) return '';
+    return cheerio.load(`<div>${html}</div>`)('div').text().replace(/\s+/g, ' ').trim();
+  }
+}
+
+export default SquarespaceScraper;
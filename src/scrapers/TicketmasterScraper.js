@@ -0,0 +1,25 @@
+/**
+ * TicketmasterScraper - Venue pages on ticketmaster.co.uk/venue/{id}
+ * Registry source: "ticketmaster:{venueId}"
+ */
+
+import JsonLdScraper from './JsonLdScraper.js';
+
+class TicketmasterScraper extends JsonLdScraper {
+  static platform = 'ticketmaster';
+
+  static buildUrl(venueId) {
+    return `https://www.ticketmaster.co.uk/venue/${encodeURIComponent(venueId)}`;
+  }
+
+  constructor(venueName, baseUrl, options = {}) {
+    // Venue pages publish MusicEvent JSON-LD (sometimes in @graph) and page with ?page=N links
+    super(venueName, baseUrl, {
+      nextPageSelector: 'a[rel="next"], a[aria-label="Next page"]',
+      maxPages: 3,
+      ...options
+    });
+  }
+}
+
+export default TicketmasterScraper;
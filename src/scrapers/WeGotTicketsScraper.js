@@ -0,0 +1,25 @@
+/**
+ * WeGotTicketsScraper - Venue listings on wegottickets.com/location/{id}
+ * Registry source: "wegottickets:{locationId}"
+ */
+
+import JsonLdScraper from './JsonLdScraper.js';
+
+class WeGotTicketsScraper extends JsonLdScraper {
+  static platform = 'wegottickets';
+
+  static buildUrl(locationId) {
+    return `https://wegottickets.com/location/${encodeURIComponent(locationId)}`;
+  }
+
+  constructor(venueName, baseUrl, options = {}) {
+    // Location pages list 10 events each with a "next" link; event URLs can be site-relative
+    super(venueName, baseUrl, {
+      nextPageSelector: 'a.pagination_link_text.nextlink, a[rel="next"]',
+      maxPages: 5,
+      ...options
+    });
+  }
+}
+
+export default WeGotTicketsScraper;
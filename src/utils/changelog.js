@@ -0,0 +1,116 @@
+/**
+ * Changelog - What changed in events.json since the last run
+ *
+ * Events are matched by id first. An id covers venue, date and title, so a gig
+ * that moved date or was renamed gets a new one; leftover events are then paired
+ * within a venue by link, and failing that by title, and reported as updated.
+ * Whatever is still unmatched is added or removed. Events that simply went past
+ * their date aren't "removed".
+ */
+
+import { normaliseTitle } from './event-ids.js';
+
+// Recent changelogs kept in the history file
+const CHANGES_HISTORY_SIZE = 30;
+
+// Fields whose changes are reported; bookkeeping like scrapedAt and lastSeen is ignored
+const TRACKED_FIELDS = [
+  'title', 'date', 'dateUnix', 'endDate', 'endDateUnix', 'link', 'eventStatus',
+  'doorsTime', 'startTime', 'endTime', 'support', 'price', 'ageLimit'
+];
+
+/**
+ * Field-level differences between two versions of an event
+ * @returns {Object<string, {before: *, after: *}>}
+ */
+const diffEvent = (before, after) => Object.fromEntries(TRACKED_FIELDS
+  .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+  .map(field => [field, { before: before[field] ?? null, after: after[field] ?? null }]));
+
+/**
+ * Pair unmatched previous and current events that agree on keyOf, one-to-one
+ * Keys shared by several events on either side are ambiguous and left alone
+ */
+const pairBy = (previous, current, keyOf) => {
+  const group = (events) => events.reduce((groups, event) => {
+    const key = keyOf(event);
+    if (key) groups.set(key, [...(groups.get(key) || []), event]);
+    return groups;
+  }, new Map());
+
+  const previousGroups = group(previous);
+  const pairs = [];
+  group(current).forEach((events, key) => {
+    const candidates = previousGroups.get(key);
+    if (events.length === 1 && candidates?.length === 1) pairs.push([candidates[0], events[0]]);
+  });
+  return pairs;
+};
+
+/**
+ * Compare this run's events with the previous events.json
+ * @param {Object[]} previousEvents - Events from the last run (with ids)
+ * @param {Object[]} currentEvents - Events about to be written (with ids)
+ * @param {Object} options - { now, generatedAt }
+ * @returns {{generatedAt: string, summary: Object, added: Object[], updated: Object[], removed: Object[]}}
+ */
+const buildChangelog = (previousEvents, currentEvents, options = {}) => {
+  const { now = Date.now(), generatedAt = new Date(now).toISOString() } = options;
+  const currentIds = new Set(currentEvents.map(event => event.id));
+  const previousById = new Map(previousEvents.filter(event => event.id).map(event => [event.id, event]));
+
+  const pairs = [];
+  let unmatchedPrevious = previousEvents.filter(event => !event.id || !currentIds.has(event.id));
+  let unmatchedCurrent = currentEvents.filter(event => {
+    const previous = previousById.get(event.id);
+    if (previous) pairs.push([previous, event]);
+    return !previous;
+  });
+
+  [
+    event => (event.link ? `${event.venue}|${event.link}` : null),
+    event => `${event.venue}|${normaliseTitle(event.title)}`
+  ].forEach(keyOf => {
+    const matched = pairBy(unmatchedPrevious, unmatchedCurrent, keyOf);
+    pairs.push(...matched);
+    unmatchedPrevious = unmatchedPrevious.filter(event => !matched.some(([previous]) => previous === event));
+    unmatchedCurrent = unmatchedCurrent.filter(event => !matched.some(([, current]) => current === event));
+  });
+
+  const updated = pairs
+    .map(([previous, current]) => ({ previous, current, changes: diffEvent(previous, current) }))
+    .filter(({ changes }) => Object.keys(changes).length > 0)
+    .map(({ previous, current, changes }) => ({
+      id: current.id,
+      ...(previous.id && previous.id !== current.id && { previousId: previous.id }),
+      venue: current.venue,
+      title: current.title,
+      changes
+    }));
+
+  // Gone before its date; events that have simply happened aren't news
+  const removed = unmatchedPrevious.filter(event => event.dateUnix === null || (event.endDateUnix ?? event.dateUnix) >= now);
+
+  return {
+    generatedAt,
+    summary: { added: unmatchedCurrent.length, updated: updated.length, removed: removed.length },
+    added: unmatchedCurrent,
+    updated,
+    removed
+  };
+};
+
+/**
+ * Whether a changelog has anything in it
+ */
+const hasChanges = ({ summary }) => summary.added + summary.updated + summary.removed > 0;
+
+/**
+ * Add a changelog to the rolling history, newest first; empty ones are skipped
+ */
+const appendChangesHistory = (history, changelog, size = CHANGES_HISTORY_SIZE) => {
+  const entries = Array.isArray(history) ? history : [];
+  return hasChanges(changelog) ? [changelog, ...entries].slice(0, size) : entries;
+};
+
+export { CHANGES_HISTORY_SIZE, TRACKED_FIELDS, diffEvent, buildChangelog, hasChanges, appendChangesHistory };
@@ -2,6 +2,9 @@
  * Data validation utilities for event data
  */
 
+import { getLondonParts } from './london-time.js';
+import { LOW_CONFIDENCE } from './date-parser.js';
+
 const validateEvent = (event, context = {}) => {
   const errors = [];
   const warnings = [];
@@ -122,9 +125,21 @@ const validateEvent = (event, context = {}) => {
         });
       }
       
+      // Multi-day events run until their last day
+      const lastDate = typeof event.endDateUnix === 'number' ? new Date(event.endDateUnix) : eventDate;
+      if (lastDate < eventDate) {
+        warnings.push({
+          type: 'invalid_end_date',
+          message: 'Event ends before it starts',
+          field: 'endDateUnix',
+          value: event.endDateUnix,
+          context: errorContext
+        });
+      }
+
       // Check if event is in the past (warning, not error)
-      if (eventDate < now) {
-        const daysPast = Math.floor((now - eventDate) / (1000 * 60 * 60 * 24));
+      if (lastDate < now) {
+        const daysPast = Math.floor((now - lastDate) / (1000 * 60 * 60 * 24));
         if (daysPast > 1) {
           warnings.push({
             type: 'past_event',
@@ -136,6 +151,31 @@ const validateEvent = (event, context = {}) => {
           });
         }
       }
+
+      // A listing without a year leaves it to the parser's guess, which can be a year out
+      if (event.yearInferred) {
+        warnings.push({
+          type: 'inferred_year',
+          message: 'Event date has no year; the year was inferred',
+          field: 'date',
+          value: event.date,
+          inferredYear: getLondonParts(event.dateUnix).year,
+          context: errorContext
+        });
+      }
+
+      // Rebuilt token by token from a noisy date string; kept, but worth a look
+      if (typeof event.dateConfidence === 'number' && event.dateConfidence < LOW_CONFIDENCE) {
+        warnings.push({
+          type: 'low_confidence_date',
+          message: `Event date was pieced together from "${event.date}" (confidence ${event.dateConfidence})`,
+          field: 'date',
+          value: event.date,
+          parsedDate: eventDate.toISOString(),
+          confidence: event.dateConfidence,
+          context: errorContext
+        });
+      }
     }
   }
   
@@ -287,4 +327,4 @@ const validateEvents = (events, context = {}) => {
   return results;
 };
 
-export { validateEvent, validateEvents };
\ No newline at end of file
+export { validateEvent, validateEvents, calculateTitleSimilarity };
\ No newline at end of file
@@ -1,272 +1,599 @@
 /**
- * Converts various date/time formats to Unix timestamp (milliseconds since epoch)
- * @param {string|Date|number} input - Date input in various formats
- * @returns {number} Unix timestamp in milliseconds
- * @throws {Error} If the input format is invalid or cannot be parsed
+ * Date Parser - Listing dates to timestamps, read as Brighton wall-clock times
+ *
+ * Formats are a registry of named patterns, tried in order until one gives a date.
+ * A pattern has a precompiled `regex` and optionally `parse(match, context)`; without
+ * one, the regex's named groups (day, month or monthName, year or shortYear, hour,
+ * minute, second, meridiem) are read as a London date. parse() returns a result from
+ * context.result(), or null or a reason string when the match isn't a date after all.
+ * `match` is the regex match, or the input itself for a pattern with no regex.
+ *
+ * Scrapers add venue formats and move the patterns they rely on to the front through
+ * BaseScraper's `static dateParsing` (see DateParser.extend()). With `debug`, a parse
+ * reports every pattern it tried and why each one didn't match.
+ */
+
+import { fromLondonTime, getLondonParts, getLondonDateKey, isCalendarDate } from './london-time.js';
+
+// An explicit UTC offset or zone name; strings without one are Brighton wall-clock times
+const EXPLICIT_ZONE = /(?:\dZ|[+-]\d{2}:?\d{2}|\b(?:GMT|UTC)\b.*)$/i;
+
+// Month name to number mapping
+const MONTHS = {
+  'january': 0, 'jan': 0,
+  'february': 1, 'feb': 1,
+  'march': 2, 'mar': 2,
+  'april': 3, 'apr': 3,
+  'may': 4,
+  'june': 5, 'jun': 5,
+  'july': 6, 'jul': 6,
+  'august': 7, 'aug': 7,
+  'september': 8, 'sep': 8, 'sept': 8,
+  'october': 9, 'oct': 9,
+  'november': 10, 'nov': 10,
+  'december': 11, 'dec': 11
+};
+
+// Weekday names and abbreviations to Date's 0 (Sunday) to 6
+const WEEKDAYS = {
+  'sunday': 0, 'sun': 0,
+  'monday': 1, 'mon': 1,
+  'tuesday': 2, 'tue': 2, 'tues': 2,
+  'wednesday': 3, 'wed': 3, 'weds': 3,
+  'thursday': 4, 'thu': 4, 'thur': 4, 'thurs': 4,
+  'friday': 5, 'fri': 5,
+  'saturday': 6, 'sat': 6
+};
+
+// An optional time after a relative day: "Tonight 8pm", "Friday at 7.30pm", "Tomorrow - 19:30"
+const RELATIVE_TIME = String.raw`(?:\s*(?:[-–—,@]|at|from)?\s*(?<hour>\d{1,2})(?:[:.](?<minute>\d{2}))?\s*(?<meridiem>am|pm)?)?[!.]*`;
+
+// One end of a date range: "Fri 3", "3rd", "3 May", "May 3", "Sun 5 May 2026"
+const RANGE_PART = /^(?:(?:mon|tue|wed|thu|fri|sat|sun)[a-z]*,?\s+)?(?:(?<day>\d{1,2})(?:st|nd|rd|th)?(?:\s+(?<monthName>[a-z]{3,9}))?|(?<monthFirst>[a-z]{3,9})\s+(?<dayAfter>\d{1,2})(?:st|nd|rd|th)?)(?:,?\s+(?<year>\d{4}))?$/i;
+const RANGE_SEPARATOR = /\s*(?:[-–—]|\bto\b|\buntil\b)\s*/gi;
+
+// Clues for strings left to the built-in parser
+const HAS_CLOCK_TIME = /\d:\d{2}|\d\s*[ap]\.?m\b/i;
+const HAS_FULL_YEAR = /\b\d{4}\b/;
+
+// Free-text fallback: clock times and UK numeric dates anywhere in a noisy string
+const TEXT_TIME = /\b(?<hour>\d{1,2})(?:[:.](?<minute>\d{2}))?\s*(?<meridiem>am|pm)\b|\b(?<hour24>\d{1,2}):(?<minute24>\d{2})\b/gi;
+const TEXT_NUMERIC_DATE = /\b(?<day>\d{1,2})(?<separator>[/.-])(?<month>\d{1,2})(?:\k<separator>(?<year>\d{4}|\d{2}))?\b/g;
+
+// Free-text results below this confidence are flagged by the validator; below MIN_CONFIDENCE they're dropped
+const LOW_CONFIDENCE = 0.8;
+const MIN_CONFIDENCE = 0.4;
+
+// Patterns whose dates count from the day they're parsed ("Tonight", "Friday", "2 days ago")
+const RELATIVE_DATE_PATTERNS = ['yesterday', 'today', 'relative-day', 'relative-weekday', 'relative'];
+
+const TIME_UNITS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * What a parse found, alongside the timestamp
+ * precision is 'exact' for absolute instants (timestamps, strings with an offset),
+ * 'minute' for wall-clock times, 'day' for dates alone and 'approximate' for "2 days ago";
+ * endTimestamp is only set for date ranges
+ */
+const createResult = (timestamp, pattern, {
+  hasTime = false,
+  hasYear = true,
+  yearInferred = false,
+  precision = hasTime ? 'minute' : 'day',
+  endTimestamp = null
+} = {}) => ({ timestamp, endTimestamp, hasTime, hasYear, yearInferred, precision, pattern });
+
+/**
+ * Per-parse state handed to each pattern
+ * The reference day in Brighton is only worked out once, and only if a pattern needs it
  */
-const toUnixTimestamp = (input) => {
-    // ================ HANDLE NON-STRING INPUTS ================
+const createContext = (input, reference) => {
+  let today;
+  const context = {
+    input,
+    reference,
+    pattern: null,
+    today: () => (today ??= { ...getLondonParts(reference), key: getLondonDateKey(reference) }),
+    // If the date has already passed in Brighton this year, assume next year
+    inferYear: (month, day) => {
+      const { year, key } = context.today();
+      const dateKey = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+      return dateKey < key ? year + 1 : year;
+    },
+    result: (timestamp, flags) => createResult(timestamp, context.pattern, flags)
+  };
+  return context;
+};
+
+/**
+ * 24-hour { hour, minute } from hour, minute and meridiem groups, or why they aren't a time
+ */
+const clockTime = (groups) => {
+  let hour = Number(groups.hour);
+  const minute = Number(groups.minute ?? 0);
+  const meridiem = groups.meridiem?.toLowerCase();
+  if (minute > 59 || (meridiem ? hour < 1 || hour > 12 : hour > 23)) return 'not a clock time';
+  if (meridiem === 'pm' && hour !== 12) hour += 12;
+  if (meridiem === 'am' && hour === 12) hour = 0;
+  return { hour, minute };
+};
+
+/**
+ * Read a match's named groups as a London date, and time if there is an hour
+ * A missing year is the current one, or inferred from the reference date with
+ * `inferYear` (the next occurrence that hasn't passed)
+ * @returns {Object|string} A parse result, or why the groups aren't a date
+ */
+const fromGroups = (groups, context, { inferYear = false } = {}) => {
+  const day = Number(groups.day);
+  const month = groups.monthName !== undefined ? MONTHS[groups.monthName.toLowerCase()] : Number(groups.month) - 1;
+  if (month === undefined || !(month >= 0 && month <= 11)) return `unknown month "${groups.monthName ?? groups.month}"`;
+
+  const hasYear = groups.year !== undefined || groups.shortYear !== undefined;
+  let year;
+  if (groups.year !== undefined) year = Number(groups.year);
+  else if (groups.shortYear !== undefined) year = 2000 + Number(groups.shortYear);
+  else year = inferYear ? context.inferYear(month, day) : context.today().year;
+
+  if (!isCalendarDate(year, month, day)) return 'not a calendar date';
+  const yearFlags = { hasYear, yearInferred: !hasYear };
+  if (groups.hour === undefined) return context.result(fromLondonTime(year, month, day), yearFlags);
+
+  const time = clockTime(groups);
+  if (typeof time === 'string') return time;
+
+  const second = Number(groups.second ?? 0);
+  const ms = Number((groups.fraction ?? '0').padEnd(3, '0'));
+  return context.result(fromLondonTime(year, month, day, time.hour, time.minute, second, ms), { ...yearFlags, hasTime: true });
+};
+
+/**
+ * A day counted forward from the reference day in Brighton, with the time if one was given
+ * The year is known from the reference date, so it isn't reported as inferred
+ */
+const fromRelativeDay = (days, groups, context) => {
+  const { year, month, day } = context.today();
+  const flags = { hasYear: false };
+  if (groups.hour === undefined) return context.result(fromLondonTime(year, month, day + days), flags);
+
+  // "Friday 13" is a date without a month, not 1pm
+  if (!groups.meridiem && groups.minute === undefined) return 'a bare number, not a time';
+  const time = clockTime(groups);
+  if (typeof time === 'string') return time;
+  return context.result(fromLondonTime(year, month, day + days, time.hour, time.minute), { ...flags, hasTime: true });
+};
+
+/**
+ * Read one end of a range into { day, month, year }; month and year may be missing
+ */
+const parseRangePart = (text) => {
+  const match = text.match(RANGE_PART);
+  if (!match) return null;
+
+  const { day, monthName, monthFirst, dayAfter, year } = match.groups;
+  const month = MONTHS[(monthName || monthFirst || '').toLowerCase()];
+  if ((monthName || monthFirst) && month === undefined) return null;
+  return { day: Number(day || dayAfter), month, year: year ? Number(year) : undefined };
+};
+
+/**
+ * Date ranges for festivals, weekenders and residencies
+ * Examples: "Fri 3 – Sun 5 May", "3rd–5th May 2026", "May 3 - June 28", "Jun 12-14"
+ * Either end borrows the month and year the other one names. Without a year, the range is
+ * placed so that it hasn't finished yet in Brighton; a start month after the end
+ * month means the range crosses New Year
+ * @returns {Object|null} A parse result whose endTimestamp is the start of the last day
+ */
+const parseDateRange = (input, context) => {
+  for (const separator of input.matchAll(RANGE_SEPARATOR)) {
+    const start = parseRangePart(input.slice(0, separator.index));
+    const end = parseRangePart(input.slice(separator.index + separator[0].length));
+    if (!start || !end || (start.month === undefined && end.month === undefined)) continue;
+
+    // "Jun 12-14" names the month once at the start, "12 - 14 June" once at the end
+    const startMonth = start.month ?? end.month;
+    const endMonth = end.month ?? start.month;
+    const hasYear = end.year !== undefined || start.year !== undefined;
+    const endYear = end.year ??
+      (start.year !== undefined ? start.year + (startMonth > endMonth ? 1 : 0) : context.inferYear(endMonth, end.day));
+    const startYear = start.year ?? (startMonth > endMonth ? endYear - 1 : endYear);
+
+    if (!isCalendarDate(startYear, startMonth, start.day) || !isCalendarDate(endYear, endMonth, end.day)) continue;
+    const timestamp = fromLondonTime(startYear, startMonth, start.day);
+    const endTimestamp = fromLondonTime(endYear, endMonth, end.day);
+    if (endTimestamp < timestamp) continue;
+
+    return context.result(timestamp, { hasYear, yearInferred: !hasYear, endTimestamp });
+  }
+  return null;
+};
+
+/**
+ * The built-in formats, in the order they're tried
+ */
+const DEFAULT_PATTERNS = [
+  {
+    // "05/09/25 7:30pm", "15/12/24 11:45am"; before the built-in parser so it's read as UK DD/MM/YY
+    name: 'ddmmyy-time',
+    regex: /^(?<day>\d{1,2})\/(?<month>\d{1,2})\/(?<shortYear>\d{2})\s+(?<hour>\d{1,2}):(?<minute>\d{2})\s*(?<meridiem>am|pm)$/i
+  },
+  {
+    // "2025-11-27T19:00", "2025-11-27T19:00:00", "2025-11-27" without an offset
+    // Date-only ISO strings would otherwise be read as UTC, and date-times as machine-local time
+    name: 'iso-8601',
+    regex: /^(?<year>\d{4})-(?<month>\d{2})-(?<day>\d{2})(?:[T ](?<hour>\d{2}):(?<minute>\d{2})(?::(?<second>\d{2})(?:\.(?<fraction>\d{1,3}))?)?)?$/
+  },
+  {
+    // Anything else the built-in parser reads, as long as it has a year or a zone:
+    // without a year it quietly assumes 2001, so those are left to the patterns below
+    name: 'native',
+    parse: (input, context) => {
+      const hasZone = EXPLICIT_ZONE.test(input);
+      const hasYear = HAS_FULL_YEAR.test(input);
+      if (!hasYear && !hasZone) return 'no year or offset';
+
+      const standardDate = new Date(input);
+      if (isNaN(standardDate.getTime())) return 'not a date to the built-in parser';
+      const flags = { hasTime: HAS_CLOCK_TIME.test(input), hasYear };
+      if (hasZone) return context.result(standardDate.getTime(), { ...flags, precision: 'exact' });
+
+      // Parsed as machine-local wall-clock time; read the same wall-clock time in London
+      return context.result(fromLondonTime(
+        standardDate.getFullYear(), standardDate.getMonth(), standardDate.getDate(),
+        standardDate.getHours(), standardDate.getMinutes(), standardDate.getSeconds(), standardDate.getMilliseconds()
+      ), flags);
+    }
+  },
+  {
+    // "31st October 2024 - 7:30 pm", "5th September 2025 at 7:00 pm"
+    name: 'ordinal-date-time',
+    regex: /^(?<day>\d{1,2})(?:st|nd|rd|th)\s+(?<monthName>[A-Za-z]+)\s+(?<year>\d{4})\s*(?:[-–—]|at)\s*(?<hour>\d{1,2}):(?<minute>\d{2})\s*(?<meridiem>am|pm)$/i
+  },
+  {
+    // "Tue, 5 Nov 2024", "Monday 10 March 2025", "Tue 5 Nov"
+    name: 'weekday-date',
+    regex: /^(?:[A-Za-z]+)(?:,)?\s+(?<day>\d{1,2})\s+(?<monthName>[A-Za-z]+)(?:\s+(?<year>\d{4}))?$/i
+  },
+  {
+    // "Tuesday 11th March, 2025"
+    name: 'weekday-ordinal-date',
+    regex: /^(?:[A-Za-z]+)\s+(?<day>\d{1,2})(?:st|nd|rd|th)\s+(?<monthName>[A-Za-z]+)(?:,)?\s+(?<year>\d{4})$/i
+  },
+  {
+    // "Fri 14 Mar ― 7:00pm", "Fri 14 Mar - 7:00 pm"
+    name: 'weekday-date-time',
+    regex: /^(?:[A-Za-z]+)\s+(?<day>\d{1,2})\s+(?<monthName>[A-Za-z]+)(?:\s+[-–—]\s*|\s*[-–—]\s+)(?<hour>\d{1,2}):(?<minute>\d{2})(?:\s*)?(?<meridiem>am|pm)$/i
+  },
+  {
+    // "1/12/24"
+    name: 'short-date',
+    regex: /^(?<day>\d{1,2})\/(?<month>\d{1,2})\/(?<shortYear>\d{2})$/
+  },
+  {
+    // "12 Nov 2024"
+    name: 'simple-date',
+    regex: /^(?<day>\d{1,2})\s+(?<monthName>[A-Za-z]+)\s+(?<year>\d{4})$/i
+  },
+  {
+    // "14th Nov - 6pm", in the current year
+    name: 'short-date-time',
+    regex: /^(?<day>\d{1,2})(?:st|nd|rd|th)?\s+(?<monthName>[A-Za-z]+)(?:\s+[-–—]\s*|\s*[-–—]\s+)(?<hour>\d{1,2})(?::(?<minute>\d{2}))?\s*(?<meridiem>am|pm)$/i
+  },
+  {
+    // Start of the day in Brighton
+    name: 'yesterday',
+    regex: /^yesterday$/i,
+    parse: (match, context) => {
+      const { year, month, day } = context.today();
+      return context.result(fromLondonTime(year, month, day - 1), { hasYear: false });
+    }
+  },
+  {
+    name: 'today',
+    regex: /^today$/i,
+    parse: (match, context) => {
+      const { year, month, day } = context.today();
+      return context.result(fromLondonTime(year, month, day), { hasYear: false });
+    }
+  },
+  {
+    // "Tonight!", "Tomorrow", "Today 8pm", "Tonight at 7.30pm"
+    name: 'relative-day',
+    regex: new RegExp(String.raw`^(?<relativeDay>tonight|today|tomorrow|tmrw)(?:\s+night)?${RELATIVE_TIME}$`, 'i'),
+    parse: ({ groups }, context) => fromRelativeDay(/^t(?:omorrow|mrw)/i.test(groups.relativeDay) ? 1 : 0, groups, context)
+  },
+  {
+    // "This Saturday", "Next Fri", "Friday 8pm": the next one from today, today included;
+    // "next" skips today, so "Next Friday" on a Friday is a week away
+    name: 'relative-weekday',
+    regex: new RegExp(String.raw`^(?:(?<modifier>this|next|coming)\s+)?(?<weekday>[a-z]{3,9})(?:\s+night)?${RELATIVE_TIME}$`, 'i'),
+    parse: ({ groups }, context) => {
+      const weekday = WEEKDAYS[groups.weekday.toLowerCase()];
+      if (weekday === undefined) return `unknown weekday "${groups.weekday}"`;
+
+      let days = (weekday - context.today().weekday + 7) % 7;
+      if (days === 0 && groups.modifier?.toLowerCase() === 'next') days = 7;
+      return fromRelativeDay(days, groups, context);
+    }
+  },
+  {
+    // "2 days ago", "a week ago"
+    name: 'relative',
+    regex: /^(?<amount>\d+)?\s*(?<unit>second|minute|hour|day|week|month|year)s?\s+ago$/i,
+    parse: ({ groups }, context) => {
+      const amount = groups.amount ? parseInt(groups.amount) : 1;
+      return context.result(context.reference - (amount * TIME_UNITS[groups.unit.toLowerCase()]), {
+        hasYear: false,
+        precision: 'approximate'
+      });
+    }
+  },
+  {
+    // "Thu 27th Nov", "Fri 12th Dec"; the next one that hasn't passed
+    name: 'ordinal-no-year',
+    regex: /^(?:[A-Za-z]+)\s+(?<day>\d{1,2})(?:st|nd|rd|th)\s+(?<monthName>[A-Za-z]+)$/i,
+    inferYear: true
+  },
+  {
+    // "06 Apr", "10 APR", "3rd May"; the next one that hasn't passed
+    name: 'day-month',
+    regex: /^(?<day>\d{1,2})(?:st|nd|rd|th)?\s+(?<monthName>[A-Za-z]+)$/i,
+    inferYear: true
+  },
+  {
+    // "Fri 3 – Sun 5 May", "3rd–5th May 2026", "May 3 - June 28"
+    // Last, so "Fri 14 Mar - 7:00pm" and other dash-separated single dates match first
+    name: 'date-range',
+    parse: (input, context) => parseDateRange(input, context) ?? 'not a date range'
+  }
+];
+
+/**
+ * Check a pattern definition and compile a regex given as a string (case-insensitive)
+ * @throws {Error} Without a name, or with neither a regex nor a parse function
+ */
+const compilePattern = (pattern) => {
+  if (!pattern?.name) throw new Error('Date pattern needs a name');
+  const regex = typeof pattern.regex === 'string' ? new RegExp(pattern.regex, 'i') : pattern.regex;
+  if (!regex && typeof pattern.parse !== 'function') {
+    throw new Error(`Date pattern "${pattern.name}" needs a regex or a parse function`);
+  }
+  return { ...pattern, regex };
+};
+
+/**
+ * An ordered set of date patterns
+ * The shared `dateParser` holds the built-in ones; extend() makes a venue's own copy
+ */
+class DateParser {
+  constructor(patterns = DEFAULT_PATTERNS) {
+    this.patterns = patterns.map(compilePattern);
+  }
+
+  /**
+   * Pattern names in the order they're tried
+   */
+  get names() {
+    return this.patterns.map(pattern => pattern.name);
+  }
+
+  /**
+   * Add a pattern, or replace the one with the same name where it stands
+   * @param {Object} pattern - { name, regex, parse, inferYear } (see module docs)
+   * @param {Object} options - { before } name of the pattern to insert it ahead of (default: the end)
+   * @returns {DateParser} this
+   * @throws {Error} For an invalid pattern or an unknown `before`
+   */
+  register(pattern, { before } = {}) {
+    const compiled = compilePattern(pattern);
+    const existing = this.names.indexOf(compiled.name);
+    if (existing !== -1) {
+      this.patterns[existing] = compiled;
+      return this;
+    }
+
+    const index = before === undefined ? this.patterns.length : this.names.indexOf(before);
+    if (index === -1) throw new Error(`Unknown date pattern "${before}"`);
+    this.patterns.splice(index, 0, compiled);
+    return this;
+  }
+
+  /**
+   * A copy with a venue's own patterns and preferred order
+   * New patterns go first (same-named ones replace the built-in pattern in place),
+   * then the patterns named in `order` move to the front in that order
+   * @param {Object} options - { patterns, order }
+   * @returns {DateParser}
+   * @throws {Error} For an invalid pattern or a name in `order` that isn't registered
+   */
+  extend({ patterns = [], order = [] } = {}) {
+    const parser = new DateParser(this.patterns);
+    [...patterns].reverse().forEach(pattern => parser.register(pattern, { before: parser.names[0] }));
+
+    const preferred = order.map(name => {
+      const pattern = parser.patterns.find(candidate => candidate.name === name);
+      if (!pattern) throw new Error(`Unknown date pattern "${name}" (expected ${parser.names.join(', ')})`);
+      return pattern;
+    });
+    parser.patterns = [...preferred, ...parser.patterns.filter(pattern => !preferred.includes(pattern))];
+    return parser;
+  }
+
+  /**
+   * Parse with these patterns; see parseEventDate()
+   */
+  parse(input, { referenceDate = Date.now(), debug = false } = {}) {
+    const reference = referenceDate instanceof Date ? referenceDate.getTime() : referenceDate;
+
     // Handle numeric inputs (seconds or milliseconds)
     if (typeof input === 'number') {
-      if (input.toString().length === 10) return input * 1000; // Seconds to milliseconds
-      if (input.toString().length === 13) return input; // Already milliseconds
+      const exact = { hasTime: true, precision: 'exact' };
+      if (input.toString().length === 10) return createResult(input * 1000, 'timestamp', exact); // Seconds to milliseconds
+      if (input.toString().length === 13) return createResult(input, 'timestamp', exact); // Already milliseconds
       throw new Error('Invalid numeric timestamp format');
     }
-  
-    // Handle Date objects
+
     if (input instanceof Date) {
-      return input.getTime();
+      return createResult(input.getTime(), 'date-object', { hasTime: true, precision: 'exact' });
     }
-  
-    // ================ HANDLE STRING INPUTS ================
+
+    const attempts = debug ? [] : null;
     if (typeof input === 'string') {
-      // Clean up input
-      input = input.trim().replace(/\s+/g, ' ');
-      
-      // ---- PATTERN 7: DD/MM/YY HH:MMam/pm FORMAT (PRIORITY) ----
-      // Example: "05/09/25 7:30pm", "15/12/24 11:45am", "05/09/25  7:30pm" (double space)
-      // Place before standard parsing to ensure DD/MM/YY interpretation (UK format)
-      const ddmmyyTimePattern = /^(?<day>\d{1,2})\/(?<month>\d{1,2})\/(?<shortYear>\d{2})\s+(?<hour>\d{1,2}):(?<minute>\d{2})\s*(?<meridiem>am|pm)$/i;
-      const ddmmyyTimeMatch = input.match(ddmmyyTimePattern);
-      if (ddmmyyTimeMatch) {
-        const day = parseInt(ddmmyyTimeMatch.groups.day);
-        const month = parseInt(ddmmyyTimeMatch.groups.month);
-        const year = parseInt('20' + ddmmyyTimeMatch.groups.shortYear);
-        let hour = parseInt(ddmmyyTimeMatch.groups.hour);
-        const minute = parseInt(ddmmyyTimeMatch.groups.minute);
-        const isPM = ddmmyyTimeMatch.groups.meridiem?.toLowerCase() === 'pm';
-        
-        // Validate day and month ranges
-        if (day < 1 || day > 31 || month < 1 || month > 12) {
-          // Continue to next patterns, these will eventually throw if no match
-          // Don't return null here as we want the error to be thrown at the end
-        } else {
-          // Handle 12-hour to 24-hour conversion
-          if (isPM && hour !== 12) hour += 12;
-          if (!isPM && hour === 12) hour = 0;
-          
-          // Create date and validate it (handles leap years, month lengths)
-          const date = new Date(year, month - 1, day, hour, minute, 0, 0);
-          
-          // Check if the date is valid (e.g., Feb 30th would be invalid)
-          if (date.getFullYear() === year && 
-              date.getMonth() === month - 1 && 
-              date.getDate() === day) {
-            return date.getTime();
-          }
-          // If date validation failed, continue to next patterns
-        }
-      }
+      const text = input.trim().replace(/\s+/g, ' ');
+      const context = createContext(text, reference);
 
-      // ---- QUICK CHECK FOR STANDARD FORMATS ----
-      // Try standard JavaScript date parsing (after our specific patterns)
-      const standardDate = new Date(input);
-      if (!isNaN(standardDate.getTime())) {
-        return standardDate.getTime();
-      }
-      
-      // Month name to number mapping
-      const months = {
-        'january': 0, 'jan': 0,
-        'february': 1, 'feb': 1,
-        'march': 2, 'mar': 2,
-        'april': 3, 'apr': 3,
-        'may': 4,
-        'june': 5, 'jun': 5,
-        'july': 6, 'jul': 6,
-        'august': 7, 'aug': 7,
-        'september': 8, 'sep': 8, 'sept': 8,
-        'october': 9, 'oct': 9,
-        'november': 10, 'nov': 10,
-        'december': 11, 'dec': 11
-      };
-      
-      // ---- HANDLE COMMON DATE/TIME PATTERNS ----
-      
-      // Helper function to infer year when not provided
-      // If the resulting date is in the past, assume next year
-      const inferYear = (month, day) => {
-        const currentYear = new Date().getFullYear();
-        const now = new Date();
-        const testDate = new Date(currentYear, month, day);
-
-        // If the date is in the past (before today), use next year
-        if (testDate < now) {
-          return currentYear + 1;
+      for (const pattern of this.patterns) {
+        const match = pattern.regex ? pattern.regex.exec(text) : text;
+        if (!match) {
+          attempts?.push({ pattern: pattern.name, reason: 'no match' });
+          continue;
         }
-        return currentYear;
-      };
-
-      // For date parsing functions
-      const parseResult = (match, monthStr, setTime = true, inferYearIfMissing = false) => {
-        if (!match) return null;
-
-        const day = parseInt(match.groups.day);
-        const month = months[monthStr.toLowerCase()];
-
-        if (month === undefined) return null;
-
-        let year;
-        if (match.groups.year) {
-          year = parseInt(match.groups.year);
-        } else if (match.groups.shortYear) {
-          year = parseInt('20' + match.groups.shortYear);
-        } else if (inferYearIfMissing) {
-          year = inferYear(month, day);
-        } else {
-          year = new Date().getFullYear();
+
+        context.pattern = pattern.name;
+        const result = pattern.parse
+          ? pattern.parse(match, context)
+          : fromGroups(match.groups || {}, context, pattern);
+        if (result && typeof result === 'object') {
+          return attempts ? { ...result, attempts } : result;
         }
+        attempts?.push({ pattern: pattern.name, reason: result || 'rejected' });
+      }
+    }
 
-        const date = new Date(year, month, day);
+    const error = new Error('Invalid date format');
+    error.context = { input, ...(attempts && { attempts }) };
+    throw error;
+  }
+}
 
-        // Set time if available in the format
-        if (setTime && match.groups.hour) {
-          let hour = parseInt(match.groups.hour);
-          const isPM = match.groups.meridiem?.toLowerCase() === 'pm';
+const dateParser = new DateParser();
 
-          if (isPM && hour !== 12) hour += 12;
-          if (!isPM && hour === 12) hour = 0;
+/**
+ * Last resort for date strings mixed with room names and other noise, such as
+ * "11 Apr 3:40pm Upper Lounge 2026": finds day, month, year and time tokens anywhere
+ * and rebuilds the date. Confidence starts at 1 and drops for a day that isn't next to
+ * its month (0.3), a missing year (0.1), more than one candidate month, day, year or
+ * weekday (0.3 each), more than one time (0.1), a weekday that doesn't match (0.4) and
+ * each leftover word (0.05, up to 0.2)
+ * @param {string} input - A date string the patterns couldn't read
+ * @param {Object} options - { referenceDate } as for parseEventDate, { minConfidence } (default 0.4)
+ * @returns {Object|null} A parse result with pattern 'free-text' and `confidence` (0-1), or null
+ */
+const extractDateFromText = (input, { referenceDate = Date.now(), minConfidence = MIN_CONFIDENCE } = {}) => {
+  if (typeof input !== 'string') return null;
+  const reference = referenceDate instanceof Date ? referenceDate.getTime() : referenceDate;
+  const context = createContext(input, reference);
+  context.pattern = 'free-text';
+  let confidence = 1;
 
-          date.setHours(
-            hour,
-            match.groups.minute ? parseInt(match.groups.minute) : 0,
-            0, 0
-          );
-        } else if (!setTime) {
-          // Set to start of day if no time provided
-          date.setHours(0, 0, 0, 0);
-        }
+  // Times first, so "3:40pm" isn't read as a day
+  const times = [...input.matchAll(TEXT_TIME)].map(({ groups }) => clockTime({
+    hour: groups.hour ?? groups.hour24,
+    minute: groups.minute ?? groups.minute24,
+    meridiem: groups.meridiem
+  })).filter(time => typeof time === 'object');
+  if (new Set(times.map(({ hour, minute }) => hour * 60 + minute)).size > 1) confidence -= 0.1;
+  let text = input.replace(TEXT_TIME, ' ');
 
-        return date.getTime();
-      };
-      
-      // ---- PATTERN 1: DATES WITH ORDINALS AND TIME ----
-      // Examples: "31st October 2024 - 7:30 pm", "7th November 2024 - 8:00 pm", "5th September 2025 at 7:00 pm"
-      const ordinalDateTimePattern = /^(?<day>\d{1,2})(?:st|nd|rd|th)\s+(?<monthName>[A-Za-z]+)\s+(?<year>\d{4})\s*(?:[-–—]|at)\s*(?<hour>\d{1,2}):(?<minute>\d{2})\s*(?<meridiem>am|pm)$/i;
-      const ordinalMatch = input.match(ordinalDateTimePattern);
-      if (ordinalMatch) {
-        const result = parseResult(ordinalMatch, ordinalMatch.groups.monthName);
-        if (result) return result;
-      }
-      
-      // ---- PATTERN 2: WEEKDAY WITH DATE ----
-      // Examples: "Tue, 5 Nov 2024", "Monday 10 March 2025"
-      const weekdayDatePattern = /^(?:[A-Za-z]+)(?:,)?\s+(?<day>\d{1,2})\s+(?<monthName>[A-Za-z]+)(?:\s+(?<year>\d{4}))?$/i;
-      const weekdayMatch = input.match(weekdayDatePattern);
-      if (weekdayMatch) {
-        const result = parseResult(weekdayMatch, weekdayMatch.groups.monthName, false);
-        if (result) return result;
-      }
-      
-      // ---- PATTERN 2B: WEEKDAY WITH ORDINAL DATE ----
-      // Example: "Tuesday 11th March, 2025"
-      const weekdayOrdinalDatePattern = /^(?:[A-Za-z]+)\s+(?<day>\d{1,2})(?:st|nd|rd|th)\s+(?<monthName>[A-Za-z]+)(?:,)?\s+(?<year>\d{4})$/i;
-      const weekdayOrdinalMatch = input.match(weekdayOrdinalDatePattern);
-      if (weekdayOrdinalMatch) {
-        const result = parseResult(weekdayOrdinalMatch, weekdayOrdinalMatch.groups.monthName, false);
-        if (result) return result;
-      }
-      
-      // ---- PATTERN 3: WEEKDAY WITH DATE AND TIME ----
-      // Example: "Fri 14 Mar ― 7:00pm" or "Fri 14 Mar - 7:00 pm"
-      const weekdayDateTimePattern = /^(?:[A-Za-z]+)\s+(?<day>\d{1,2})\s+(?<monthName>[A-Za-z]+)(?:\s+[-–—]\s*|\s*[-–—]\s+)(?<hour>\d{1,2}):(?<minute>\d{2})(?:\s*)?(?<meridiem>am|pm)$/i;
-      const weekdayTimeMatch = input.match(weekdayDateTimePattern);
-      if (weekdayTimeMatch) {
-        const result = parseResult(weekdayTimeMatch, weekdayTimeMatch.groups.monthName);
-        if (result) return result;
-      }
-      
-      // ---- PATTERN 4: SHORT DATE FORMAT ----
-      // Example: "1/12/24"
-      const shortDatePattern = /^(?<day>\d{1,2})\/(?<month>\d{1,2})\/(?<shortYear>\d{2})$/;
-      const shortDateMatch = input.match(shortDatePattern);
-      if (shortDateMatch) {
-        const result = parseResult(
-          shortDateMatch, 
-          // Convert numeric month to name for the parseResult function
-          Object.keys(months)[parseInt(shortDateMatch.groups.month) - 1],
-          false
-        );
-        if (result) return result;
-      }
-      
-      // ---- PATTERN 5: SIMPLE DATE FORMAT ----
-      // Example: "12 Nov 2024"
-      const simpleDatePattern = /^(?<day>\d{1,2})\s+(?<monthName>[A-Za-z]+)\s+(?<year>\d{4})$/i;
-      const simpleDateMatch = input.match(simpleDatePattern);
-      if (simpleDateMatch) {
-        const result = parseResult(simpleDateMatch, simpleDateMatch.groups.monthName, false);
-        if (result) return result;
-      }
-      
-      // ---- PATTERN 6: SHORT DATE WITH TIME (ASSUME CURRENT YEAR) ----
-      // Example: "14th Nov - 6pm"
-      const shortDateTimePattern = /^(?<day>\d{1,2})(?:st|nd|rd|th)?\s+(?<monthName>[A-Za-z]+)(?:\s+[-–—]\s*|\s*[-–—]\s+)(?<hour>\d{1,2})(?::(?<minute>\d{2}))?\s*(?<meridiem>am|pm)$/i;
-      const shortDateTimeMatch = input.match(shortDateTimePattern);
-      if (shortDateTimeMatch) {
-        const result = parseResult(shortDateTimeMatch, shortDateTimeMatch.groups.monthName);
-        if (result) return result;
-      }
-      
-      
-      // ---- SPECIAL CASES ----
-      
-      // Handle "yesterday" and "today"
-      if (input.toLowerCase() === 'yesterday') {
-        const date = new Date();
-        date.setDate(date.getDate() - 1);
-        date.setHours(0, 0, 0, 0);
-        return date.getTime();
-      }
-      if (input.toLowerCase() === 'today') {
-        const date = new Date();
-        date.setHours(0, 0, 0, 0);
-        return date.getTime();
-      }
-      
-      // Handle relative time (e.g., "2 days ago")
-      const relativeTimePattern = /^(?<amount>\d+)?\s*(?<unit>second|minute|hour|day|week|month|year)s?\s+ago$/i;
-      const relativeMatch = input.match(relativeTimePattern);
-      if (relativeMatch) {
-        const amount = relativeMatch.groups.amount ? parseInt(relativeMatch.groups.amount) : 1;
-        const unit = relativeMatch.groups.unit.toLowerCase();
-        const now = new Date();
-
-        const timeUnits = {
-          second: 1000,
-          minute: 60 * 1000,
-          hour: 60 * 60 * 1000,
-          day: 24 * 60 * 60 * 1000,
-          week: 7 * 24 * 60 * 60 * 1000,
-          month: 30 * 24 * 60 * 60 * 1000,
-          year: 365 * 24 * 60 * 60 * 1000
-        };
-
-        return now.getTime() - (amount * timeUnits[unit]);
-      }
+  // "14/11" or "14.11.2026", but not "Doors 7.30": a dotted pair is only a date with a year
+  let day, month, year;
+  const numeric = [...text.matchAll(TEXT_NUMERIC_DATE)].find(({ groups }) =>
+    (groups.year || groups.separator !== '.') &&
+    Number(groups.day) >= 1 && Number(groups.day) <= 31 && Number(groups.month) >= 1 && Number(groups.month) <= 12);
+  if (numeric) {
+    day = Number(numeric.groups.day);
+    month = Number(numeric.groups.month) - 1;
+    if (numeric.groups.year) year = Number(numeric.groups.year.padStart(4, '20'));
+    text = text.replace(numeric[0], ' ');
+  }
 
-      // ---- PATTERN 8: ISO 8601 FORMAT ----
-      // Examples: "2025-11-27T19:00", "2025-11-27T19:00:00", "2025-11-27"
-      const iso8601Pattern = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2})?)?$/;
-      if (iso8601Pattern.test(input)) {
-        const date = new Date(input);
-        if (!isNaN(date.getTime())) {
-          return date.getTime();
-        }
-      }
+  const tokens = text.split(/[\s,;|()[\]]+/).map(token => token.replace(/^[^\w]+|[^\w]+$/g, '').toLowerCase()).filter(Boolean);
+  const candidates = { months: [], days: [], years: [], weekdays: [] };
+  let noise = 0;
+  tokens.forEach((token, index) => {
+    if (MONTHS[token] !== undefined) candidates.months.push({ value: MONTHS[token], index });
+    else if (WEEKDAYS[token] !== undefined) candidates.weekdays.push(WEEKDAYS[token]);
+    else if (/^20\d{2}$/.test(token)) candidates.years.push(Number(token));
+    else if (/^\d{1,2}(?:st|nd|rd|th)?$/.test(token) && parseInt(token) >= 1 && parseInt(token) <= 31) {
+      candidates.days.push({ value: parseInt(token), index });
+    } else if (/[a-z]/.test(token)) noise++;
+  });
 
-      // ---- PATTERN 9: DATE WITH ORDINAL BUT NO YEAR ----
-      // Examples: "Thu 27th Nov", "Sat 29th Nov", "Fri 12th Dec"
-      // Infers year: if month has passed, uses next year
-      const ordinalNoYearPattern = /^(?:[A-Za-z]+)\s+(?<day>\d{1,2})(?:st|nd|rd|th)\s+(?<monthName>[A-Za-z]+)$/i;
-      const ordinalNoYearMatch = input.match(ordinalNoYearPattern);
-      if (ordinalNoYearMatch) {
-        const result = parseResult(ordinalNoYearMatch, ordinalNoYearMatch.groups.monthName, false, true);
-        if (result) return result;
-      }
-    }
+  if (!numeric) {
+    if (candidates.months.length === 0 || candidates.days.length === 0) return null;
+    if (new Set(candidates.months.map(({ value }) => value)).size > 1) confidence -= 0.3;
+    if (candidates.days.length > 1) confidence -= 0.3;
 
-    throw new Error('Invalid date format');
-  };
-  
-  export default toUnixTimestamp;
\ No newline at end of file
+    month = candidates.months[0].value;
+    const monthIndex = candidates.months[0].index;
+    const nearest = [...candidates.days].sort((a, b) => Math.abs(a.index - monthIndex) - Math.abs(b.index - monthIndex))[0];
+    day = nearest.value;
+    if (Math.abs(nearest.index - monthIndex) !== 1) confidence -= 0.3;
+  }
+
+  if (year === undefined && candidates.years.length > 0) {
+    year = candidates.years[0];
+    if (new Set(candidates.years).size > 1) confidence -= 0.3;
+  }
+  const hasYear = year !== undefined;
+  if (!hasYear) {
+    if (!(month >= 0 && month <= 11)) return null;
+    year = context.inferYear(month, day);
+    confidence -= 0.1;
+  }
+  if (!isCalendarDate(year, month, day)) return null;
+
+  const [time] = times;
+  const timestamp = time ? fromLondonTime(year, month, day, time.hour, time.minute) : fromLondonTime(year, month, day);
+  const weekdays = new Set(candidates.weekdays);
+  if (weekdays.size > 1) confidence -= 0.3;
+  if (weekdays.size > 0 && !weekdays.has(getLondonParts(timestamp).weekday)) confidence -= 0.4;
+  confidence -= Math.min(noise * 0.05, 0.2);
+
+  confidence = Math.round(Math.max(confidence, 0) * 100) / 100;
+  if (confidence < minConfidence) return null;
+  return { ...context.result(timestamp, { hasYear, yearInferred: !hasYear, hasTime: Boolean(time) }), confidence };
+};
+
+/**
+ * Add a format to the shared parser, for every venue
+ * @param {Object} pattern - { name, regex, parse, inferYear } (see module docs)
+ * @param {Object} options - { before } name of the pattern to try it ahead of
+ */
+const registerDatePattern = (pattern, options) => dateParser.register(pattern, options);
+
+/**
+ * Parses an event date and reports how much of it the listing actually gave
+ * Dates and times without a UTC offset are read as Europe/London, whatever zone the machine is in
+ * @param {string|Date|number} input - Date input in various formats
+ * @param {Object} options - { referenceDate } "now" for year inference and relative dates (default: the current time),
+ *   { patterns, order } for a one-off extend() of the shared parser, { debug } to list the patterns tried
+ * @returns {{timestamp: number, hasTime: boolean, hasYear: boolean, yearInferred: boolean, precision: string, pattern: string}}
+ *   pattern names the format that matched, e.g. 'simple-date'; with debug, attempts lists the
+ *   { pattern, reason } of each one tried before it
+ * @throws {Error} If the input format is invalid or cannot be parsed; error.context.attempts has the reasons when debugging
+ */
+const parseEventDate = (input, options = {}) => {
+  const parser = options.patterns || options.order ? dateParser.extend(options) : dateParser;
+  return parser.parse(input, options);
+};
+
+/**
+ * Converts various date/time formats to Unix timestamp (milliseconds since epoch)
+ * @param {string|Date|number} input - Date input in various formats
+ * @param {Object} options - As for parseEventDate
+ * @returns {number} Unix timestamp in milliseconds
+ * @throws {Error} If the input format is invalid or cannot be parsed
+ */
+const toUnixTimestamp = (input, options) => parseEventDate(input, options).timestamp;
+
+export { LOW_CONFIDENCE, RELATIVE_DATE_PATTERNS, DateParser, dateParser, registerDatePattern, parseEventDate, extractDateFromText };
+export default toUnixTimestamp;
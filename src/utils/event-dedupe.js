@@ -0,0 +1,157 @@
+/**
+ * Event Dedupe - Merges the same gig listed more than once
+ *
+ * A gig can reach events.json from the venue's own site and a ticket platform,
+ * or from one listing under several ticket links. Events are blocked by venue
+ * and Brighton calendar day, so titles are only compared within a block, and
+ * clustered when their normalised titles are similar enough or one extends the
+ * other ("Wild Pink" / "Wild Pink + Support"). Each cluster becomes one event
+ * that keeps every ticket link.
+ */
+
+import { calculateTitleSimilarity } from './data-validator.js';
+import { normaliseTitle, localDateKey } from './event-ids.js';
+import { DETAIL_FIELDS } from './event-details.js';
+import { getLondonParts } from './london-time.js';
+
+const DEFAULT_SIMILARITY = 0.85;
+
+// Shortest title that may match as the start of a longer one
+const MIN_PREFIX_LENGTH = 6;
+
+// Fields an event can borrow from its duplicates when it lacks them
+const MERGED_FIELDS = ['endDate', 'endDateUnix', 'eventStatus', 'location', 'offers', 'performers', 'image', ...DETAIL_FIELDS];
+
+/**
+ * Time of day in Brighton, or null for listings that only give a date
+ */
+const localTime = (event) => {
+  if (event.startTime) return event.startTime;
+  if (event.hasTime === false) return null;
+  const { hour, minute } = getLondonParts(event.dateUnix);
+  return hour === 0 && minute === 0 ? null : `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+/**
+ * How alike two normalised titles are, from 0 to 1
+ * A title that is the start of the other counts as a full match
+ */
+const titleMatch = (a, b) => {
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  if (shorter.length >= MIN_PREFIX_LENGTH && longer.startsWith(`${shorter} `)) return 1;
+  return calculateTitleSimilarity(a, b);
+};
+
+/**
+ * Whether two events in the same block are the same gig, with how alike their titles are
+ * Two timed events at different times are separate performances whatever their titles
+ */
+const compareEvents = (a, b, threshold) => {
+  const timeA = localTime(a.event);
+  const timeB = localTime(b.event);
+  if (timeA && timeB && timeA !== timeB) return null;
+
+  const similarity = titleMatch(a.title, b.title);
+  return similarity >= threshold ? similarity : null;
+};
+
+const filledFields = (event) => MERGED_FIELDS.filter(field => event[field] !== undefined).length;
+
+/**
+ * Fold a cluster into its canonical event
+ * Fresh events beat stale fallback ones, then the fullest listing, then the first seen
+ */
+const mergeCluster = (members) => {
+  const [canonical, ...rest] = [...members].sort((a, b) => (Number(Boolean(a.event.stale)) - Number(Boolean(b.event.stale))) ||
+    (filledFields(b.event) - filledFields(a.event)) ||
+    (a.index - b.index));
+
+  const event = { ...canonical.event };
+  rest.forEach(({ event: duplicate }) => {
+    MERGED_FIELDS.forEach(field => {
+      if (event[field] === undefined && duplicate[field] !== undefined) event[field] = duplicate[field];
+    });
+  });
+
+  const links = [...new Set(members.map(member => member.event.link).filter(Boolean))];
+  if (links.length > 1) {
+    event.link = canonical.event.link || links[0];
+    event.links = [event.link, ...links.filter(link => link !== event.link)];
+  }
+
+  return { event, canonical, rest };
+};
+
+const summariseMember = ({ event }) => ({ title: event.title, link: event.link, scraper: event.scraper });
+
+/**
+ * Merge duplicate events
+ * @param {Object[]} events - Validated events from every venue
+ * @param {Object} options - { threshold } title similarity needed to merge
+ * @returns {{events: Object[], stats: {clusters: number, removed: number, merges: Object[]}}}
+ *   Events keep their input order; stats.merges records each merge decision
+ */
+const dedupeEvents = (events, options = {}) => {
+  const { threshold = DEFAULT_SIMILARITY } = options;
+  const blocks = new Map();
+  const clusterOf = new Map();
+
+  events.forEach((event, index) => {
+    // Without a date there's nothing to confirm two listings are the same night
+    if (typeof event.dateUnix !== 'number') return;
+
+    const key = `${String(event.venue || '').toLowerCase()}|${localDateKey(event.dateUnix)}`;
+    const member = { event, index, title: normaliseTitle(event.title) };
+    const clusters = blocks.get(key) || [];
+    let best = null;
+    clusters.forEach(cluster => {
+      const similarity = compareEvents(cluster.members[0], member, threshold);
+      if (similarity !== null && (!best || similarity > best.similarity)) best = { cluster, similarity };
+    });
+
+    if (best) {
+      best.cluster.members.push(member);
+      clusterOf.set(event, best.cluster);
+    } else {
+      const cluster = { members: [member] };
+      clusters.push(cluster);
+      clusterOf.set(event, cluster);
+    }
+    blocks.set(key, clusters);
+  });
+
+  const stats = { clusters: 0, removed: 0, merges: [] };
+  const merged = new Map();
+  blocks.forEach(clusters => clusters.filter(cluster => cluster.members.length > 1).forEach(cluster => {
+    const { event, canonical, rest } = mergeCluster(cluster.members);
+    merged.set(cluster, event);
+    stats.clusters++;
+    stats.removed += rest.length;
+    stats.merges.push({
+      venue: event.venue,
+      date: localDateKey(event.dateUnix),
+      kept: summariseMember(canonical),
+      merged: rest.map(member => ({
+        ...summariseMember(member),
+        similarity: Number(titleMatch(canonical.title, member.title).toFixed(2))
+      }))
+    });
+  }));
+
+  // Each cluster's event takes the place of its first member
+  const output = [];
+  const placed = new Set();
+  events.forEach(event => {
+    const cluster = clusterOf.get(event);
+    if (!cluster || !merged.has(cluster)) {
+      output.push(event);
+    } else if (!placed.has(cluster)) {
+      placed.add(cluster);
+      output.push(merged.get(cluster));
+    }
+  });
+
+  return { events: output, stats };
+};
+
+export { DEFAULT_SIMILARITY, titleMatch, dedupeEvents };
@@ -0,0 +1,215 @@
+/**
+ * Event Details - Reads times, lineup, price and age limit from an event's own page
+ *
+ * Listing pages rarely carry more than title, date and link. When a venue turns
+ * on detail enrichment, BaseScraper follows each event's link and merges what
+ * this module finds there: schema.org JSON-LD first, then the venue's own
+ * selectors, then phrases like "Doors 7pm" or "Support from ..." in the page text.
+ * Results are cached per URL across runs so each page is fetched about once a week.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { extractEventTimes, parseClockTime } from './event-times.js';
+
+// Every value is a plain string so it survives the frontend sanitizer
+const DETAIL_FIELDS = ['doorsTime', 'startTime', 'endTime', 'support', 'description', 'price', 'ageLimit'];
+
+const DEFAULT_CACHE_PATH = '.cache/event-details.json';
+const DEFAULT_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_SUPPORT_LENGTH = 200;
+
+const CURRENCY_SYMBOLS = { GBP: '£', EUR: '€', USD: '$' };
+
+// Times inside a selector's text may be a bare hour; free text goes through extractEventTimes()
+const TIME = String.raw`(\d{1,2}(?:[:.]\d{2})?\s*(?:[ap]\.?m\.?)?|midnight|late)`;
+const TEXT_PATTERNS = {
+  support: /\bsupport(?:\s*:|\s+from|ed by|\s+comes from|\s+acts?\s*:?)\s*([^\n.|]{2,})/i,
+  price: /(?:£|€|\$)\s?\d+(?:\.\d{2})?|\bfree (?:entry|admission)\b|\bentry:?\s*free\b/i,
+  ageLimit: /\b(1[4-8]|2[01])\s*\+|\b(?:over|aged)\s*(1[4-8]|2[01])s?\b/i
+};
+
+const collapse = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 3).trim()}...` : text);
+
+const formatPrice = (price, currency) => {
+  if (price === null || price === undefined || price === '') return null;
+  const amount = Number(price);
+  if (Number.isNaN(amount)) return collapse(price);
+  if (amount === 0) return 'Free';
+  const formatted = Number.isInteger(amount) ? String(amount) : amount.toFixed(2);
+  const symbol = CURRENCY_SYMBOLS[currency] || '£';
+  return `${symbol}${formatted}`;
+};
+
+// schema.org typicalAgeRange is "18-" or "14-17"; we only show the lower bound
+const formatAgeLimit = (range) => {
+  const match = String(range || '').match(/(\d{1,2})/);
+  return match ? `${match[1]}+` : null;
+};
+
+const toList = (value) => {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+/**
+ * First Event-like node in the page's JSON-LD blocks
+ */
+const findJsonLdEvent = ($) => {
+  const visit = (data) => {
+    if (!data || typeof data !== 'object') return null;
+    if (Array.isArray(data)) return data.map(visit).find(Boolean) || null;
+    const types = toList(data['@type']).map(type => String(type));
+    if (types.some(type => /Event$/.test(type) || type === 'Festival')) return data;
+    return visit(data['@graph']) || visit(toList(data.itemListElement).map(item => item?.item || item));
+  };
+
+  let found = null;
+  $('script[type="application/ld+json"]').each((_, element) => {
+    if (found) return;
+    try {
+      found = visit(JSON.parse($(element).html()));
+    } catch {
+      // Malformed blocks are common; the text fallbacks still apply
+    }
+  });
+  return found;
+};
+
+const fromJsonLd = (node) => {
+  if (!node) return {};
+
+  const offer = toList(node.offers).find(entry => entry && typeof entry === 'object');
+  const performers = toList(node.performer)
+    .map(performer => collapse(typeof performer === 'string' ? performer : performer?.name))
+    .filter(Boolean);
+
+  return {
+    doorsTime: parseClockTime(node.doorTime),
+    startTime: /T\d{2}:\d{2}/.test(node.startDate || '') ? parseClockTime(node.startDate) : null,
+    endTime: /T\d{2}:\d{2}/.test(node.endDate || '') ? parseClockTime(node.endDate) : null,
+    // The headliner is the event itself; the rest of the bill is support
+    support: performers.length > 1 ? performers.slice(1).join(', ') : null,
+    description: node.description ? collapse(String(node.description).replace(/<[^>]*>/g, ' ')) : null,
+    price: offer ? formatPrice(offer.price ?? offer.lowPrice, offer.priceCurrency) : null,
+    ageLimit: formatAgeLimit(node.typicalAgeRange)
+  };
+};
+
+const fromSelectors = ($, selectors = {}) => Object.fromEntries(DETAIL_FIELDS
+  .filter(field => selectors[field])
+  .map(field => {
+    const text = collapse($(selectors[field]).first().text());
+    if (!text) return [field, null];
+    if (field === 'doorsTime' || field === 'startTime' || field === 'endTime') {
+      const match = text.match(new RegExp(TIME, 'i'));
+      if (field === 'endTime' && match?.[1].toLowerCase() === 'late') return [field, 'late'];
+      return [field, parseClockTime(match?.[1])];
+    }
+    return [field, text];
+  }));
+
+const fromText = (text) => {
+  const support = text.match(TEXT_PATTERNS.support);
+  const price = text.match(TEXT_PATTERNS.price);
+  const age = text.match(TEXT_PATTERNS.ageLimit);
+
+  return {
+    ...extractEventTimes(text),
+    support: support ? collapse(support[1]) : null,
+    price: price ? (/free/i.test(price[0]) ? 'Free' : price[0].replace(/\s/g, '')) : null,
+    ageLimit: age ? `${age[1] || age[2]}+` : null
+  };
+};
+
+/**
+ * Read detail fields from an event page
+ * @param {CheerioAPI} $ - Parsed event page
+ * @param {Object} selectors - Optional CSS selector per field, plus `content` for the text to search
+ * @returns {Object} Only the fields that were found
+ */
+const extractEventDetails = ($, selectors = {}) => {
+  const metaDescription = $('meta[property="og:description"]').attr('content') ||
+    $('meta[name="description"]').attr('content');
+  const content = $(selectors.content || 'main, article').first();
+  const text = (content.length > 0 ? content : $('body')).text();
+
+  // Earlier sources win: structured data, then venue selectors, then free text
+  const sources = [
+    fromJsonLd(findJsonLdEvent($)),
+    fromSelectors($, selectors),
+    { ...fromText(text), description: metaDescription ? collapse(metaDescription) : null }
+  ];
+
+  const details = {};
+  DETAIL_FIELDS.forEach(field => {
+    const value = sources.map(source => source[field]).find(Boolean);
+    if (value) details[field] = value;
+  });
+
+  if (details.description) details.description = truncate(details.description, MAX_DESCRIPTION_LENGTH);
+  if (details.support) details.support = truncate(details.support, MAX_SUPPORT_LENGTH);
+  return details;
+};
+
+class DetailCache {
+  constructor(options = {}) {
+    this.path = options.path || DEFAULT_CACHE_PATH;
+    this.enabled = options.enabled !== false;
+    this.maxAge = options.maxAge || DEFAULT_MAX_AGE;
+    this.pages = {};
+  }
+
+  /**
+   * Read the cache file; a missing or corrupt file starts an empty cache
+   */
+  async load() {
+    if (!this.enabled) return;
+
+    try {
+      const saved = JSON.parse(await fs.readFile(this.path, 'utf-8'));
+      this.pages = saved?.pages || {};
+    } catch {
+      this.pages = {};
+    }
+  }
+
+  /**
+   * Write the cache, dropping entries too old to be used again
+   */
+  async save() {
+    if (!this.enabled) return;
+    const pages = Object.fromEntries(Object.entries(this.pages)
+      .filter(([, entry]) => Date.now() - Date.parse(entry.storedAt) <= this.maxAge));
+    await fs.mkdir(path.dirname(this.path), { recursive: true });
+    await fs.writeFile(this.path, JSON.stringify({ savedAt: new Date().toISOString(), pages }));
+  }
+
+  /**
+   * Details last read from an event page, unless they are too old to trust
+   */
+  get(url) {
+    if (!this.enabled) return null;
+
+    const entry = this.pages[url];
+    if (!entry || Date.now() - Date.parse(entry.storedAt) > this.maxAge) return null;
+    return entry.details;
+  }
+
+  set(url, details) {
+    if (!this.enabled) return;
+    this.pages[url] = { storedAt: new Date().toISOString(), details };
+  }
+}
+
+// Shared cache used by BaseScraper; SCRAPER_HTTP_CACHE=off disables it along with the HTTP cache
+const detailCache = new DetailCache({
+  path: process.env.SCRAPER_DETAIL_CACHE_PATH,
+  enabled: process.env.SCRAPER_HTTP_CACHE !== 'off'
+});
+
+export { DETAIL_FIELDS, DetailCache, detailCache, extractEventDetails, parseClockTime };
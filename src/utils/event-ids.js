@@ -0,0 +1,81 @@
+/**
+ * Event IDs - Stable identifiers for events across runs
+ *
+ * An event's id is a hash of its venue, its local (Europe/London) date and a
+ * normalised title, so the same gig gets the same id every day even if the
+ * listing tweaks its capitalisation or adds "SOLD OUT". Only when two events in
+ * a run share all three is the source URL added to tell them apart. firstSeen
+ * and lastSeen are carried over from the previous output by id.
+ */
+
+import crypto from 'crypto';
+import { getLondonDateKey } from './london-time.js';
+
+const ID_LENGTH = 12;
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#x27;': "'", '&#39;': "'", '&#x2F;': '/', '&nbsp;': ' ' };
+
+// Ticketing labels that come and go on a listing without it becoming a different gig
+const STATUS_LABELS = /\b(?:sold out|cancelled|canceled|postponed|rescheduled|new date|moved|last few tickets|few tickets left|low tickets|extra date added)\b\s*[:!\-–|]*/gi;
+
+/**
+ * Reduce a title to the words that identify the gig
+ */
+const normaliseTitle = (title) => String(title || '')
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&[#\w]+;/g, entity => ENTITIES[entity] || ' ')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(STATUS_LABELS, ' ')
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Calendar date in Brighton, e.g. "2025-11-27"; undated events share "undated"
+ */
+const localDateKey = (dateUnix) => (typeof dateUnix === 'number' ? getLondonDateKey(dateUnix) : 'undated');
+
+const hashKey = (key) => crypto.createHash('sha1').update(key).digest('hex').slice(0, ID_LENGTH);
+
+/**
+ * The venue|date|title key an event's id is built from
+ */
+const getEventKey = (event) => `${String(event.venue || '').toLowerCase()}|${localDateKey(event.dateUnix)}|${normaliseTitle(event.title)}`;
+
+/**
+ * Id for one event; pass the link only when another event in the run shares its key
+ */
+const createEventId = (event, { withLink = false } = {}) => hashKey(withLink ? `${getEventKey(event)}|${event.link || ''}` : getEventKey(event));
+
+/**
+ * Give every event an id plus firstSeen / lastSeen, in place
+ * Stale fallback events weren't seen this run, so they keep their last lastSeen
+ * @param {Object[]} events - This run's events (including fallback events)
+ * @param {Object[]} previousEvents - The last events.json
+ * @param {string} seenAt - This run's timestamp
+ * @returns {Object[]} The same events
+ */
+const assignEventIds = (events, previousEvents = [], seenAt = new Date().toISOString()) => {
+  const previousById = new Map(previousEvents.filter(event => event.id).map(event => [event.id, event]));
+  const keyCounts = new Map();
+  events.forEach(event => {
+    const key = getEventKey(event);
+    keyCounts.set(key, (keyCounts.get(key) || 0) + 1);
+  });
+
+  events.forEach(event => {
+    event.id = createEventId(event, { withLink: keyCounts.get(getEventKey(event)) > 1 });
+
+    const previous = previousById.get(event.id);
+    event.firstSeen = previous?.firstSeen || event.firstSeen || seenAt;
+    event.lastSeen = event.stale
+      ? event.lastSeen || previous?.lastSeen || event.staleSince || seenAt
+      : seenAt;
+  });
+
+  return events;
+};
+
+export { normaliseTitle, localDateKey, getEventKey, createEventId, assignEventIds };
@@ -0,0 +1,99 @@
+/**
+ * Event Times - Doors, start and end times from titles and listing text
+ *
+ * Listings often give the time outside the date: "Doors 7pm / Show 8pm",
+ * "7.30pm start", "11pm–4am" or "8pm till late". extractEventTimes() reads those
+ * into 24-hour "HH:MM" strings; endTime may also be "late". Labelled times are
+ * found anywhere, while a lone time ("Quiz Night 8pm") only counts as the start
+ * in short text such as a title.
+ */
+
+// A clock time as written in listings: "7pm", "7.30 pm", "19:30", "midnight"; never after a currency sign
+const CLOCK = String.raw`(?<![£$€\d.:])(?:\d{1,2}(?:[:.]\d{2})?\s*[ap]\.?m\.?|\d{1,2}[:.]\d{2}|midnight|noon|midday)(?![\d%])`;
+const LABEL_GAP = String.raw`\s*(?:at|from|:|-|–)?\s*`;
+
+const TIME_PATTERNS = {
+  doorsTime: new RegExp(String.raw`\bdoors(?:\s+open)?${LABEL_GAP}(${CLOCK})`, 'i'),
+  startTime: new RegExp(String.raw`\b(?:starts?|show(?:time)?|on stage|first band|music from|live from)${LABEL_GAP}(${CLOCK})`, 'i'),
+  startAfter: new RegExp(String.raw`(${CLOCK})\s+(?:start|show)\b`, 'i'),
+  endTime: new RegExp(String.raw`\b(?:curfew|ends?|finish(?:es)?|close|until|till|'?til)${LABEL_GAP}(${CLOCK}|late)`, 'i'),
+  // A bare start hour is never a price: "£8-10pm" isn't 8 till 10
+  range: new RegExp(String.raw`(${CLOCK}|(?<![£$€\d.:])\d{1,2})\s*(?:-|–|—|to|till|until|'?til)\s*(${CLOCK}|late)`, 'i'),
+  // Not first, and never a word, so band names like "4am Kru" or "Midnight Cowgirls" aren't times
+  lone: new RegExp(String.raw`[\s(,|/](${CLOCK.replace('|midnight|noon|midday', '')})(?=$|[\s),|/!])`, 'i')
+};
+
+// Text this long or shorter (a title or date line) may give its start as a lone time
+const LOOSE_TEXT_LENGTH = 120;
+
+/**
+ * Normalise "7pm", "7.30 pm", "19:30", "midnight" or "2025-11-27T19:30:00" to 24-hour "HH:MM"
+ * Without am/pm, only an hour of 13 or more or a zero-padded one is 24-hour ("19:30",
+ * "00:30", "07:30"); otherwise listings mean the evening, so "7:30" and "8.00" are 19:30 and 20:00
+ */
+const parseClockTime = (value) => {
+  if (!value) return null;
+  const text = String(value).trim().toLowerCase();
+  if (text === 'midnight') return '00:00';
+  if (text === 'noon' || text === 'midday') return '12:00';
+
+  const iso = text.match(/t(\d{2}):(\d{2})/);
+  const match = iso || text.match(/^(\d{1,2})(?:[:.](\d{2}))?\s*([ap])?\.?m?\.?$/);
+  if (!match) return null;
+
+  let hour = parseInt(match[1], 10);
+  const minutes = match[2] || '00';
+  const meridiem = iso ? null : match[3];
+  if (meridiem === 'p' && hour < 12) hour += 12;
+  else if (meridiem === 'a' && hour === 12) hour = 0;
+  else if (!iso && !meridiem && hour < 12 && !match[1].startsWith('0')) hour += 12;
+
+  if (hour > 23 || parseInt(minutes, 10) > 59) return null;
+  return `${String(hour).padStart(2, '0')}:${minutes}`;
+};
+
+/**
+ * Find doors, start and end times in a piece of listing text
+ * @param {string} text - A title, date line or description
+ * @returns {{doorsTime?: string, startTime?: string, endTime?: string}} Only the times that were found
+ */
+const extractEventTimes = (text) => {
+  const source = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!source) return {};
+
+  const found = (pattern, group = 1) => source.match(TIME_PATTERNS[pattern])?.[group];
+  const times = {
+    doorsTime: parseClockTime(found('doorsTime')),
+    startTime: parseClockTime(found('startTime') || found('startAfter'))
+  };
+
+  const end = found('endTime');
+  times.endTime = end?.toLowerCase() === 'late' ? 'late' : parseClockTime(end);
+
+  // "11pm–4am", "8pm till late": a start and an end, unless they were labelled already
+  const range = source.match(TIME_PATTERNS.range);
+  if (range) {
+    const [, from, to] = range;
+    const isDoors = times.doorsTime && times.doorsTime === parseClockTime(from);
+    // A bare start hour borrows the end's am/pm: "8-11pm"
+    const meridiem = /\d$/.test(from) ? to.match(/[ap]\.?m/i)?.[0] || '' : '';
+    if (!times.startTime && !isDoors) times.startTime = parseClockTime(`${from}${meridiem}`);
+    times.endTime ??= to.toLowerCase() === 'late' ? 'late' : parseClockTime(to);
+  }
+
+  if (!times.startTime && !times.doorsTime && source.length <= LOOSE_TEXT_LENGTH) {
+    times.startTime = parseClockTime(found('lone'));
+  }
+
+  return Object.fromEntries(Object.entries(times).filter(([, value]) => value));
+};
+
+/**
+ * Minutes after midnight of an "HH:MM" time, for sorting; null for "late" or no time
+ */
+const minutesOfDay = (time) => {
+  const match = String(time || '').match(/^(\d{2}):(\d{2})$/);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+export { parseClockTime, extractEventTimes, minutesOfDay };
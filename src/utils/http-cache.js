@@ -0,0 +1,116 @@
+/**
+ * HTTP Cache - Skips re-scraping venues whose pages haven't changed since the last run
+ *
+ * For each venue the cache keeps the requests its last successful scrape made
+ * (with ETag, Last-Modified and a hash of the body) and the events it produced.
+ * Next run BaseScraper revalidates those requests with If-None-Match /
+ * If-Modified-Since; if every one comes back 304 or with the same body hash, the
+ * stored events are reused and the venue isn't scraped again.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const DEFAULT_CACHE_PATH = '.cache/http-cache.json';
+
+// Re-scrape at least weekly so relative dates and parser changes catch up
+const DEFAULT_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Stable hash of a response body (strings as-is, parsed JSON re-serialised)
+ */
+const hashBody = (data) => crypto
+  .createHash('sha256')
+  .update(typeof data === 'string' ? data : JSON.stringify(data ?? null))
+  .digest('hex');
+
+class HttpCache {
+  constructor(options = {}) {
+    this.path = options.path || DEFAULT_CACHE_PATH;
+    this.enabled = options.enabled !== false;
+    this.maxAge = options.maxAge || DEFAULT_MAX_AGE;
+    this.venues = {};
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.stats = { hits: 0, misses: 0, notModified: 0, unchangedBody: 0, changed: 0 };
+  }
+
+  /**
+   * Read the cache file; a missing or corrupt file starts an empty cache
+   */
+  async load() {
+    this.resetStats();
+    if (!this.enabled) return;
+
+    try {
+      const saved = JSON.parse(await fs.readFile(this.path, 'utf-8'));
+      this.venues = saved?.venues || {};
+    } catch {
+      this.venues = {};
+    }
+  }
+
+  async save() {
+    if (!this.enabled) return;
+    await fs.mkdir(path.dirname(this.path), { recursive: true });
+    await fs.writeFile(this.path, JSON.stringify({ savedAt: new Date().toISOString(), venues: this.venues }));
+  }
+
+  /**
+   * Last cached scrape for a venue, unless it is too old to trust
+   */
+  getVenue(key) {
+    if (!this.enabled) return null;
+
+    const entry = this.venues[key];
+    if (!entry || !Array.isArray(entry.requests) || entry.requests.length === 0) return null;
+    if (Date.now() - Date.parse(entry.storedAt) > this.maxAge) return null;
+    return entry;
+  }
+
+  /**
+   * Remember a venue's requests and the events they produced
+   * @param {string} key - Venue key
+   * @param {Object[]} requests - { method, url, body, etag, lastModified, hash } per request
+   * @param {Object[]} events - Events the scrape returned
+   */
+  setVenue(key, requests, events) {
+    if (!this.enabled || requests.length === 0) return;
+    this.venues[key] = { storedAt: new Date().toISOString(), requests, events };
+  }
+
+  recordHit() {
+    this.stats.hits++;
+  }
+
+  recordMiss() {
+    this.stats.misses++;
+  }
+
+  /**
+   * Count how a revalidated request turned out: 'notModified' | 'unchangedBody' | 'changed'
+   */
+  recordRevalidation(outcome) {
+    this.stats[outcome]++;
+  }
+
+  getStats() {
+    const total = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      ...this.stats,
+      hitRate: total > 0 ? Math.round((this.stats.hits / total) * 100) : 0
+    };
+  }
+}
+
+// Shared cache used by BaseScraper; SCRAPER_HTTP_CACHE=off disables it
+const httpCache = new HttpCache({
+  path: process.env.SCRAPER_CACHE_PATH,
+  enabled: process.env.SCRAPER_HTTP_CACHE !== 'off'
+});
+
+export { HttpCache, httpCache, hashBody, DEFAULT_CACHE_PATH };
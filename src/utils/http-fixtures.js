@@ -0,0 +1,160 @@
+/**
+ * HTTP Fixtures - Record and replay the HTTP exchanges scrapers make
+ *
+ * In "record" mode every request BaseScraper sends is saved, with its response,
+ * to one JSON file per venue. In "replay" mode those files answer requests in
+ * place of the network, so a scrape can be reproduced offline and scraper tests
+ * can run against captured pages. Set SCRAPER_HTTP_MODE=record|replay and,
+ * optionally, SCRAPER_FIXTURES_DIR to switch the shared store on.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_FIXTURES_DIR = fileURLToPath(new URL('../../tests/fixtures/http', import.meta.url));
+
+const MODES = ['live', 'record', 'replay'];
+
+/**
+ * Key a request by method, URL and body so replays find the matching exchange
+ */
+const requestKey = ({ method = 'GET', url, body }) => {
+  const serializedBody = body === undefined || body === null
+    ? ''
+    : (typeof body === 'string' ? body : JSON.stringify(body));
+  return `${method.toUpperCase()} ${url} ${serializedBody}`;
+};
+
+// Fixture file names are limited to safe characters
+const toFileName = (name) => `${String(name).toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '')}.json`;
+
+// Plain header object with string values (axios returns an AxiosHeaders instance)
+const toPlainHeaders = (headers) => {
+  const plain = typeof headers?.toJSON === 'function' ? headers.toJSON() : { ...headers };
+  return Object.fromEntries(Object.entries(plain).filter(([, value]) => typeof value === 'string'));
+};
+
+class HttpFixtureStore {
+  constructor(options = {}) {
+    this.configure(options);
+  }
+
+  /**
+   * Switch mode or fixture directory; drops anything cached or recorded so far
+   */
+  configure({ mode, dir } = {}) {
+    const resolvedMode = mode || 'live';
+    if (!MODES.includes(resolvedMode)) {
+      throw new Error(`Unknown HTTP fixture mode "${resolvedMode}" (expected ${MODES.join(', ')})`);
+    }
+
+    this.mode = resolvedMode;
+    this.dir = dir || DEFAULT_FIXTURES_DIR;
+    this.recordings = new Map();
+    this.writes = new Map();
+    this.loaded = new Map();
+    this.cursors = new Map();
+  }
+
+  get isRecording() {
+    return this.mode === 'record';
+  }
+
+  get isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  getPath(name) {
+    return path.join(this.dir, toFileName(name));
+  }
+
+  /**
+   * Save one exchange to the named fixture file
+   * The first recording for a name in this process replaces the old file
+   */
+  async record(name, request, response) {
+    const fixture = this.recordings.get(name) || { name, recordedAt: new Date().toISOString(), exchanges: [] };
+    this.recordings.set(name, fixture);
+
+    fixture.exchanges.push({
+      request: {
+        method: (request.method || 'GET').toUpperCase(),
+        url: request.url,
+        ...(request.body !== undefined && { body: request.body })
+      },
+      response: {
+        status: response.status,
+        headers: toPlainHeaders(response.headers),
+        data: response.data
+      }
+    });
+
+    // Chain writes per file so parallel requests can't interleave them
+    const previous = this.writes.get(name) || Promise.resolve();
+    const write = previous.then(async () => {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(this.getPath(name), JSON.stringify(fixture, null, 2));
+    });
+    this.writes.set(name, write);
+    return write;
+  }
+
+  async load(name) {
+    if (!this.loaded.has(name)) {
+      const filePath = this.getPath(name);
+      let fixture;
+      try {
+        fixture = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+      } catch (error) {
+        throw new Error(`No HTTP fixtures for "${name}" (${filePath}): ${error.message}`);
+      }
+      this.loaded.set(name, fixture);
+    }
+    return this.loaded.get(name);
+  }
+
+  /**
+   * Answer a request from the named fixture file
+   * Repeated requests get their recorded responses in order, then the last one again
+   * @returns {Promise<{status: number, headers: Object, data: *}>}
+   * @throws {Error} When nothing was recorded for the request, or (axios-style, with
+   *   error.response) when the recorded response was an HTTP error
+   */
+  async replay(name, request) {
+    const fixture = await this.load(name);
+    const key = requestKey(request);
+    const matches = fixture.exchanges.filter(exchange => requestKey(exchange.request) === key);
+
+    if (matches.length === 0) {
+      throw new Error(`No recorded response for ${request.method || 'GET'} ${request.url} in "${name}" fixtures`);
+    }
+
+    const cursorKey = `${name} ${key}`;
+    const index = Math.min(this.cursors.get(cursorKey) || 0, matches.length - 1);
+    this.cursors.set(cursorKey, index + 1);
+
+    const { response } = matches[index];
+    if (response.status >= 400) {
+      const error = new Error(`Request failed with status code ${response.status}`);
+      error.response = response;
+      throw error;
+    }
+    return response;
+  }
+
+  /**
+   * Wait for pending fixture writes to finish
+   */
+  async flush() {
+    await Promise.all(this.writes.values());
+  }
+}
+
+// Shared store used by BaseScraper unless a scraper is given its own
+const httpFixtures = new HttpFixtureStore({
+  mode: process.env.SCRAPER_HTTP_MODE,
+  dir: process.env.SCRAPER_FIXTURES_DIR
+});
+
+export { HttpFixtureStore, httpFixtures, requestKey, DEFAULT_FIXTURES_DIR };
@@ -0,0 +1,74 @@
+/**
+ * Last Known Good - Keeps a venue's previous events on the site when a run fails
+ *
+ * A venue that errors, or comes back empty when it last had upcoming events, is
+ * served from the events.json of the previous run instead of disappearing. Those
+ * events are marked stale with the time of the venue's last successful scrape,
+ * and are dropped once that is older than the maximum staleness.
+ */
+
+const DEFAULT_MAX_STALE_DAYS = 7;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Whether this run's result for a venue shouldn't replace its previous events
+ * An empty run only falls back if buildFallback() finds upcoming events from last time
+ * @param {Object} entry - The venue's stats entry for this run
+ */
+const needsFallback = (entry) => entry.status === 'error' || entry.status === 'no_events';
+
+/**
+ * When the venue last scraped successfully
+ * Older stats entries predate lastSuccessAt, so the newest scrapedAt stands in for it
+ */
+const getLastSuccess = (previousEntry, previousEvents) => {
+  if (previousEntry?.lastSuccessAt) return previousEntry.lastSuccessAt;
+
+  const scrapedTimes = previousEvents.map(event => Date.parse(event.scrapedAt)).filter(time => !Number.isNaN(time));
+  return scrapedTimes.length > 0 ? new Date(Math.max(...scrapedTimes)).toISOString() : null;
+};
+
+/**
+ * Previous events to serve for a venue whose run failed or came back empty
+ * @param {Object[]} previousEvents - The venue's events from the last events.json
+ * @param {Object} previousEntry - The venue's entry in the last scrape-stats.json
+ * @param {Object} options - { maxStaleDays, now }
+ * @returns {{events: Object[], since: string, ageHours: number, expired: boolean}|null}
+ *   null when there is nothing to fall back on
+ */
+const buildFallback = (previousEvents, previousEntry, options = {}) => {
+  const { maxStaleDays = DEFAULT_MAX_STALE_DAYS, now = Date.now() } = options;
+  const upcoming = previousEvents.filter(event => event.dateUnix === null || (event.endDateUnix ?? event.dateUnix) >= now);
+  const since = getLastSuccess(previousEntry, previousEvents);
+  if (upcoming.length === 0 || !since) return null;
+
+  const age = now - Date.parse(since);
+  const ageHours = Math.round(age / HOUR_MS);
+  if (age > maxStaleDays * DAY_MS) {
+    return { events: [], since, ageHours, expired: true };
+  }
+
+  return {
+    events: upcoming.map(event => ({ ...event, stale: true, staleSince: since, staleAgeHours: ageHours })),
+    since,
+    ageHours,
+    expired: false
+  };
+};
+
+/**
+ * Venues served from fallback, and venues whose fallback ran out, from per-venue stats entries
+ * @returns {{venues: string[], expired: string[]}}
+ */
+const summariseFallback = (venues) => {
+  const summary = { venues: [], expired: [] };
+  Object.entries(venues || {}).forEach(([name, entry]) => {
+    if (!entry?.fallback) return;
+    summary[entry.fallback.expired ? 'expired' : 'venues'].push(name);
+  });
+  return summary;
+};
+
+export { DEFAULT_MAX_STALE_DAYS, needsFallback, getLastSuccess, buildFallback, summariseFallback };
@@ -0,0 +1,108 @@
+/**
+ * London Time - Calendar dates and wall-clock times in Brighton's timezone
+ *
+ * Listings give dates and times as they are on the wall in Brighton, but the
+ * scraper runs wherever CI puts it, usually in UTC. Building dates with the
+ * machine's zone shifts late gigs across midnight and moves every time by an
+ * hour during BST. These helpers go through Europe/London explicitly instead.
+ */
+
+const TIME_ZONE = 'Europe/London';
+
+const PARTS = new Intl.DateTimeFormat('en-GB', {
+  timeZone: TIME_ZONE,
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric',
+  second: 'numeric',
+  weekday: 'short',
+  hourCycle: 'h23'
+});
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Wall-clock parts of a timestamp in London; month is 0-11 and weekday 0 (Sunday) to 6, like Date
+ * @param {number|Date} timestamp
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ */
+const getLondonParts = (timestamp = Date.now()) => {
+  const parts = Object.fromEntries(PARTS.formatToParts(new Date(timestamp)).map(({ type, value }) => [type, value]));
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month) - 1,
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+// Offsets by UTC hour; the clocks only ever change on the hour, and Intl lookups are slow
+const offsetCache = new Map();
+const OFFSET_CACHE_SIZE = 10000;
+
+/**
+ * How far London is ahead of UTC at a moment, in milliseconds (0 in GMT, one hour in BST)
+ */
+const getLondonOffset = (timestamp) => {
+  const hourKey = Math.floor(timestamp / HOUR_MS);
+  if (offsetCache.has(hourKey)) return offsetCache.get(hourKey);
+
+  const { year, month, day, hour, minute, second } = getLondonParts(timestamp);
+  const offset = Date.UTC(year, month, day, hour, minute, second) - Math.floor(timestamp / 1000) * 1000;
+  if (offsetCache.size >= OFFSET_CACHE_SIZE) offsetCache.clear();
+  offsetCache.set(hourKey, offset);
+  return offset;
+};
+
+/**
+ * Timestamp of a London wall-clock time; arguments are as for new Date(year, month, ...)
+ * Times skipped when the clocks go forward land an hour later, as they would on a clock;
+ * times repeated when they go back take the first (BST) occurrence
+ * @returns {number} Milliseconds since the epoch
+ */
+const fromLondonTime = (year, month, day = 1, hour = 0, minute = 0, second = 0, ms = 0) => {
+  const wallClock = Date.UTC(year, month, day, hour, minute, second, ms);
+  // The offsets either side of any clock change, largest (earliest reading) first
+  const offsets = [...new Set([getLondonOffset(wallClock - DAY_MS), getLondonOffset(wallClock + DAY_MS)])]
+    .sort((a, b) => b - a);
+  const offset = offsets.find(candidate => getLondonOffset(wallClock - candidate) === candidate);
+  return wallClock - (offset ?? offsets[offsets.length - 1]);
+};
+
+/**
+ * Whether a year, month (0-11) and day make a real calendar date, e.g. not 30 February
+ */
+const isCalendarDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month && date.getUTCDate() === day;
+};
+
+/**
+ * London calendar date of a timestamp, e.g. "2025-11-27"
+ */
+const getLondonDateKey = (timestamp = Date.now()) => {
+  const { year, month, day } = getLondonParts(timestamp);
+  return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Start and end of the London day containing a timestamp; 23 or 25 hours long when the clocks change
+ * @returns {{start: number, end: number}} end is the last millisecond of the day
+ */
+const getLondonDayRange = (timestamp = Date.now()) => {
+  const { year, month, day } = getLondonParts(timestamp);
+  return {
+    start: fromLondonTime(year, month, day),
+    end: fromLondonTime(year, month, day + 1) - 1
+  };
+};
+
+export { TIME_ZONE, getLondonParts, getLondonOffset, fromLondonTime, isCalendarDate, getLondonDateKey, getLondonDayRange };
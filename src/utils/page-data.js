@@ -0,0 +1,497 @@
+/**
+ * Page Data - Pulls structured data that sites embed in their HTML
+ *
+ * Covers Inertia's data-page attribute, Next.js __NEXT_DATA__, Nuxt's __NUXT__
+ * state (Nuxt 2 IIFE and Nuxt 3 __NUXT_DATA__ payloads) and object literals
+ * passed to or assigned in inline scripts. Inline JavaScript is read with a
+ * tolerant literal parser (single quotes, unquoted keys, comments, trailing
+ * commas) instead of being patched into JSON.
+ */
+
+const IDENTIFIER_START = /[A-Za-z_$]/;
+const IDENTIFIER_PART = /[A-Za-z0-9_$]/;
+const NUMBER_PATTERN = /[+-]?(?:0[xX][0-9a-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)/y;
+
+const KEYWORDS = {
+  true: true,
+  false: false,
+  null: null,
+  undefined,
+  NaN,
+  Infinity
+};
+
+const SIMPLE_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+/**
+ * Reads one JavaScript literal (object, array, string, number, keyword) from source
+ * Identifiers resolve through `scope`; unknown ones read as undefined
+ */
+class LiteralReader {
+  constructor(source, scope = {}) {
+    this.source = source;
+    this.scope = scope;
+    this.pos = 0;
+  }
+
+  fail(message) {
+    throw new Error(`${message} at position ${this.pos}`);
+  }
+
+  peek(offset = 0) {
+    return this.source[this.pos + offset];
+  }
+
+  startsWith(text) {
+    return this.source.startsWith(text, this.pos);
+  }
+
+  expect(char) {
+    this.skipWhitespace();
+    if (this.peek() !== char) this.fail(`Expected "${char}" but found "${this.peek() ?? 'end of input'}"`);
+    this.pos++;
+  }
+
+  skipWhitespace() {
+    while (this.pos < this.source.length) {
+      if (/\s/.test(this.peek())) {
+        this.pos++;
+      } else if (this.startsWith('//')) {
+        const end = this.source.indexOf('\n', this.pos);
+        this.pos = end === -1 ? this.source.length : end + 1;
+      } else if (this.startsWith('/*')) {
+        const end = this.source.indexOf('*/', this.pos + 2);
+        if (end === -1) this.fail('Unterminated comment');
+        this.pos = end + 2;
+      } else {
+        break;
+      }
+    }
+  }
+
+  readValue() {
+    this.skipWhitespace();
+    const char = this.peek();
+
+    if (char === undefined) this.fail('Unexpected end of input');
+    if (char === '{') return this.readObject();
+    if (char === '[') return this.readArray();
+    if (char === '"' || char === '\'' || char === '`') return this.readString();
+    if (char === '!') {
+      // Minifiers write true/false as !0/!1
+      this.pos++;
+      return !this.readValue();
+    }
+    if (char === '-' && IDENTIFIER_START.test(this.peek(1) || '')) {
+      this.pos++;
+      return -this.readValue();
+    }
+    if (/[\d.+-]/.test(char)) return this.readNumber();
+    if (IDENTIFIER_START.test(char)) return this.readIdentifierValue();
+
+    return this.fail(`Unexpected "${char}"`);
+  }
+
+  readObject() {
+    const result = {};
+    this.expect('{');
+
+    for (;;) {
+      this.skipWhitespace();
+      if (this.peek() === '}') break;
+
+      const key = this.readKey();
+      this.skipWhitespace();
+
+      if (this.peek() === ':') {
+        this.pos++;
+        result[key] = this.readValue();
+      } else {
+        // Shorthand property: { name }
+        result[key] = this.lookup(key);
+      }
+
+      this.skipWhitespace();
+      if (this.peek() === ',') {
+        this.pos++;
+      } else if (this.peek() !== '}') {
+        this.fail(`Expected "," or "}" but found "${this.peek() ?? 'end of input'}"`);
+      }
+    }
+
+    this.pos++;
+    return result;
+  }
+
+  readKey() {
+    this.skipWhitespace();
+    const char = this.peek();
+
+    if (char === '"' || char === '\'' || char === '`') return this.readString();
+    if (/[\d.]/.test(char)) return String(this.readNumber());
+    if (IDENTIFIER_START.test(char)) return this.readIdentifier();
+
+    return this.fail(`Unexpected "${char ?? 'end of input'}" in object key`);
+  }
+
+  readArray() {
+    const result = [];
+    this.expect('[');
+
+    for (;;) {
+      this.skipWhitespace();
+      if (this.peek() === ']') break;
+
+      if (this.peek() === ',') {
+        // Elided entry: [1,,2]
+        result.push(undefined);
+        this.pos++;
+        continue;
+      }
+
+      result.push(this.readValue());
+      this.skipWhitespace();
+      if (this.peek() === ',') {
+        this.pos++;
+      } else if (this.peek() !== ']') {
+        this.fail(`Expected "," or "]" but found "${this.peek() ?? 'end of input'}"`);
+      }
+    }
+
+    this.pos++;
+    return result;
+  }
+
+  readString() {
+    const quote = this.peek();
+    let result = '';
+    this.pos++;
+
+    while (this.pos < this.source.length) {
+      const char = this.peek();
+
+      if (char === quote) {
+        this.pos++;
+        return result;
+      }
+      if (quote === '`' && this.startsWith('${')) {
+        this.fail('Template literal interpolation is not supported');
+      }
+      if (char === '\\') {
+        result += this.readEscape();
+        continue;
+      }
+
+      result += char;
+      this.pos++;
+    }
+
+    return this.fail('Unterminated string');
+  }
+
+  readEscape() {
+    const char = this.peek(1);
+    this.pos += 2;
+
+    if (char in SIMPLE_ESCAPES) return SIMPLE_ESCAPES[char];
+    if (char === '\r' || char === '\n') {
+      // Line continuation
+      if (char === '\r' && this.peek() === '\n') this.pos++;
+      return '';
+    }
+    if (char === 'x') return this.readCodePoint(2);
+    if (char === 'u') {
+      if (this.peek() === '{') {
+        const end = this.source.indexOf('}', this.pos);
+        const code = parseInt(this.source.slice(this.pos + 1, end), 16);
+        this.pos = end + 1;
+        return String.fromCodePoint(code);
+      }
+      return this.readCodePoint(4);
+    }
+    return char ?? '';
+  }
+
+  readCodePoint(length) {
+    const hex = this.source.slice(this.pos, this.pos + length);
+    if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== length) this.fail('Invalid escape sequence');
+    this.pos += length;
+    return String.fromCharCode(parseInt(hex, 16));
+  }
+
+  readNumber() {
+    NUMBER_PATTERN.lastIndex = this.pos;
+    const match = NUMBER_PATTERN.exec(this.source);
+    if (!match || match[0] === '' || /^[+-]?\.?$/.test(match[0])) this.fail(`Unexpected "${this.peek()}"`);
+
+    this.pos += match[0].length;
+    const text = match[0].replace(/_/g, '');
+    const sign = text.startsWith('-') ? -1 : 1;
+    const unsigned = text.replace(/^[+-]/, '');
+
+    // Number() understands 0x/0b/0o prefixes but not a leading sign on them
+    return sign * Number(unsigned);
+  }
+
+  readIdentifier() {
+    const start = this.pos;
+    while (this.pos < this.source.length && IDENTIFIER_PART.test(this.peek())) this.pos++;
+    return this.source.slice(start, this.pos);
+  }
+
+  readIdentifierValue() {
+    let name = this.readIdentifier();
+
+    if (name === 'void') {
+      this.readValue();
+      return undefined;
+    }
+    if (Object.hasOwn(KEYWORDS, name)) return KEYWORDS[name];
+
+    // Dotted references such as window.config.items
+    while (this.peek() === '.' && IDENTIFIER_START.test(this.peek(1) || '')) {
+      this.pos++;
+      name += `.${this.readIdentifier()}`;
+    }
+
+    return this.lookup(name);
+  }
+
+  lookup(name) {
+    return Object.hasOwn(this.scope, name) ? this.scope[name] : undefined;
+  }
+
+  /**
+   * Read a parenthesised, comma-separated argument list
+   */
+  readArguments() {
+    const args = [];
+    this.expect('(');
+
+    for (;;) {
+      this.skipWhitespace();
+      if (this.peek() === ')') break;
+
+      args.push(this.readValue());
+      this.skipWhitespace();
+      if (this.peek() === ',') {
+        this.pos++;
+      } else if (this.peek() !== ')') {
+        this.fail(`Expected "," or ")" but found "${this.peek() ?? 'end of input'}"`);
+      }
+    }
+
+    this.pos++;
+    return args;
+  }
+}
+
+/**
+ * Parse a JavaScript literal
+ * @param {string} source - Text containing the literal
+ * @param {Object} options - `start` offset and identifier `scope`
+ * @returns {{value: *, end: number}} Parsed value and the offset just past it
+ * @throws {Error} If the text at `start` is not a literal this parser understands
+ */
+const parseJsLiteral = (source, { start = 0, scope = {} } = {}) => {
+  const reader = new LiteralReader(source, scope);
+  reader.pos = start;
+  const value = reader.readValue();
+  return { value, end: reader.pos };
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Text of every inline (src-less) script on the page
+ */
+const getInlineScripts = ($) => $('script:not([src])')
+  .map((_, element) => $(element).html() || '')
+  .get()
+  .filter(Boolean);
+
+/**
+ * Read a minified Nuxt 2 state function: (function(a,b){return {...}}(1,"x"))
+ * Parameters are bound to the call's arguments while reading the returned literal
+ */
+const parseStateFunction = (source, start) => {
+  const header = /\(?\s*function\s*\(([^)]*)\)\s*\{\s*return\s*/y;
+  header.lastIndex = start;
+  const match = header.exec(source);
+  if (!match) return null;
+
+  const params = match[1].split(',').map(param => param.trim()).filter(Boolean);
+  const bodyStart = header.lastIndex;
+
+  // First pass only finds where the body ends so the arguments can be read
+  const { end: bodyEnd } = parseJsLiteral(source, { start: bodyStart });
+  const reader = new LiteralReader(source);
+  reader.pos = bodyEnd;
+  reader.skipWhitespace();
+  if (reader.peek() === ';') reader.pos++;
+  reader.expect('}');
+  reader.skipWhitespace();
+  if (reader.peek() === ')') reader.pos++;
+
+  const args = reader.readArguments();
+  const scope = Object.fromEntries(params.map((param, index) => [param, args[index]]));
+  return parseJsLiteral(source, { start: bodyStart, scope });
+};
+
+/**
+ * First argument of every `callee(...)` call in the page's inline scripts
+ * e.g. extractScriptCalls($, '_filter_data.push')
+ * @param {Function} options.onError - Called with the error for calls that fail to parse
+ */
+const extractScriptCalls = ($, callee, { onError } = {}) => {
+  const pattern = new RegExp(`(?<![\\w$.])${escapeRegExp(callee)}\\s*\\(`, 'g');
+  const values = [];
+
+  getInlineScripts($).forEach(script => {
+    for (const match of script.matchAll(pattern)) {
+      try {
+        const { value } = parseJsLiteral(script, { start: match.index + match[0].length });
+        values.push(value);
+      } catch (error) {
+        onError?.(error);
+      }
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Value assigned to `name` in the page's inline scripts (first match)
+ * e.g. extractScriptAssignment($, 'window.__INITIAL_STATE__')
+ */
+const extractScriptAssignment = ($, name) => {
+  const pattern = new RegExp(`(?<![\\w$.])${escapeRegExp(name)}\\s*=(?!=)\\s*`, 'g');
+
+  for (const script of getInlineScripts($)) {
+    const match = pattern.exec(script);
+    pattern.lastIndex = 0;
+    if (!match) continue;
+
+    const start = match.index + match[0].length;
+    return (parseStateFunction(script, start) || parseJsLiteral(script, { start })).value;
+  }
+
+  return null;
+};
+
+/**
+ * Inertia page object from the root element's data-page attribute
+ * (or the <script data-page type="application/json"> used by newer Inertia versions)
+ */
+const extractInertiaPage = ($) => {
+  const raw = $('[data-page]:not(script)').first().attr('data-page') ||
+    $('script[data-page][type="application/json"]').first().html();
+  return raw ? JSON.parse(raw) : null;
+};
+
+/**
+ * Next.js page data; page props live under props.pageProps
+ */
+const extractNextData = ($) => {
+  const raw = $('script#__NEXT_DATA__').html();
+  return raw ? JSON.parse(raw) : null;
+};
+
+// Negative indices devalue uses for values it can't store in the array
+const NUXT_SPECIAL_VALUES = { '-1': undefined, '-3': NaN, '-4': Infinity, '-5': -Infinity, '-6': -0 };
+
+/**
+ * Rebuild a Nuxt 3 payload from its flattened devalue array
+ * Nuxt's own wrapper types (Reactive, Ref, ...) are unwrapped to their contents
+ */
+const reviveNuxtPayload = (payload) => {
+  const revived = new Map();
+
+  const hydrate = (index) => {
+    if (index in NUXT_SPECIAL_VALUES) return NUXT_SPECIAL_VALUES[index];
+    if (revived.has(index)) return revived.get(index);
+
+    const value = payload[index];
+    if (value === null || typeof value !== 'object') {
+      revived.set(index, value);
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      if (typeof value[0] === 'string') {
+        const [type, ...rest] = value;
+        switch (type) {
+          case 'Date': return new Date(rest[0]);
+          case 'Set': return new Set(rest.map(hydrate));
+          case 'Map': {
+            const map = new Map();
+            for (let i = 0; i < rest.length; i += 2) map.set(hydrate(rest[i]), hydrate(rest[i + 1]));
+            return map;
+          }
+          case 'RegExp': return new RegExp(rest[0], rest[1]);
+          case 'BigInt': return BigInt(rest[0]);
+          case 'Object': return Object(rest[0]);
+          case 'null': {
+            const object = Object.create(null);
+            for (let i = 0; i < rest.length; i += 2) object[rest[i]] = hydrate(rest[i + 1]);
+            return object;
+          }
+          default: return hydrate(rest[0]);
+        }
+      }
+
+      const array = [];
+      revived.set(index, array);
+      value.forEach(entry => array.push(entry === -2 ? undefined : hydrate(entry)));
+      return array;
+    }
+
+    const object = {};
+    revived.set(index, object);
+    Object.entries(value).forEach(([key, entry]) => {
+      object[key] = hydrate(entry);
+    });
+    return object;
+  };
+
+  return Array.isArray(payload) && payload.length > 0 ? hydrate(0) : null;
+};
+
+/**
+ * Nuxt state: the Nuxt 3 __NUXT_DATA__ payload or the Nuxt 2 window.__NUXT__ assignment
+ */
+const extractNuxtData = ($) => {
+  const raw = $('script#__NUXT_DATA__').html();
+  if (raw) return reviveNuxtPayload(JSON.parse(raw));
+  return extractScriptAssignment($, 'window.__NUXT__');
+};
+
+/**
+ * Extract embedded page data by source
+ * @param {CheerioAPI} $ - Loaded page
+ * @param {string|Object} source - 'inertia' | 'next' | 'nuxt' | { call: name } | { assignment: name }
+ * @param {Object} options - Passed to extractScriptCalls
+ * @returns {*} The data, null when the page doesn't carry it ({ call } returns an array)
+ * @throws {Error} For an unknown source or embedded data that fails to parse
+ */
+const extractPageData = ($, source, options = {}) => {
+  if (source === 'inertia') return extractInertiaPage($);
+  if (source === 'next') return extractNextData($);
+  if (source === 'nuxt') return extractNuxtData($);
+  if (source?.call) return extractScriptCalls($, source.call, options);
+  if (source?.assignment) return extractScriptAssignment($, source.assignment);
+
+  throw new Error(`Unknown page data source ${JSON.stringify(source)}`);
+};
+
+export {
+  parseJsLiteral,
+  extractScriptCalls,
+  extractScriptAssignment,
+  extractInertiaPage,
+  extractNextData,
+  extractNuxtData,
+  reviveNuxtPayload,
+  extractPageData
+};
@@ -0,0 +1,183 @@
+/**
+ * Pagination - URL stepping strategies for multi-page listings
+ *
+ * A pager knows the first page URL and, given the page just fetched, the next
+ * one. BaseScraper.paginate() does the fetching, rate limiting and stopping.
+ *
+ * Strategies (pagination.type):
+ * - single:     only the base URL (default)
+ * - nextLink:   follow the href of `selector` on each HTML page
+ * - pageNumber: set `param` (default "page") or fill `{page}` in `urlTemplate`
+ * - offset:     JSON API with `param` (default "offset") advanced by `limit` or the item count
+ * - cursor:     JSON API whose response names the next page, via `nextUrlPath`
+ *               (e.g. "links.next"), `cursorPath` + `param`, or a getNextUrl(data, url) function
+ * - month:      one page per calendar month, filling `{year}`/`{month}` in `urlTemplate`
+ *               or setting `yearParam`/`monthParam`
+ *
+ * `startUrl` replaces the base URL as the first page; `continueWhenEmpty`
+ * keeps walking past pages that add no events (the default for month).
+ */
+
+import { fromLondonTime, getLondonParts } from './london-time.js';
+
+// Response format each strategy reads unless pagination.format says otherwise
+const DEFAULT_FORMATS = {
+  single: 'html',
+  nextLink: 'html',
+  pageNumber: 'html',
+  offset: 'json',
+  cursor: 'json',
+  month: 'html'
+};
+
+/**
+ * Read a dotted path such as "meta.pagination.next" from an object
+ */
+const getPath = (data, dottedPath) => dottedPath
+  .split('.')
+  .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+
+const withParams = (url, params) => {
+  const next = new URL(url);
+  Object.entries(params).forEach(([key, value]) => next.searchParams.set(key, value));
+  return next.href;
+};
+
+const resolve = (href, base) => {
+  if (!href) return null;
+  try {
+    return new URL(String(href).trim(), base).href;
+  } catch {
+    return null;
+  }
+};
+
+const pageNumberPager = (pagination, baseUrl) => {
+  const param = pagination.param || 'page';
+  const start = pagination.start ?? 1;
+
+  const urlFor = (page) => {
+    if (pagination.urlTemplate) return pagination.urlTemplate.replace('{page}', page);
+    return page === start ? baseUrl : withParams(baseUrl, { [param]: page });
+  };
+
+  return {
+    first: () => ({ url: urlFor(start), info: { page: start } }),
+    next: ({ info }) => ({ url: urlFor(info.page + 1), info: { page: info.page + 1 } })
+  };
+};
+
+const offsetPager = (pagination, baseUrl) => {
+  const param = pagination.param || 'offset';
+  const limitParam = pagination.limitParam || 'limit';
+  const limitParams = pagination.limit ? { [limitParam]: pagination.limit } : {};
+
+  const urlFor = (offset) => withParams(baseUrl, { [param]: offset, ...limitParams });
+
+  return {
+    first: () => ({ url: urlFor(pagination.start || 0), info: { offset: pagination.start || 0 } }),
+    next: ({ info, items }) => {
+      const step = pagination.limit || items;
+      if (!step) return null;
+      const offset = info.offset + step;
+      return { url: urlFor(offset), info: { offset } };
+    }
+  };
+};
+
+const cursorPager = (pagination, baseUrl) => {
+  const param = pagination.param || 'cursor';
+
+  return {
+    first: () => ({ url: baseUrl, info: {} }),
+    next: ({ url, page }) => {
+      if (typeof pagination.getNextUrl === 'function') {
+        const nextUrl = resolve(pagination.getNextUrl(page, url), url);
+        return nextUrl ? { url: nextUrl, info: {} } : null;
+      }
+      if (pagination.nextUrlPath) {
+        const nextUrl = resolve(getPath(page, pagination.nextUrlPath), url);
+        return nextUrl ? { url: nextUrl, info: {} } : null;
+      }
+
+      const cursor = pagination.cursorPath ? getPath(page, pagination.cursorPath) : null;
+      if (cursor === null || cursor === undefined || cursor === '') return null;
+      return { url: withParams(baseUrl, { [param]: cursor }), info: { cursor } };
+    }
+  };
+};
+
+const monthPager = (pagination, baseUrl) => {
+  // Months as they are in Brighton, so a run just after midnight UTC asks for the right one
+  const from = getLondonParts(pagination.from ? Date.parse(pagination.from) : Date.now());
+
+  const stepFor = (index) => {
+    const start = new Date(Date.UTC(from.year, from.month + index, 1));
+    const year = start.getUTCFullYear();
+    const month = String(start.getUTCMonth() + 1).padStart(2, '0');
+    const url = pagination.urlTemplate
+      ? pagination.urlTemplate.replace('{year}', year).replace('{month}', month)
+      : withParams(baseUrl, {
+        [pagination.yearParam || 'year']: year,
+        [pagination.monthParam || 'month']: month
+      });
+
+    return { url, info: { index, year, month: start.getUTCMonth() + 1 }, startsAt: fromLondonTime(year, start.getUTCMonth(), 1) };
+  };
+
+  return {
+    first: () => stepFor(0),
+    next: ({ info }) => stepFor(info.index + 1),
+    // A month with nothing on is normal; keep going to the page limit or horizon
+    continueWhenEmpty: true
+  };
+};
+
+const nextLinkPager = (pagination, baseUrl) => {
+  if (!pagination.selector) throw new Error('nextLink pagination needs a selector');
+
+  return {
+    first: () => ({ url: baseUrl, info: {} }),
+    next: ({ url, page }) => {
+      const nextUrl = resolve(page(pagination.selector).first().attr('href'), url);
+      return nextUrl ? { url: nextUrl, info: {} } : null;
+    }
+  };
+};
+
+const singlePager = (pagination, baseUrl) => ({
+  first: () => ({ url: baseUrl, info: {} }),
+  next: () => null
+});
+
+const PAGERS = {
+  single: singlePager,
+  nextLink: nextLinkPager,
+  pageNumber: pageNumberPager,
+  offset: offsetPager,
+  cursor: cursorPager,
+  month: monthPager
+};
+
+/**
+ * Build the pager for a pagination config
+ * @param {Object} pagination - Strategy config (see module docs)
+ * @param {string} baseUrl - Listing URL the strategy starts from
+ * @returns {{first: Function, next: Function, format: string, continueWhenEmpty: boolean}}
+ * @throws {Error} For an unknown strategy or a nextLink config without a selector
+ */
+const createPager = (pagination = {}, baseUrl) => {
+  const type = pagination.type || 'single';
+  if (!PAGERS[type]) {
+    throw new Error(`Unknown pagination type "${type}" (expected ${Object.keys(PAGERS).join(', ')})`);
+  }
+
+  const pager = PAGERS[type](pagination, pagination.startUrl || baseUrl);
+  return {
+    ...pager,
+    continueWhenEmpty: pagination.continueWhenEmpty ?? pager.continueWhenEmpty ?? false,
+    format: pagination.format || DEFAULT_FORMATS[type]
+  };
+};
+
+export { createPager, getPath };
@@ -18,6 +18,10 @@ class RateLimiter {
     
     // Per-domain tracking
     this.domainStats = new Map();
+
+    // Crawl-delay (ms) per domain from robots.txt, and when each domain may next be hit
+    this.domainDelays = new Map();
+    this.nextDomainSlot = new Map();
   }
 
   /**
@@ -60,7 +64,10 @@ class RateLimiter {
 
     try {
       // Apply rate limiting delay
-      const delay = this.calculateDelay(request.options.domain);
+      const delay = Math.max(
+        this.calculateDelay(request.options.domain),
+        this.reserveDomainSlot(request.options.domain)
+      );
       if (delay > 0) {
         await this.sleep(delay);
       }
@@ -118,6 +125,32 @@ class RateLimiter {
     return delay;
   }
 
+  /**
+   * Set the minimum gap between request starts for a domain (its robots.txt Crawl-delay)
+   */
+  setDomainDelay(domain, ms) {
+    // The request that found the delay is already under way, so the next one waits for it
+    if (!this.domainDelays.has(domain)) {
+      this.nextDomainSlot.set(domain, Date.now() + ms);
+    }
+    this.domainDelays.set(domain, ms);
+  }
+
+  /**
+   * Claim the domain's next free slot under its Crawl-delay
+   * Slots are reserved before sleeping, so concurrent requests to one domain queue up
+   * @returns {number} Milliseconds to wait before sending
+   */
+  reserveDomainSlot(domain) {
+    const crawlDelay = this.domainDelays.get(domain);
+    if (!crawlDelay) return 0;
+
+    const now = Date.now();
+    const start = Math.max(now, this.nextDomainSlot.get(domain) || 0);
+    this.nextDomainSlot.set(domain, start + crawlDelay);
+    return start - now;
+  }
+
   /**
    * Update domain-specific statistics
    */
@@ -186,7 +219,8 @@ class RateLimiter {
     for (const [domain, stats] of this.domainStats.entries()) {
       domainStatsObj[domain] = {
         ...stats,
-        successRate: stats.requests > 0 ? (stats.successes / stats.requests * 100).toFixed(2) + '%' : '0%'
+        successRate: stats.requests > 0 ? (stats.successes / stats.requests * 100).toFixed(2) + '%' : '0%',
+        ...(this.domainDelays.has(domain) && { crawlDelay: this.domainDelays.get(domain) })
       };
     }
 
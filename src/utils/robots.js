@@ -0,0 +1,183 @@
+/**
+ * Robots - robots.txt rules and Crawl-delay for every site we scrape
+ *
+ * Each origin's robots.txt is fetched once and kept for a day. Paths are matched
+ * as RFC 9309 describes: the longest matching Allow/Disallow rule wins, Allow on
+ * a tie, with `*` wildcards and a `$` end anchor. The group naming our bot is
+ * used if there is one, otherwise the `*` group. A missing or unreachable
+ * robots.txt allows everything, so a flaky file doesn't take a venue offline.
+ */
+
+import axios from 'axios';
+
+const BOT_NAME = 'Brighton-Gigs-Scraper';
+
+// Where site owners can find out who we are; SCRAPER_CONTACT_URL overrides it
+const DEFAULT_CONTACT_URL = 'https://brightongigs.uk';
+
+const DEFAULT_MAX_AGE = 24 * 60 * 60 * 1000;
+const FETCH_TIMEOUT = 5000;
+
+// Longer Crawl-delays (in seconds) are capped so one site can't stall a whole run
+const MAX_CRAWL_DELAY = 60;
+
+const ALLOW_ALL = { rules: [], crawlDelay: null };
+
+/**
+ * User-Agent header for every request, with a contact URL for site owners
+ */
+const buildUserAgent = (contactUrl = process.env.SCRAPER_CONTACT_URL || DEFAULT_CONTACT_URL) =>
+  `Mozilla/5.0 (compatible; ${BOT_NAME}/1.0; +${contactUrl})`;
+
+/**
+ * Split a robots.txt file into user-agent groups
+ * @returns {Array<{agents: string[], rules: Array<{allow: boolean, path: string}>, crawlDelay: number|null}>}
+ */
+const parseRobotsTxt = (text) => {
+  const groups = [];
+  let current = null;
+  let inAgentLines = false;
+
+  String(text || '').split(/\r?\n/).forEach(rawLine => {
+    const match = rawLine.replace(/#.*/, '').trim().match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) return;
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    // Consecutive User-agent lines share one group
+    if (field === 'user-agent') {
+      if (!inAgentLines) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      inAgentLines = true;
+      return;
+    }
+
+    inAgentLines = false;
+    if (!current) return;
+
+    if ((field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (!Number.isNaN(seconds) && seconds >= 0) current.crawlDelay = seconds;
+    }
+  });
+
+  return groups;
+};
+
+/**
+ * Rules that apply to an agent: its own groups, or the `*` groups if none name it
+ */
+const selectRules = (groups, agent = BOT_NAME) => {
+  const token = agent.toLowerCase();
+  const named = groups.filter(group => group.agents.includes(token));
+  const chosen = named.length > 0 ? named : groups.filter(group => group.agents.includes('*'));
+  const delays = chosen.map(group => group.crawlDelay).filter(delay => delay !== null);
+
+  return {
+    rules: chosen.flatMap(group => group.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+  };
+};
+
+const escapeRegExp = (text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+const toPattern = (rulePath) => {
+  const anchored = rulePath.endsWith('$');
+  const body = (anchored ? rulePath.slice(0, -1) : rulePath).split('*').map(escapeRegExp).join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+};
+
+/**
+ * Whether a path (with its query string) may be fetched under the given rules
+ */
+const isAllowed = ({ rules }, urlPath) => {
+  if (urlPath === '/robots.txt') return true;
+
+  let best = null;
+  rules.forEach(rule => {
+    if (!toPattern(rule.path).test(urlPath)) return;
+    const longer = !best || rule.path.length > best.path.length;
+    const tieGoesToAllow = best && rule.path.length === best.path.length && rule.allow;
+    if (longer || tieGoesToAllow) best = rule;
+  });
+
+  return !best || best.allow;
+};
+
+class RobotsCache {
+  constructor(options = {}) {
+    this.agent = options.agent || BOT_NAME;
+    this.userAgent = options.userAgent || buildUserAgent();
+    this.enabled = options.enabled !== false;
+    this.maxAge = options.maxAge || DEFAULT_MAX_AGE;
+    this.fetch = options.fetch || ((url) => axios.get(url, {
+      timeout: FETCH_TIMEOUT,
+      responseType: 'text',
+      headers: { 'User-Agent': this.userAgent },
+      validateStatus: () => true
+    }));
+    this.origins = new Map();
+  }
+
+  /**
+   * Rules for a URL's origin, fetching robots.txt on first use
+   * Concurrent callers share one fetch
+   */
+  getRules(url) {
+    if (!this.enabled) return Promise.resolve(ALLOW_ALL);
+
+    const { origin } = new URL(url);
+    const entry = this.origins.get(origin);
+    if (entry && Date.now() - entry.fetchedAt <= this.maxAge) return entry.rules;
+
+    const rules = this.load(origin);
+    this.origins.set(origin, { fetchedAt: Date.now(), rules });
+    return rules;
+  }
+
+  async load(origin) {
+    try {
+      const response = await this.fetch(`${origin}/robots.txt`);
+      if (response.status >= 200 && response.status < 300) {
+        return selectRules(parseRobotsTxt(response.data), this.agent);
+      }
+      return ALLOW_ALL;
+    } catch (error) {
+      console.warn(`robots.txt unavailable for ${origin}, allowing all paths: ${error.message}`);
+      return ALLOW_ALL;
+    }
+  }
+
+  /**
+   * Check a URL against its site's robots.txt
+   * @returns {Promise<{allowed: boolean, crawlDelay: number|null}>} crawlDelay in seconds
+   */
+  async check(url) {
+    const rules = await this.getRules(url);
+    const { pathname, search } = new URL(url);
+    return {
+      allowed: isAllowed(rules, `${pathname}${search}`),
+      crawlDelay: rules.crawlDelay === null ? null : Math.min(rules.crawlDelay, MAX_CRAWL_DELAY)
+    };
+  }
+}
+
+// Shared cache used by BaseScraper; SCRAPER_ROBOTS=off skips robots.txt (tests only)
+const robotsCache = new RobotsCache({ enabled: process.env.SCRAPER_ROBOTS !== 'off' });
+
+export {
+  BOT_NAME,
+  MAX_CRAWL_DELAY,
+  RobotsCache,
+  robotsCache,
+  buildUserAgent,
+  parseRobotsTxt,
+  selectRules,
+  isAllowed
+};
@@ -204,11 +204,13 @@ export const sanitizeEvent = (event) => {
         venue: sanitizeVenueName(event.venue),
         link: sanitizeUrl(event.link),
         dateUnix: typeof event.dateUnix === 'number' ? event.dateUnix : Date.now(),
+        // Every ticket link of a merged duplicate (see utils/event-dedupe.js), the only array kept
+        ...(Array.isArray(event.links) && { links: event.links.map(sanitizeUrl).filter(Boolean) }),
         // Preserve any other safe properties
         ...Object.fromEntries(
             Object.entries(event)
                 .filter(([key]) => !['title', 'venue', 'link', 'dateUnix'].includes(key))
-                .filter(([, value]) => typeof value === 'string' || typeof value === 'number')
+                .filter(([, value]) => ['string', 'number', 'boolean'].includes(typeof value))
                 .map(([key, value]) => [key, typeof value === 'string' ? escapeHtml(value) : value])
         )
     };
@@ -0,0 +1,104 @@
+/**
+ * Scrape Output - Reads and writes the data files a scrape run produces
+ *
+ * A full run replaces events.json and scrape-stats.json. A partial run (some
+ * venues only) merges into them: the scraped venues' events and stats are
+ * swapped for the new ones, and every other venue keeps what it had.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const DEFAULT_OUTPUT_DIR = './data';
+
+const OUTPUT_FILES = {
+  events: 'events.json',
+  stats: 'scrape-stats.json',
+  errors: 'scrape-errors.json',
+  warnings: 'scrape-warnings.json',
+  history: 'venue-history.json',
+  changes: 'changes.json',
+  changesHistory: 'changes-history.json'
+};
+
+/**
+ * Read a JSON file, returning the fallback when it is missing or unreadable
+ */
+const readJsonFile = async (filePath, fallback = null) => {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch {
+    return fallback;
+  }
+};
+
+const writeJsonFile = (filePath, data) => fs.writeFile(filePath, JSON.stringify(data, null, 2));
+
+const getOutputPath = (outputDir, file) => path.join(outputDir, OUTPUT_FILES[file]);
+
+/**
+ * Sort events by date, undated events last
+ */
+const sortEvents = (events) => events.sort((a, b) => {
+  if (a.dateUnix === null && b.dateUnix === null) return 0;
+  if (a.dateUnix === null) return 1;
+  if (b.dateUnix === null) return -1;
+  return a.dateUnix - b.dateUnix;
+});
+
+/**
+ * Swap the events of the given venues for freshly scraped ones
+ * @param {Object[]} existing - Events already on disk
+ * @param {Object[]} fresh - Events from this run
+ * @param {string[]} replacedVenues - Venue names whose old events should go
+ * @returns {Object[]} Merged events, sorted by date
+ */
+const mergeEvents = (existing, fresh, replacedVenues) => {
+  const replaced = new Set(replacedVenues);
+  const kept = (existing || []).filter(event => !replaced.has(event.venue));
+  return sortEvents([...kept, ...fresh]);
+};
+
+/**
+ * Recount the venue totals from the per-venue entries
+ */
+const summariseVenueStats = (venues) => {
+  const entries = Object.values(venues);
+  return {
+    successful: entries.filter(entry => entry.status === 'success').length,
+    failed: entries.filter(entry => entry.status === 'error').length,
+    warnings: entries.filter(entry => entry.warnings > 0).length
+  };
+};
+
+/**
+ * Overlay this run's per-venue stats on the last run's and recount the totals
+ */
+const mergeStats = (existing, fresh) => {
+  const venues = { ...(existing?.venues || {}), ...fresh.venues };
+  return {
+    ...fresh,
+    ...summariseVenueStats(venues),
+    venues
+  };
+};
+
+/**
+ * Venue names recorded as failing in the last run's stats
+ */
+const getFailedVenueNames = (stats) => Object.entries(stats?.venues || {})
+  .filter(([, entry]) => entry.status === 'error')
+  .map(([name]) => name);
+
+export {
+  DEFAULT_OUTPUT_DIR,
+  OUTPUT_FILES,
+  readJsonFile,
+  writeJsonFile,
+  getOutputPath,
+  sortEvents,
+  mergeEvents,
+  mergeStats,
+  summariseVenueStats,
+  getFailedVenueNames
+};
@@ -0,0 +1,146 @@
+/**
+ * Venue Health - Spots venues whose scrapes quietly stop working
+ *
+ * Each venue keeps a rolling history of its recent runs: event count, share of
+ * events without a date and share without a link, plus how many elements its
+ * top-level selectors matched. A run that falls well outside that history is
+ * flagged "degraded" or "broken", with the fields and selectors that stopped
+ * matching, so a site redesign shows up the day it happens.
+ */
+
+// Runs kept per venue, and runs needed before a venue is judged at all
+const HISTORY_SIZE = 14;
+const MIN_HISTORY = 3;
+
+const THRESHOLDS = {
+  // Fewer than this share of the usual event count is degraded
+  countDrop: 0.5,
+  // A usual count at least this high makes zero events broken rather than degraded
+  brokenMinEvents: 3,
+  // Rise in the null-date / missing-link share (0-1) that counts as a regression
+  shareIncrease: 0.25
+};
+
+const HEALTH_RANK = { ok: 0, degraded: 1, broken: 2 };
+
+const share = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 1000 : 0);
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+/**
+ * Summarise one run's events for comparison with the history
+ * @param {Object[]} events - Events the scraper returned
+ * @param {Object<string, number>} selectors - Match counts per top-level selector
+ */
+const computeRunMetrics = (events, selectors = {}) => ({
+  events: events.length,
+  nullDateShare: share(events.filter(event => !event.dateUnix).length, events.length),
+  missingLinkShare: share(events.filter(event => !event.link).length, events.length),
+  selectors
+});
+
+/**
+ * Compare a run with the venue's history
+ * @param {Object} history - { runs: [...], selectors: {...} } from the history file
+ * @param {Object} metrics - computeRunMetrics() output for this run
+ * @returns {{status: string, reasons: string[], fields: string[], selectors: string[], baselineRuns: number}}
+ */
+const assessVenueHealth = (history, metrics) => {
+  const runs = history?.runs || [];
+  const health = { status: 'ok', reasons: [], fields: [], selectors: [], baselineRuns: runs.length };
+
+  if (runs.length < MIN_HISTORY) return health;
+
+  const flag = (status, reason) => {
+    if (HEALTH_RANK[status] > HEALTH_RANK[health.status]) health.status = status;
+    health.reasons.push(reason);
+  };
+
+  const usualEvents = median(runs.map(run => run.events));
+  if (metrics.events === 0 && usualEvents > 0) {
+    flag(usualEvents >= THRESHOLDS.brokenMinEvents ? 'broken' : 'degraded', `No events (usually ${usualEvents})`);
+  } else if (metrics.events < usualEvents * THRESHOLDS.countDrop) {
+    flag('degraded', `${metrics.events} events (usually ${usualEvents})`);
+  }
+
+  [['date', 'nullDateShare', 'without a date'], ['link', 'missingLinkShare', 'without a link']].forEach(([field, key, label]) => {
+    const usualShare = mean(runs.map(run => run[key] || 0));
+    if (metrics.events > 0 && metrics[key] - usualShare >= THRESHOLDS.shareIncrease) {
+      flag('degraded', `${Math.round(metrics[key] * 100)}% of events ${label} (usually ${Math.round(usualShare * 100)}%)`);
+      health.fields.push(field);
+    }
+  });
+
+  // Only selectors queried this run can be judged; fallbacks that didn't run are left alone
+  Object.entries(metrics.selectors || {}).forEach(([selector, count]) => {
+    const usualCount = history.selectors?.[selector] || 0;
+    if (count === 0 && usualCount > 0) {
+      health.selectors.push(selector);
+    }
+  });
+  if (health.selectors.length > 0) {
+    flag(metrics.events === 0 ? 'broken' : 'degraded', `Selectors stopped matching: ${health.selectors.join(', ')}`);
+  }
+
+  return health;
+};
+
+/**
+ * Add a run to the venue's history
+ * Broken runs are left out so a breakage doesn't become the new normal
+ */
+const updateVenueHistory = (history, metrics, health, timestamp = new Date().toISOString()) => {
+  const updated = {
+    runs: [...(history?.runs || [])],
+    selectors: { ...(history?.selectors || {}) }
+  };
+
+  if (health.status === 'broken') return updated;
+
+  const { selectors, ...counts } = metrics;
+  updated.runs = [...updated.runs, { at: timestamp, ...counts }].slice(-HISTORY_SIZE);
+
+  // Remember the last non-zero match count per selector
+  Object.entries(selectors || {}).forEach(([selector, count]) => {
+    if (count > 0) updated.selectors[selector] = count;
+  });
+
+  return updated;
+};
+
+/**
+ * Names of flagged venues, from per-venue stats entries carrying a `health` field
+ * @returns {{degraded: string[], broken: string[]}}
+ */
+const summariseHealth = (venues) => {
+  const summary = { degraded: [], broken: [] };
+  Object.entries(venues || {}).forEach(([name, entry]) => {
+    const status = entry?.health?.status;
+    if (summary[status]) summary[status].push(name);
+  });
+  return summary;
+};
+
+/**
+ * Whether a health status is at least as bad as the given level
+ */
+const isAtLeast = (status, level) => (HEALTH_RANK[status] ?? 0) >= (HEALTH_RANK[level] ?? Infinity);
+
+export {
+  HISTORY_SIZE,
+  MIN_HISTORY,
+  THRESHOLDS,
+  HEALTH_RANK,
+  computeRunMetrics,
+  assessVenueHealth,
+  updateVenueHistory,
+  summariseHealth,
+  isAtLeast
+};
@@ -0,0 +1,175 @@
+/**
+ * Venue Registry - Loads the declarative venue list from data/venues.json
+ *
+ * Each entry describes one venue: its id, display name, page slug, the scraper
+ * class that handles it, source URLs, enabled flag and rate-limit domain.
+ * Venues on a ticketing platform can instead give a single "platform:id"
+ * source (e.g. "wegottickets:23904"), which picks the platform's scraper and URL.
+ * Adding, pausing or retiring a venue is an edit to the data file only.
+ */
+
+import fs from 'fs/promises';
+
+const DEFAULT_REGISTRY_PATH = new URL('../../data/venues.json', import.meta.url);
+
+const REQUIRED_FIELDS = ['id', 'name', 'slug'];
+
+// Needed unless the entry gives a platform source instead
+const SCRAPER_FIELDS = ['scraper', 'urls'];
+
+const SOURCE_PATTERN = /^(?<platform>[a-z0-9-]+):(?<platformId>\S+)$/;
+
+/**
+ * Split a "platform:id" source into its parts
+ * @param {string} source - e.g. "ticketmaster:410165"
+ * @returns {{platform: string, platformId: string}|null}
+ */
+const parseSource = (source) => {
+  const match = typeof source === 'string' ? source.match(SOURCE_PATTERN) : null;
+  return match ? { ...match.groups } : null;
+};
+
+/**
+ * Validate a single registry entry
+ * @param {Object} entry - Raw registry entry
+ * @param {number} index - Position in the registry (for error messages)
+ * @returns {string[]} List of problems, empty when the entry is valid
+ */
+const validateVenueEntry = (entry, index = 0) => {
+  const problems = [];
+  const label = entry?.id ? `"${entry.id}"` : `#${index}`;
+
+  if (!entry || typeof entry !== 'object') {
+    return [`Venue ${label} must be an object`];
+  }
+
+  const requiredFields = entry.source ? REQUIRED_FIELDS : [...REQUIRED_FIELDS, ...SCRAPER_FIELDS];
+  requiredFields.forEach(field => {
+    if (entry[field] === undefined || entry[field] === null || entry[field] === '') {
+      problems.push(`Venue ${label} is missing required field "${field}"`);
+    }
+  });
+
+  if (entry.source !== undefined && !parseSource(entry.source)) {
+    problems.push(`Venue ${label} has an invalid source "${entry.source}" (expected "platform:id")`);
+  }
+
+  if (entry.urls !== undefined && (!Array.isArray(entry.urls) || entry.urls.length === 0)) {
+    problems.push(`Venue ${label} must list at least one source URL in "urls"`);
+  }
+
+  if (entry.slug && !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(entry.slug)) {
+    problems.push(`Venue ${label} has an invalid slug "${entry.slug}"`);
+  }
+
+  if (entry.enabled !== undefined && typeof entry.enabled !== 'boolean') {
+    problems.push(`Venue ${label} has a non-boolean "enabled" flag`);
+  }
+
+  return problems;
+};
+
+/**
+ * Validate the whole registry, including uniqueness of ids and slugs
+ * @param {Object[]} venues - Registry entries
+ * @returns {string[]} List of problems, empty when the registry is valid
+ */
+const validateRegistry = (venues) => {
+  if (!Array.isArray(venues)) {
+    return ['Venue registry must be an array'];
+  }
+
+  const problems = venues.flatMap((entry, index) => validateVenueEntry(entry, index));
+
+  ['id', 'slug'].forEach(field => {
+    const seen = new Set();
+    venues.forEach(entry => {
+      const value = entry?.[field];
+      if (!value) return;
+      if (seen.has(value)) {
+        problems.push(`Duplicate venue ${field} "${value}"`);
+      }
+      seen.add(value);
+    });
+  });
+
+  return problems;
+};
+
+/**
+ * Load and validate the venue registry
+ * @param {string|URL} registryPath - Path to the registry JSON file
+ * @returns {Promise<Object[]>} Registry entries
+ * @throws {Error} If the file cannot be read or fails validation
+ */
+const loadVenueRegistry = async (registryPath = DEFAULT_REGISTRY_PATH) => {
+  const raw = await fs.readFile(registryPath, 'utf-8');
+  const venues = JSON.parse(raw);
+
+  const problems = validateRegistry(venues);
+  if (problems.length > 0) {
+    throw new Error(`Invalid venue registry:\n- ${problems.join('\n- ')}`);
+  }
+
+  return venues;
+};
+
+/**
+ * Venues that should be scraped this run (missing flag counts as enabled)
+ */
+const getEnabledVenues = (venues) => venues.filter(venue => venue.enabled !== false);
+
+/**
+ * Work out the scraper class and source URLs for an entry
+ * Platform sources use the class whose static `platform` matches and its buildUrl()
+ */
+const resolveScraper = (venue, scraperClasses) => {
+  if (venue.source) {
+    const { platform, platformId } = parseSource(venue.source) || {};
+    const ScraperClass = Object.values(scraperClasses).find(cls => cls.platform === platform);
+    if (!ScraperClass) {
+      throw new Error(`Unknown platform "${platform}" for venue "${venue.id}"`);
+    }
+    return {
+      ScraperClass,
+      urls: venue.urls || [ScraperClass.buildUrl(platformId, venue.options || {})]
+    };
+  }
+
+  const ScraperClass = scraperClasses[venue.scraper];
+  if (!ScraperClass) {
+    throw new Error(`Unknown scraper "${venue.scraper}" for venue "${venue.id}"`);
+  }
+  return { ScraperClass, urls: venue.urls };
+};
+
+/**
+ * Instantiate a scraper for each registry entry
+ * @param {Object[]} venues - Registry entries
+ * @param {Object<string, Function>} scraperClasses - Scraper classes keyed by class name
+ * @param {Object} shared - Options given to every scraper, e.g. { log }
+ * @returns {BaseScraper[]} Scraper instances, in registry order
+ * @throws {Error} If an entry names a scraper class or platform that does not exist
+ */
+const createScrapers = (venues, scraperClasses, shared = {}) => venues.map(venue => {
+  const { ScraperClass, urls } = resolveScraper(venue, scraperClasses);
+
+  return new ScraperClass(venue.name, urls[0], {
+    ...shared,
+    ...venue.options,
+    id: venue.id,
+    slug: venue.slug,
+    urls,
+    domain: venue.domain
+  });
+});
+
+export {
+  DEFAULT_REGISTRY_PATH,
+  parseSource,
+  validateVenueEntry,
+  validateRegistry,
+  loadVenueRegistry,
+  getEnabledVenues,
+  createScrapers
+};
@@ -0,0 +1,86 @@
+/**
+ * Year Inference - Years for listing dates that leave them off, from their order on the page
+ *
+ * Listings run in date order, so a page reading "28 Dec, 30 Dec, 2 Jan" has crossed into
+ * the next year between the last two. assignYears() takes one listing's dates in document
+ * order and gives each a year, moving on a year whenever the dates go back by more than a
+ * month (a smaller step back is a listing slightly out of order). Explicit years, from a
+ * dated event or a "January 2027" header, anchor the sequence: dates after one count on
+ * from it, and dates before the first are worked back from it. With no anchor at all,
+ * the first date takes its next occurrence after the reference day in Brighton, unless it
+ * fell within the last few weeks: a listing that still shows yesterday's gig at the top
+ * isn't moved on a year, while one announced seven months ahead isn't put in the past.
+ */
+
+import { fromLondonTime, getLondonDayRange, getLondonParts } from './london-time.js';
+
+// Steps back of up to this many days keep the year
+const ROLLOVER_SLACK_DAYS = 31;
+
+// An unanchored first date this recently past is a listing that hasn't caught up yet
+const RECENT_PAST_DAYS = 28;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isAnchor = date => Number.isInteger(date?.year);
+
+// Roughly days into the year; only ever compared, so every month counts as 31 days
+const position = ({ month, day = 1 }) => month * 31 + day;
+
+/**
+ * Year of a month (0-11) and day's next occurrence from the reference day in Brighton,
+ * counting one up to RECENT_PAST_DAYS before it
+ */
+const upcomingYear = ({ month, day = 1 }, referenceDate) => {
+  const earliest = getLondonDayRange(referenceDate).start - RECENT_PAST_DAYS * DAY_MS;
+  const { year } = getLondonParts(referenceDate);
+  return [year - 1, year].find(candidate => fromLondonTime(candidate, month, day) >= earliest) ?? year + 1;
+};
+
+/**
+ * Give each of a listing's dates a year from where it falls in the listing
+ * @param {Array<Object|null>} dates - { month, day, year } in document order; month is 0-11,
+ *   day defaults to 1 (for month headers), and a year makes the entry an anchor. null entries
+ *   (undated events) are skipped
+ * @param {Object} options - { referenceDate } "now" for a listing with no anchor (default: the current time)
+ * @returns {Array<number|null>} The year of each entry; anchors keep their own, null entries get null
+ */
+const assignYears = (dates, { referenceDate = Date.now() } = {}) => {
+  const years = dates.map(date => (isAnchor(date) ? date.year : null));
+
+  let start = dates.findIndex(isAnchor);
+  if (start === -1) {
+    start = dates.findIndex(Boolean);
+    if (start === -1) return years;
+    years[start] = upcomingYear(dates[start], referenceDate);
+  }
+
+  // direction 1 walks on through the listing, -1 back towards its top; the year moves the same way
+  const walk = (indexes, direction) => {
+    let year = years[start];
+    let edge = position(dates[start]);
+    for (const index of indexes) {
+      const date = dates[index];
+      if (!date) continue;
+      if (isAnchor(date)) {
+        year = date.year;
+        edge = position(date);
+        continue;
+      }
+
+      const step = (position(date) - edge) * direction;
+      if (step < -ROLLOVER_SLACK_DAYS) {
+        year += direction;
+        edge = position(date);
+      } else if (step > 0) {
+        edge = position(date);
+      }
+      years[index] = year;
+    }
+  };
+
+  walk(dates.map((_, index) => index).slice(start + 1), 1);
+  walk(dates.map((_, index) => index).slice(0, start).reverse(), -1);
+  return years;
+};
+
+export { assignYears };
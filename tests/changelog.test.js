@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { buildChangelog, appendChangesHistory } from '../src/utils/changelog.js';
+import { assignEventIds } from '../src/utils/event-ids.js';
+
+const NOW = Date.UTC(2025, 10, 20, 12);
+const DAY = 24 * 60 * 60 * 1000;
+
+const withIds = (events) => assignEventIds(events.map(event => ({ venue: 'Chalk', ...event })), [], new Date(NOW).toISOString());
+
+describe('Changelog', () => {
+  it('should report added events and upcoming events that were removed', () => {
+    const previous = withIds([
+      { title: 'Staying', dateUnix: NOW + DAY },
+      { title: 'Pulled', dateUnix: NOW + 2 * DAY, link: 'https://chalkvenue.com/pulled' },
+      { title: 'Been and gone', dateUnix: NOW - DAY }
+    ]);
+    const current = withIds([
+      { title: 'Staying', dateUnix: NOW + DAY },
+      { title: 'Just announced', dateUnix: NOW + 30 * DAY }
+    ]);
+
+    const changes = buildChangelog(previous, current, { now: NOW });
+
+    expect(changes.summary).toEqual({ added: 1, updated: 0, removed: 1 });
+    expect(changes.added[0].title).toBe('Just announced');
+    expect(changes.removed[0].title).toBe('Pulled');
+    expect(changes.generatedAt).toBe(new Date(NOW).toISOString());
+  });
+
+  it('should give field-level before and after for events kept by id', () => {
+    const [previous] = withIds([{ title: 'The Band', dateUnix: NOW + DAY, price: '£12' }]);
+    const current = { ...previous, price: '£15', support: 'Opener', lastSeen: 'later' };
+
+    const { updated } = buildChangelog([previous], [current], { now: NOW });
+
+    expect(updated).toEqual([{
+      id: previous.id,
+      venue: 'Chalk',
+      title: 'The Band',
+      changes: {
+        price: { before: '£12', after: '£15' },
+        support: { before: null, after: 'Opener' }
+      }
+    }]);
+  });
+
+  it('should pair rescheduled and renamed events within a venue instead of adding and removing them', () => {
+    const previous = withIds([
+      { title: 'The Band', dateUnix: NOW + DAY, link: 'https://chalkvenue.com/the-band' },
+      { title: 'Quiz Night', dateUnix: NOW + 3 * DAY }
+    ]);
+    const current = withIds([
+      { title: 'The Band', dateUnix: NOW + 8 * DAY, link: 'https://chalkvenue.com/the-band' },
+      { title: 'QUIZ NIGHT', dateUnix: NOW + 4 * DAY }
+    ]);
+
+    const changes = buildChangelog(previous, current, { now: NOW });
+
+    expect(changes.summary).toEqual({ added: 0, updated: 2, removed: 0 });
+    expect(changes.updated[0].previousId).toBe(previous[0].id);
+    expect(changes.updated[0].changes.dateUnix).toEqual({ before: NOW + DAY, after: NOW + 8 * DAY });
+    expect(Object.keys(changes.updated[1].changes)).toEqual(['title', 'dateUnix']);
+  });
+
+  it('should leave ambiguous title matches as added and removed', () => {
+    const previous = withIds([{ title: 'Open Mic', dateUnix: NOW + DAY }]);
+    const current = withIds([
+      { title: 'Open Mic', dateUnix: NOW + 8 * DAY },
+      { title: 'Open Mic', dateUnix: NOW + 15 * DAY }
+    ]);
+
+    expect(buildChangelog(previous, current, { now: NOW }).summary).toEqual({ added: 2, updated: 0, removed: 1 });
+  });
+
+  it('should keep recent non-empty changelogs, newest first', () => {
+    const empty = buildChangelog([], [], { now: NOW });
+    const changed = buildChangelog([], withIds([{ title: 'New', dateUnix: NOW + DAY }]), { now: NOW });
+
+    expect(appendChangesHistory([], empty)).toEqual([]);
+    expect(appendChangesHistory(null, changed)).toEqual([changed]);
+    expect(appendChangesHistory([empty, empty, empty], changed, 3)).toEqual([changed, empty, empty]);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseCliArgs, formatTable, getFlaggedVenues } from '../src/cli.js';
+import { selectVenues } from '../src/scraper.js';
+import { mergeEvents, mergeStats, getFailedVenueNames } from '../src/utils/scrape-output.js';
+
+const registry = [
+  { id: 'chalk', name: 'Chalk', slug: 'chalk', enabled: true },
+  { id: 'komedia', name: 'Komedia', slug: 'komedia', enabled: true },
+  { id: 'volks', name: 'Volks', slug: 'volks', enabled: false }
+];
+
+describe('CLI', () => {
+  describe('parseCliArgs', () => {
+    it('should default to a full, written, table-format run', () => {
+      expect(parseCliArgs([])).toEqual({
+        venues: [],
+        retryFailed: false,
+        dryRun: false,
+        cache: true,
+        maxStaleDays: 7,
+        outputDir: './data',
+        format: 'table',
+        failOn: null,
+        help: false
+      });
+    });
+
+    it('should collect repeated --venue flags and the other options', () => {
+      const options = parseCliArgs(['--venue', 'chalk', '-v', 'komedia', '--dry-run', '--no-cache', '--retry-failed', '--output', '/tmp/out', '--format', 'json', '--fail-on', 'broken', '--max-stale-days', '2']);
+      expect(options).toMatchObject({
+        venues: ['chalk', 'komedia'],
+        dryRun: true,
+        cache: false,
+        maxStaleDays: 2,
+        retryFailed: true,
+        outputDir: '/tmp/out',
+        format: 'json',
+        failOn: 'broken'
+      });
+    });
+
+    it('should reject unknown formats and options', () => {
+      expect(() => parseCliArgs(['--format', 'csv'])).toThrow('Unknown format "csv"');
+      expect(() => parseCliArgs(['--venues', 'chalk'])).toThrow();
+      expect(() => parseCliArgs(['--fail-on', 'warning'])).toThrow('Unknown --fail-on level');
+      expect(() => parseCliArgs(['--max-stale-days', 'soon'])).toThrow('Invalid --max-stale-days');
+    });
+  });
+
+  describe('selectVenues', () => {
+    let outputDir;
+
+    beforeEach(async () => {
+      outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'scrape-output-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(outputDir, { recursive: true, force: true });
+    });
+
+    it('should pick named venues, including paused ones', async () => {
+      const selected = await selectVenues(registry, { venues: ['volks', 'chalk'], outputDir });
+      expect(selected.map(venue => venue.id)).toEqual(['chalk', 'volks']);
+      await expect(selectVenues(registry, { venues: ['nope'], outputDir })).rejects.toThrow('Unknown venue(s): nope');
+    });
+
+    it('should pick enabled venues that failed last run', async () => {
+      await fs.writeFile(path.join(outputDir, 'scrape-stats.json'), JSON.stringify({
+        venues: { Chalk: { status: 'success' }, Komedia: { status: 'error' }, Volks: { status: 'error' } }
+      }));
+      const selected = await selectVenues(registry, { retryFailed: true, outputDir });
+      expect(selected.map(venue => venue.id)).toEqual(['komedia']);
+    });
+  });
+
+  describe('merging partial runs', () => {
+    it('should replace only the re-scraped venues\' events', () => {
+      const existing = [
+        { title: 'Old Chalk', venue: 'Chalk', dateUnix: 3 },
+        { title: 'Komedia Show', venue: 'Komedia', dateUnix: 2 }
+      ];
+      const fresh = [{ title: 'New Chalk', venue: 'Chalk', dateUnix: 1 }];
+      expect(mergeEvents(existing, fresh, ['Chalk']).map(e => e.title)).toEqual(['New Chalk', 'Komedia Show']);
+    });
+
+    it('should overlay venue stats and recount totals', () => {
+      const existing = { venues: { Chalk: { status: 'error' }, Komedia: { status: 'success', warnings: 1 } } };
+      const merged = mergeStats(existing, { venues: { Chalk: { status: 'success' } } });
+      expect(merged).toMatchObject({ successful: 2, failed: 0, warnings: 1 });
+      expect(getFailedVenueNames(existing)).toEqual(['Chalk']);
+    });
+  });
+
+  it('should render a venue summary and event table', () => {
+    const output = formatTable({
+      events: [{ title: 'Gig', venue: 'Chalk', dateUnix: Date.UTC(2025, 10, 27, 19, 30) }],
+      stats: { run: { venues: ['Chalk'] }, venues: { Chalk: { status: 'success', events: 1 } } }
+    });
+    expect(output).toContain('Chalk  success  1       -');
+    expect(output).toContain('2025-11-27 19:30  Chalk  Gig');
+  });
+
+  it('should list venues at or above the --fail-on level', () => {
+    const result = {
+      stats: {
+        run: { venues: ['Chalk', 'Quarters', 'Komedia'] },
+        venues: {
+          Chalk: { health: { status: 'ok' } },
+          Quarters: { health: { status: 'broken' } },
+          Komedia: { health: { status: 'degraded' } }
+        }
+      }
+    };
+    expect(getFlaggedVenues(result, 'broken')).toEqual(['Quarters']);
+    expect(getFlaggedVenues(result, 'degraded')).toEqual(['Quarters', 'Komedia']);
+  });
+});
@@ -74,6 +74,24 @@ describe('Data Validator', () => {
       expect(result.event.venue).toBe('Test Venue');
       expect(result.event.link).toBe('https://example.com/event');
     });
+
+    it('should warn when the year was inferred rather than listed', () => {
+      const inferred = validateEvent({ ...validEvent, date: 'Thu 4th Sep', yearInferred: true });
+      expect(inferred.valid).toBe(true);
+      expect(inferred.warnings.find(warning => warning.type === 'inferred_year')).toMatchObject({ inferredYear: 2025 });
+
+      const listed = validateEvent(validEvent);
+      expect(listed.warnings.map(warning => warning.type)).not.toContain('inferred_year');
+    });
+
+    it('should warn when a date was pieced together with low confidence', () => {
+      const noisy = validateEvent({ ...validEvent, date: 'Room 2 / 4 Sep', dateConfidence: 0.55 });
+      expect(noisy.valid).toBe(true);
+      expect(noisy.warnings.find(warning => warning.type === 'low_confidence_date')).toMatchObject({ confidence: 0.55 });
+
+      const clear = validateEvent({ ...validEvent, dateConfidence: 0.9 });
+      expect(clear.warnings.map(warning => warning.type)).not.toContain('low_confidence_date');
+    });
   });
 
   describe('validateEvents', () => {
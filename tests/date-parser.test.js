@@ -1,5 +1,6 @@
-import { describe, it, expect } from 'vitest';
-import toUnixTimestamp from '../src/utils/date-parser.js';
+import { describe, it, expect, vi } from 'vitest';
+import toUnixTimestamp, { DateParser, parseEventDate, extractDateFromText } from '../src/utils/date-parser.js';
+import BaseScraper from '../src/scrapers/BaseScraper.js';
 
 describe('Date Parser', () => {
   describe('Hope & Ruin formats', () => {
@@ -167,4 +168,229 @@ describe('Date Parser', () => {
       expect(() => toUnixTimestamp('5/9/25 25:30pm')).toThrow('Invalid date format'); // Invalid hour
     });
   });
-});
\ No newline at end of file
+
+  describe('parseEventDate', () => {
+    const referenceDate = new Date(Date.UTC(2025, 9, 1, 12));
+
+    it('should say whether the listing gave a time and a year', () => {
+      expect(parseEventDate('12 Nov 2024')).toMatchObject({
+        hasTime: false, hasYear: true, yearInferred: false, precision: 'day', pattern: 'native'
+      });
+      expect(parseEventDate('05/09/25 7:30pm')).toMatchObject({
+        timestamp: new Date(2025, 8, 5, 19, 30).getTime(), hasTime: true, hasYear: true, precision: 'minute', pattern: 'ddmmyy-time'
+      });
+      expect(parseEventDate('2025-09-04T19:30:00.000Z')).toMatchObject({ hasTime: true, precision: 'exact' });
+      expect(parseEventDate(1609459200)).toMatchObject({ timestamp: 1609459200000, precision: 'exact', pattern: 'timestamp' });
+    });
+
+    it('should flag inferred years against the reference date', () => {
+      expect(parseEventDate('Thu 27th Nov', { referenceDate })).toMatchObject({
+        timestamp: new Date(2025, 10, 27).getTime(), hasYear: false, yearInferred: true, pattern: 'ordinal-no-year'
+      });
+      expect(parseEventDate('06 Apr', { referenceDate })).toMatchObject({
+        timestamp: new Date(2026, 3, 6).getTime(), yearInferred: true, pattern: 'day-month'
+      });
+      expect(parseEventDate('Fri 14 Mar - 7:00pm', { referenceDate })).toMatchObject({
+        timestamp: new Date(2025, 2, 14, 19).getTime(), hasTime: true, yearInferred: true
+      });
+      expect(parseEventDate('2 days ago', { referenceDate })).toMatchObject({
+        timestamp: referenceDate.getTime() - 2 * 24 * 60 * 60 * 1000, precision: 'approximate'
+      });
+    });
+
+    it('should not let the built-in parser guess a year', () => {
+      expect(parseEventDate('Saturday 14 March', { referenceDate })).toMatchObject({ hasYear: false, pattern: 'weekday-date' });
+      expect(() => toUnixTimestamp('Nov 12')).toThrow('Invalid date format');
+    });
+
+    it('should record the flags on events made by BaseScraper', () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const scraper = new BaseScraper('Test Venue', 'https://venue.example/');
+
+      const timed = scraper.createEvent({ title: 'Gig', date: '05/09/25 7:30pm', parsedDate: scraper.parseEventDate('05/09/25 7:30pm', 'Gig') });
+      const dated = scraper.createEvent({ title: 'Gig', date: 'Thu 27th Nov', parsedDate: scraper.parseEventDate('Thu 27th Nov', 'Gig') });
+      const unparsed = scraper.createEvent({ title: 'Gig', date: 'soon', parsedDate: scraper.parseEventDate('soon', 'Gig') });
+
+      expect(timed).toMatchObject({ hasTime: true, yearInferred: false, datePrecision: 'minute' });
+      expect(dated).toMatchObject({ hasTime: false, yearInferred: true, datePrecision: 'day' });
+      expect(unparsed.dateUnix).toBeNull();
+      expect(unparsed.hasTime).toBeUndefined();
+      vi.restoreAllMocks();
+    });
+
+    it('should keep each event\'s flags apart when their dates start at the same moment', () => {
+      const scraper = new BaseScraper('Test Venue', 'https://venue.example/');
+      const create = (data) => scraper.createEvent({ title: 'Gig', ...data });
+
+      const festival = create({ parsedDate: scraper.parseEventDate('3rd–5th May 2026', 'Festival') });
+      const gig = create({ parsedDate: scraper.parseEventDate('3 May 2026', 'Gig') });
+      const raw = create({ dateUnix: gig.dateUnix });
+
+      expect(festival.dateUnix).toBe(gig.dateUnix);
+      expect(festival.endDateUnix).toBe(new Date(2026, 4, 5).getTime());
+      expect(gig.endDateUnix).toBeUndefined();
+      expect(raw.hasTime).toBeUndefined();
+    });
+  });
+
+  describe('Date ranges', () => {
+    const referenceDate = Date.UTC(2026, 3, 1, 12);
+    const range = (input) => {
+      const { timestamp, endTimestamp, pattern, yearInferred } = parseEventDate(input, { referenceDate });
+      return { start: timestamp, end: endTimestamp, pattern, yearInferred };
+    };
+
+    it('should return the first and last day of festivals and weekenders', () => {
+      const mayWeekend = { start: new Date(2026, 4, 3).getTime(), end: new Date(2026, 4, 5).getTime(), pattern: 'date-range' };
+
+      expect(range('Fri 3 – Sun 5 May')).toEqual({ ...mayWeekend, yearInferred: true });
+      expect(range('3rd–5th May 2026')).toEqual({ ...mayWeekend, yearInferred: false });
+      expect(range('Jun 12-14')).toMatchObject({ start: new Date(2026, 5, 12).getTime(), end: new Date(2026, 5, 14).getTime() });
+      expect(range('May 3 - June 28')).toMatchObject({ start: mayWeekend.start, end: new Date(2026, 5, 28).getTime() });
+    });
+
+    it('should keep ranges that cross New Year in order', () => {
+      expect(range('28 Dec - 3 Jan')).toMatchObject({ start: new Date(2026, 11, 28).getTime(), end: new Date(2027, 0, 3).getTime() });
+    });
+
+    it('should still read a dash before a time as a single date', () => {
+      expect(parseEventDate('31st October 2024 - 7:30 pm').endTimestamp).toBeNull();
+      expect(() => toUnixTimestamp('Fri 3 – Sun 5')).toThrow('Invalid date format');
+      expect(() => toUnixTimestamp('30 Feb - 2 Mar 2026')).toThrow('Invalid date format');
+    });
+
+    it('should give events made by BaseScraper an endDateUnix', () => {
+      const scraper = new BaseScraper('Test Venue', 'https://venue.example/');
+      const event = scraper.createEvent({ title: 'Festival', date: '3rd–5th May 2026', parsedDate: scraper.parseEventDate('3rd–5th May 2026', 'Festival') });
+
+      expect(event).toMatchObject({ dateUnix: new Date(2026, 4, 3).getTime(), endDateUnix: new Date(2026, 4, 5).getTime() });
+    });
+  });
+
+  describe('Forward-relative dates', () => {
+    // Wednesday 1 April 2026, 1pm in Brighton
+    const referenceDate = Date.UTC(2026, 3, 1, 12);
+    const parse = (input) => parseEventDate(input, { referenceDate });
+
+    it('should read tonight and tomorrow as Brighton days', () => {
+      expect(parse('Tonight!')).toMatchObject({ timestamp: new Date(2026, 3, 1).getTime(), hasTime: false, yearInferred: false, pattern: 'relative-day' });
+      expect(parse('Tonight 8pm')).toMatchObject({ timestamp: new Date(2026, 3, 1, 20).getTime(), hasTime: true });
+      expect(parse('Tomorrow night at 7.30pm').timestamp).toBe(new Date(2026, 3, 2, 19, 30).getTime());
+    });
+
+    it('should take a weekday to mean the next one, today included', () => {
+      expect(parse('Friday').timestamp).toBe(new Date(2026, 3, 3).getTime());
+      expect(parse('This Saturday')).toMatchObject({ timestamp: new Date(2026, 3, 4).getTime(), pattern: 'relative-weekday' });
+      expect(parse('Sat 7:30pm').timestamp).toBe(new Date(2026, 3, 4, 19, 30).getTime());
+      expect(parse('Wednesday').timestamp).toBe(new Date(2026, 3, 1).getTime());
+      expect(parse('Next Wednesday').timestamp).toBe(new Date(2026, 3, 8).getTime());
+      expect(parse('Next Fri').timestamp).toBe(new Date(2026, 3, 3).getTime());
+      expect(() => parse('Friday 13')).toThrow('Invalid date format');
+    });
+
+    it('should count from the reference day in Brighton, not UTC', () => {
+      // 00:30 on Thursday in Brighton, still Wednesday in UTC
+      const afterMidnight = { referenceDate: Date.UTC(2026, 3, 1, 23, 30) };
+      expect(parseEventDate('Tonight', afterMidnight).timestamp).toBe(new Date(2026, 3, 2).getTime());
+      expect(parseEventDate('Wednesday', afterMidnight).timestamp).toBe(new Date(2026, 3, 8).getTime());
+    });
+
+    it('should use the reference date a scraper is given', () => {
+      const scraper = new BaseScraper('Test Venue', 'https://venue.example/', { referenceDate });
+      expect(scraper.parseEventDate('Tomorrow', 'Gig').timestamp).toBe(new Date(2026, 3, 2).getTime());
+    });
+  });
+
+  describe('Free-text fallback', () => {
+    const referenceDate = Date.UTC(2026, 3, 1, 12);
+    const extract = (input) => extractDateFromText(input, { referenceDate });
+
+    it('should rebuild dates mixed with room names', () => {
+      expect(() => toUnixTimestamp('11 Apr 3:40pm Upper Lounge 2026')).toThrow('Invalid date format');
+      expect(extract('11 Apr 3:40pm Upper Lounge 2026')).toMatchObject({
+        timestamp: new Date(2026, 3, 11, 15, 40).getTime(), hasTime: true, pattern: 'free-text', confidence: 0.9
+      });
+      expect(extract('Main Room 25/12/26 20:00')).toMatchObject({ timestamp: new Date(2026, 11, 25, 20).getTime(), confidence: 0.9 });
+    });
+
+    it('should not take a dotted time for a date', () => {
+      expect(extract('Doors 7.30, Sat 14 Nov')).toMatchObject({ timestamp: new Date(2026, 10, 14).getTime(), yearInferred: true });
+      expect(extract('Room 2 14.11.2026').timestamp).toBe(new Date(2026, 10, 14).getTime());
+    });
+
+    it('should lose confidence for ambiguous or contradictory tokens', () => {
+      expect(extract('Room 2 / 11 Apr').confidence).toBeLessThan(0.8);
+      expect(extract('Fri 10 Apr + Sat 11 Apr 2026').confidence).toBeLessThan(0.8);
+      expect(extract('Mon 14 Apr 2026')).toMatchObject({ confidence: 0.6 });
+      expect(extract('sometime soon')).toBeNull();
+      expect(extract('Apr 2026 maybe 3 or 4, Room 1')).toBeNull();
+    });
+
+    it('should give BaseScraper events a dateConfidence', () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const scraper = new BaseScraper('Test Venue', 'https://venue.example/', { referenceDate });
+      const date = '11 Apr 3:40pm Upper Lounge 2026';
+      const event = scraper.createEvent({ title: 'Comedy', date, parsedDate: scraper.parseEventDate(date, 'Comedy') });
+
+      expect(event).toMatchObject({ dateUnix: new Date(2026, 3, 11, 15, 40).getTime(), dateConfidence: 0.9, hasTime: true });
+      vi.restoreAllMocks();
+    });
+  });
+
+  describe('Pattern registry', () => {
+    const referenceDate = Date.UTC(2026, 3, 1, 12);
+    // A venue that lists "03.05.2026 19h30"
+    const dotted = { name: 'dotted', regex: '^(?<day>\\d{2})\\.(?<month>\\d{2})\\.(?<year>\\d{4}) (?<hour>\\d{2})h(?<minute>\\d{2})$' };
+
+    it('should read venue formats from named groups', () => {
+      expect(() => toUnixTimestamp('03.05.2026 19h30')).toThrow('Invalid date format');
+      expect(parseEventDate('03.05.2026 19h30', { patterns: [dotted] })).toMatchObject({
+        timestamp: new Date(2026, 4, 3, 19, 30).getTime(), hasTime: true, pattern: 'dotted'
+      });
+    });
+
+    it('should try the patterns a venue prefers first', () => {
+      expect(parseEventDate('Tue, 2 Sep 2025').pattern).toBe('native');
+      expect(parseEventDate('Tue, 2 Sep 2025', { order: ['weekday-date'] })).toMatchObject({
+        timestamp: toUnixTimestamp('Tue, 2 Sep 2025'), pattern: 'weekday-date'
+      });
+      expect(() => parseEventDate('Tue, 2 Sep 2025', { order: ['nope'] })).toThrow('Unknown date pattern "nope"');
+    });
+
+    it('should leave the shared patterns alone when a copy is extended', () => {
+      const parser = new DateParser();
+      const venueParser = parser.extend({ patterns: [dotted], order: ['simple-date'] });
+
+      expect(venueParser.names.slice(0, 2)).toEqual(['simple-date', 'dotted']);
+      expect(parser.names).not.toContain('dotted');
+      expect(() => parser.register({ name: 'broken' })).toThrow('needs a regex or a parse function');
+    });
+
+    it('should report why every pattern failed when debugging', () => {
+      const error = (() => {
+        try {
+          parseEventDate('Sat 31st Feb', { referenceDate, debug: true });
+        } catch (caught) {
+          return caught;
+        }
+      })();
+
+      expect(error.message).toBe('Invalid date format');
+      expect(error.context.attempts).toContainEqual({ pattern: 'ordinal-no-year', reason: 'not a calendar date' });
+      expect(error.context.attempts).toContainEqual({ pattern: 'iso-8601', reason: 'no match' });
+      expect(parseEventDate('1/12/24', { debug: true })).toMatchObject({
+        timestamp: new Date(2024, 11, 1).getTime(), pattern: 'short-date'
+      });
+    });
+
+    it('should use the patterns declared on a scraper class', () => {
+      class DottedScraper extends BaseScraper {
+        static dateParsing = { patterns: [dotted] };
+      }
+      const scraper = new DottedScraper('Test Venue', 'https://venue.example/', { dateParsing: { order: ['iso-8601'] } });
+
+      expect(scraper.dateParser.names.slice(0, 2)).toEqual(['iso-8601', 'dotted']);
+      expect(scraper.parseEventDate('03.05.2026 19h30', 'Gig').timestamp).toBe(new Date(2026, 4, 3, 19, 30).getTime());
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { dedupeEvents, titleMatch } from '../src/utils/event-dedupe.js';
+import { sanitizeEvent } from '../src/utils/sanitizer.js';
+
+// Midnight in Brighton, as listings that only give a date produce
+const GIG_DAY = Date.UTC(2025, 10, 27);
+const HOUR = 60 * 60 * 1000;
+
+const event = (overrides = {}) => ({
+  title: 'Wild Pink',
+  venue: 'Komedia',
+  link: 'https://www.komedia.co.uk/shows/wild-pink/',
+  dateUnix: GIG_DAY,
+  scraper: 'KomediaScraper',
+  ...overrides
+});
+
+describe('Event dedupe', () => {
+  it('should treat a title that extends another as the same gig', () => {
+    expect(titleMatch('wild pink', 'wild pink support')).toBe(1);
+    expect(titleMatch('dj', 'dj shadow')).toBeLessThan(0.85);
+  });
+
+  it('should merge one gig from two sources into an event that keeps both links', () => {
+    const { events, stats } = dedupeEvents([
+      event(),
+      event({ title: 'Other Gig', link: 'https://www.komedia.co.uk/shows/other/' }),
+      event({ title: 'WILD PINK + Support', link: 'https://www.wegottickets.com/event/123', price: '£15', scraper: 'WeGotTicketsScraper' })
+    ]);
+
+    expect(events).toHaveLength(2);
+    expect(events[0]).toMatchObject({
+      title: 'WILD PINK + Support',
+      price: '£15',
+      link: 'https://www.wegottickets.com/event/123',
+      links: ['https://www.wegottickets.com/event/123', 'https://www.komedia.co.uk/shows/wild-pink/']
+    });
+    expect(stats).toMatchObject({ clusters: 1, removed: 1 });
+    expect(stats.merges[0]).toEqual({
+      venue: 'Komedia',
+      date: '2025-11-27',
+      kept: { title: 'WILD PINK + Support', link: 'https://www.wegottickets.com/event/123', scraper: 'WeGotTicketsScraper' },
+      merged: [{ title: 'Wild Pink', link: 'https://www.komedia.co.uk/shows/wild-pink/', scraper: 'KomediaScraper', similarity: 1 }]
+    });
+  });
+
+  it('should keep every ticket link through the frontend sanitizer', () => {
+    const { events } = dedupeEvents([event(), event({ link: 'https://www.wegottickets.com/event/123' })]);
+    const merged = { ...events[0], links: [...events[0].links, 'javascript:alert(1)'] };
+
+    expect(sanitizeEvent(merged).links).toEqual(events[0].links);
+    expect(sanitizeEvent(event()).links).toBeUndefined();
+  });
+
+  it('should only compare events at the same venue on the same Brighton day', () => {
+    const { events } = dedupeEvents([
+      event(),
+      event({ venue: 'Chalk' }),
+      event({ dateUnix: GIG_DAY + 24 * HOUR }),
+      event({ dateUnix: null }),
+      event({ dateUnix: null })
+    ]);
+
+    expect(events).toHaveLength(5);
+  });
+
+  it('should keep separate performances at different times apart', () => {
+    const { events } = dedupeEvents([
+      event({ title: 'Story Magic', dateUnix: GIG_DAY + 10 * HOUR }),
+      event({ title: 'Story Magic', dateUnix: GIG_DAY + 14 * HOUR }),
+      event({ title: 'Story Magic' })
+    ]);
+
+    expect(events.map(e => e.dateUnix)).toEqual([GIG_DAY + 10 * HOUR, GIG_DAY + 14 * HOUR]);
+  });
+
+  it('should prefer fresh events over stale fallback ones', () => {
+    const { events } = dedupeEvents([
+      event({ stale: true, support: 'Opener', doorsTime: '19:00' }),
+      event({ link: 'https://www.wegottickets.com/event/123' })
+    ]);
+
+    expect(events).toHaveLength(1);
+    expect(events[0].stale).toBeUndefined();
+    expect(events[0]).toMatchObject({ support: 'Opener', doorsTime: '19:00' });
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest';
+import * as cheerio from 'cheerio';
+import BaseScraper from '../src/scrapers/BaseScraper.js';
+import { DetailCache, extractEventDetails, parseClockTime } from '../src/utils/event-details.js';
+
+const FUTURE = Date.now() + 7 * 24 * 60 * 60 * 1000;
+
+// Serve canned event pages instead of hitting the venue
+const stubPages = (scraper, pages, requested = []) => {
+  scraper.fetchWithRetry = async (url) => {
+    requested.push(url);
+    if (!(url in pages)) throw new Error('HTTP 404');
+    return pages[url];
+  };
+  return requested;
+};
+
+const createScraper = (details = {}) => new BaseScraper('Test Venue', 'https://venue.example/whats-on', {
+  details,
+  detailCache: new DetailCache({ path: '/tmp/unused-detail-cache.json' })
+});
+
+describe('Event details', () => {
+  describe('parseClockTime', () => {
+    it('should normalise clock times to 24-hour HH:MM', () => {
+      expect(parseClockTime('7pm')).toBe('19:00');
+      expect(parseClockTime('7.30 pm')).toBe('19:30');
+      expect(parseClockTime('19:30')).toBe('19:30');
+      expect(parseClockTime('12am')).toBe('00:00');
+      expect(parseClockTime('2025-11-27T20:15:00+00:00')).toBe('20:15');
+      expect(parseClockTime('soon')).toBeNull();
+    });
+  });
+
+  describe('extractEventDetails', () => {
+    it('should read times, support, price and age limit from JSON-LD', () => {
+      const $ = cheerio.load(`<script type="application/ld+json">${JSON.stringify({
+        '@type': 'MusicEvent',
+        name: 'Headliner',
+        startDate: '2025-11-27T20:00',
+        doorTime: '19:00',
+        performer: [{ name: 'Headliner' }, { name: 'Opener' }, { name: 'Second Band' }],
+        offers: { price: '12.5', priceCurrency: 'GBP' },
+        typicalAgeRange: '18-',
+        description: '<p>An evening of <b>noise</b></p>'
+      })}</script>`);
+
+      expect(extractEventDetails($)).toEqual({
+        doorsTime: '19:00',
+        startTime: '20:00',
+        support: 'Opener, Second Band',
+        description: 'An evening of noise',
+        price: '£12.50',
+        ageLimit: '18+'
+      });
+    });
+
+    it('should fall back to venue selectors and then the page text', () => {
+      const $ = cheerio.load(`
+        <meta name="description" content="Album launch show">
+        <main>
+          <p class="times">Doors: 7.30</p>
+          <p>Support from The Openers. Tickets £10 advance. 14+ (under 16s with an adult)</p>
+        </main>`);
+
+      expect(extractEventDetails($, { doorsTime: '.times' })).toEqual({
+        doorsTime: '19:30',
+        support: 'The Openers',
+        description: 'Album launch show',
+        price: '£10',
+        ageLimit: '14+'
+      });
+    });
+
+    it('should not mistake ordinary words for details', () => {
+      const $ = cheerio.load('<main><p>Support your local venue. Feel free to come to show 2 of the tour.</p></main>');
+      expect(extractEventDetails($)).toEqual({});
+    });
+  });
+
+  describe('BaseScraper.enrichEvents', () => {
+    it('should leave events alone unless the venue turns details on', async () => {
+      const scraper = new BaseScraper('Test Venue', 'https://venue.example/whats-on');
+      const requested = stubPages(scraper, {});
+      const events = [scraper.createEvent({ title: 'Gig', link: 'https://venue.example/gig', dateUnix: FUTURE })];
+
+      expect(await scraper.enrichEvents(events)).toBe(events);
+      expect(requested).toHaveLength(0);
+    });
+
+    it('should merge page details without overwriting listing fields', async () => {
+      const scraper = createScraper();
+      stubPages(scraper, {
+        'https://venue.example/gig': '<main>Doors 7pm. Support from Openers. £8</main>'
+      });
+      const [event] = await scraper.enrichEvents([
+        scraper.createEvent({ title: 'Gig', link: 'https://venue.example/gig', dateUnix: FUTURE, price: '£6' })
+      ]);
+
+      expect(event).toMatchObject({ title: 'Gig', doorsTime: '19:00', support: 'Openers', price: '£6' });
+      expect(scraper.detailStats).toMatchObject({ fetched: 1, failed: 0 });
+    });
+
+    it('should cap uncached fetches, reuse cached pages and skip past events', async () => {
+      const scraper = createScraper({ maxEvents: 1 });
+      scraper.detailCache.set('https://venue.example/cached', { startTime: '20:00' });
+      const requested = stubPages(scraper, {
+        'https://venue.example/one': '<main>Doors 7pm</main>',
+        'https://venue.example/two': '<main>Doors 8pm</main>'
+      });
+
+      const events = await scraper.enrichEvents([
+        scraper.createEvent({ title: 'Past', link: 'https://venue.example/past', dateUnix: Date.now() - 60000 }),
+        scraper.createEvent({ title: 'Cached', link: 'https://venue.example/cached', dateUnix: FUTURE }),
+        scraper.createEvent({ title: 'One', link: 'https://venue.example/one', dateUnix: FUTURE }),
+        scraper.createEvent({ title: 'Two', link: 'https://venue.example/two', dateUnix: FUTURE })
+      ]);
+
+      expect(requested).toEqual(['https://venue.example/one']);
+      expect(events.map(event => event.doorsTime || event.startTime || null)).toEqual([null, '20:00', '19:00', null]);
+      expect(scraper.detailStats).toEqual({ cached: 1, fetched: 1, failed: 0, skipped: 1 });
+      expect(scraper.detailCache.get('https://venue.example/one')).toEqual({ doorsTime: '19:00' });
+    });
+
+    it('should keep the listed event when its page cannot be fetched', async () => {
+      const scraper = createScraper();
+      stubPages(scraper, {});
+      const listed = scraper.createEvent({ title: 'Gig', link: 'https://venue.example/missing', dateUnix: FUTURE });
+
+      const [event] = await scraper.enrichEvents([listed]);
+
+      expect(event).toBe(listed);
+      expect(scraper.detailStats.failed).toBe(1);
+      expect(scraper.detailCache.get('https://venue.example/missing')).toBeNull();
+    });
+  });
+});
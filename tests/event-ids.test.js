@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { normaliseTitle, localDateKey, createEventId, assignEventIds } from '../src/utils/event-ids.js';
+
+const GIG_NIGHT = Date.UTC(2025, 10, 27, 19, 30);
+
+const event = (overrides = {}) => ({
+  title: 'The Band',
+  venue: 'Chalk',
+  link: 'https://chalkvenue.com/events/the-band',
+  dateUnix: GIG_NIGHT,
+  ...overrides
+});
+
+describe('Event ids', () => {
+  it('should normalise titles that differ only in case, markup and status labels', () => {
+    expect(normaliseTitle('SOLD OUT: The <b>Band</b> &amp; Friends')).toBe('the band and friends');
+    expect(normaliseTitle('Café Tacvba – Cancelled')).toBe('cafe tacvba');
+  });
+
+  it('should key dates by the Brighton calendar day', () => {
+    // 00:30 BST on 1 June is still 31 May in UTC
+    expect(localDateKey(Date.UTC(2025, 4, 31, 23, 30))).toBe('2025-06-01');
+    expect(localDateKey(null)).toBe('undated');
+  });
+
+  it('should give the same gig the same id across runs', () => {
+    const first = createEventId(event());
+    expect(createEventId(event({ title: 'THE BAND (Sold Out)', dateUnix: GIG_NIGHT + 30 * 60 * 1000 }))).toBe(first);
+    expect(createEventId(event({ venue: 'Komedia' }))).not.toBe(first);
+    expect(createEventId(event({ dateUnix: GIG_NIGHT + 24 * 60 * 60 * 1000 }))).not.toBe(first);
+    expect(first).toMatch(/^[0-9a-f]{12}$/);
+  });
+
+  it('should use the link to separate events that share venue, date and title', () => {
+    const events = assignEventIds([event({ link: 'https://chalkvenue.com/early' }), event({ link: 'https://chalkvenue.com/late' })]);
+
+    expect(events[0].id).not.toBe(events[1].id);
+    expect(assignEventIds([event()])[0].id).toBe(createEventId(event()));
+  });
+
+  it('should carry firstSeen over and only advance lastSeen for events seen this run', () => {
+    const [previous] = assignEventIds([event()], [], '2025-11-01T06:00:00.000Z');
+    const stale = { ...event({ title: 'Other Band' }), id: 'x', stale: true, firstSeen: '2025-10-01T06:00:00.000Z', lastSeen: '2025-11-01T06:00:00.000Z' };
+
+    const [seen, fallback] = assignEventIds([event(), stale], [previous], '2025-11-02T06:00:00.000Z');
+
+    expect(seen).toMatchObject({ id: previous.id, firstSeen: '2025-11-01T06:00:00.000Z', lastSeen: '2025-11-02T06:00:00.000Z' });
+    expect(fallback).toMatchObject({ firstSeen: '2025-10-01T06:00:00.000Z', lastSeen: '2025-11-01T06:00:00.000Z' });
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import BaseScraper from '../src/scrapers/BaseScraper.js';
+import { extractEventTimes, parseClockTime, minutesOfDay } from '../src/utils/event-times.js';
+
+describe('Event times', () => {
+  describe('extractEventTimes', () => {
+    it('should read labelled doors, start and end times', () => {
+      expect(extractEventTimes('Doors 7pm / Show 8pm')).toEqual({ doorsTime: '19:00', startTime: '20:00' });
+      expect(extractEventTimes('7.30pm start')).toEqual({ startTime: '19:30' });
+      expect(extractEventTimes('Doors open at 19:00, curfew 23:00')).toEqual({ doorsTime: '19:00', endTime: '23:00' });
+      expect(extractEventTimes('Doors: midnight')).toEqual({ doorsTime: '00:00' });
+    });
+
+    it('should read ranges for late shows and nights that run until late', () => {
+      expect(extractEventTimes('Jungle Night 11pm–4am')).toEqual({ startTime: '23:00', endTime: '04:00' });
+      expect(extractEventTimes('Disco 8pm till late')).toEqual({ startTime: '20:00', endTime: 'late' });
+      expect(extractEventTimes('Quiz 8-11pm')).toEqual({ startTime: '20:00', endTime: '23:00' });
+      expect(extractEventTimes('Doors 7pm - 11pm')).toEqual({ doorsTime: '19:00', endTime: '23:00' });
+      expect(extractEventTimes('Club night 23:00-04:00')).toEqual({ startTime: '23:00', endTime: '04:00' });
+      expect(extractEventTimes('Doors 19:00, curfew 01:00')).toEqual({ doorsTime: '19:00', endTime: '01:00' });
+    });
+
+    it('should read colon times below 13 as evening unless zero-padded', () => {
+      expect(extractEventTimes('Doors 7:30')).toEqual({ doorsTime: '19:30' });
+      expect(extractEventTimes('Show 8:00')).toEqual({ startTime: '20:00' });
+      expect(extractEventTimes('Doors 6:30, show 7:45')).toEqual({ doorsTime: '18:30', startTime: '19:45' });
+      expect(extractEventTimes('Doors 07:30')).toEqual({ doorsTime: '07:30' });
+    });
+
+    it('should only take a lone time as the start in short text', () => {
+      expect(extractEventTimes('Open Mic Night (8pm)')).toEqual({ startTime: '20:00' });
+      expect(extractEventTimes('Brunch 09:30')).toEqual({ startTime: '09:30' });
+      expect(extractEventTimes(`${'A long description of the night. '.repeat(5)} See you at 8pm`)).toEqual({});
+    });
+
+    it('should not mistake prices, dates and band names for times', () => {
+      expect(extractEventTimes('Tickets £7.50 on the door')).toEqual({});
+      expect(extractEventTimes('Tickets £8-10pm')).toEqual({});
+      expect(extractEventTimes('2025-11-27T19:30:00')).toEqual({});
+      expect(extractEventTimes('Fri 3 – Sun 5 May')).toEqual({});
+      expect(extractEventTimes('4am Kru')).toEqual({});
+      expect(extractEventTimes('Midnight Cowgirls')).toEqual({});
+    });
+  });
+
+  it('should normalise times and order them by minute of the day', () => {
+    expect(parseClockTime('noon')).toBe('12:00');
+    expect(parseClockTime('Midnight')).toBe('00:00');
+    expect(parseClockTime('19:30')).toBe('19:30');
+    expect(parseClockTime('04:00')).toBe('04:00');
+    expect(parseClockTime('00:30')).toBe('00:30');
+    expect(parseClockTime('7')).toBe('19:00');
+    expect(parseClockTime('7.30')).toBe('19:30');
+    expect(parseClockTime('7:30')).toBe('19:30');
+    expect(parseClockTime('10:30')).toBe('22:30');
+    expect(minutesOfDay('19:30')).toBe(1170);
+    expect(minutesOfDay('late')).toBeNull();
+  });
+
+  describe('BaseScraper events', () => {
+    const scraper = new BaseScraper('Test Venue', 'https://venue.example/');
+    const create = (title, date, text) => scraper.createEvent({
+      title, date, text, parsedDate: scraper.parseEventDate(date, title)
+    });
+
+    it('should move date-only events to their start time in Brighton', () => {
+      const event = create('Wild Pink', '12 Nov 2026', 'Doors 7pm / Show 8pm. Tickets £12');
+
+      expect(event).toMatchObject({
+        dateUnix: new Date(2026, 10, 12, 20).getTime(),
+        doorsTime: '19:00',
+        startTime: '20:00',
+        hasTime: true,
+        datePrecision: 'minute'
+      });
+      expect(event.text).toBeUndefined();
+    });
+
+    it('should move to 24-hour times as written', () => {
+      const event = create('Club Night', '12 Nov 2026', 'Club night 23:00-04:00');
+
+      expect(event).toMatchObject({ dateUnix: new Date(2026, 10, 12, 23).getTime(), startTime: '23:00', endTime: '04:00' });
+    });
+
+    it('should keep shows that start after midnight on the listed day', () => {
+      const event = create('Afterparty', '12 Nov 2026', 'Midnight start');
+
+      expect(event).toMatchObject({ dateUnix: new Date(2026, 10, 12).getTime(), startTime: '00:00', hasTime: false });
+    });
+
+    it('should record the listed time as the start time', () => {
+      expect(create('Gig', '05/09/26 7:30pm')).toMatchObject({ startTime: '19:30', hasTime: true });
+      expect(create('Gig', 'Sat 7 Nov 2026', 'Doors 7pm').startTime).toBeUndefined();
+    });
+  });
+});
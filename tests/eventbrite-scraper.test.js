@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as cheerio from 'cheerio';
+import EventbriteScraper, { EventbriteFeed } from '../src/scrapers/EventbriteScraper.js';
+
+const SEARCH_URL = 'https://www.eventbrite.co.uk/d/united-kingdom--brighton/music--events/';
+
+const listItem = (name, venue, address = 'Brighton') => ({
+  '@type': 'ListItem',
+  item: {
+    '@type': 'Event',
+    name,
+    startDate: '2025-11-27',
+    url: `https://www.eventbrite.co.uk/e/${name.toLowerCase().replace(/\s+/g, '-')}`,
+    location: { '@type': 'Place', name: venue, address: { addressLocality: address } }
+  }
+});
+
+const resultPage = (items, pageCount) => `
+  <script>window.__SERVER_DATA__ = {"search_data":{"events":{"pagination":{"page_count":${pageCount}}}}};</script>
+  <script type="application/ld+json">${JSON.stringify({ '@type': 'ItemList', itemListElement: items })}</script>
+`;
+
+// Serve canned result pages instead of hitting eventbrite.co.uk
+const stubFetch = (scraper, pages, requested) => {
+  scraper.fetchAndParseHTML = async (url) => {
+    requested.push(url);
+    return cheerio.load(pages[url] || resultPage([], 1));
+  };
+};
+
+describe('EventbriteScraper', () => {
+  beforeEach(() => {
+    EventbriteScraper.resetFeeds();
+  });
+
+  it('should fetch each result page once and fan events out by venue', async () => {
+    const daltons = new EventbriteScraper('Daltons', SEARCH_URL, { venueMatch: 'dalton' });
+    const brunswick = new EventbriteScraper('The Brunswick', SEARCH_URL, {
+      venueMatch: 'brunswick',
+      venueExclude: 'caroline'
+    });
+
+    const requested = [];
+    const pages = {
+      [SEARCH_URL]: resultPage([
+        listItem('Daltons Gig', 'Daltons Bar'),
+        listItem('Brunswick Gig', 'The Brunswick', 'Hove')
+      ], 2),
+      [`${SEARCH_URL}?page=2`]: resultPage([
+        listItem('Late Daltons Gig', 'Daltons'),
+        listItem('Caroline Gig', 'Caroline of Brunswick')
+      ], 2)
+    };
+    stubFetch(daltons, pages, requested);
+    stubFetch(brunswick, pages, requested);
+
+    const [daltonsEvents, brunswickEvents] = await Promise.all([daltons.scrape(), brunswick.scrape()]);
+
+    expect(requested).toEqual([SEARCH_URL, `${SEARCH_URL}?page=2`]);
+    expect(daltonsEvents.map(e => e.title)).toEqual(['Daltons Gig', 'Late Daltons Gig']);
+    expect(daltonsEvents[0].venue).toBe('Daltons');
+    expect(brunswickEvents.map(e => e.title)).toEqual(['Brunswick Gig']);
+  });
+
+  it('should report Brighton venues that no registry entry claims', async () => {
+    const daltons = new EventbriteScraper('Daltons', SEARCH_URL);
+    stubFetch(daltons, {
+      [SEARCH_URL]: resultPage([
+        listItem('Pub Gig', 'The Hare & Hounds'),
+        listItem('Pub Gig 2', 'The Hare & Hounds'),
+        listItem('London Gig', 'Somewhere', 'London')
+      ], 1)
+    }, []);
+
+    expect(await daltons.scrape()).toEqual([]);
+    expect(EventbriteScraper.getUntrackedVenues()).toEqual({
+      'The Hare & Hounds': { events: 2, address: 'Brighton' }
+    });
+  });
+
+  it('should not report registry venues left out of a partial run', async () => {
+    EventbriteScraper.setRegistry([
+      { id: 'daltons', name: 'Daltons', options: { venueMatch: 'dalton' } },
+      { id: 'hare', name: 'The Hare & Hounds' }
+    ]);
+    const daltons = new EventbriteScraper('Daltons', SEARCH_URL, { venueMatch: 'dalton' });
+    stubFetch(daltons, {
+      [SEARCH_URL]: resultPage([listItem('Pub Gig', 'The Hare & Hounds'), listItem('Bar Gig', 'The Lord Nelson')], 1)
+    }, []);
+
+    expect(await daltons.scrape()).toEqual([]);
+    expect(EventbriteScraper.getUntrackedVenues()).toEqual({
+      'The Lord Nelson': { events: 1, address: 'Brighton' }
+    });
+  });
+
+  it('should give every venue on the feed its selector, page and node counts', async () => {
+    const log = () => {};
+    const daltons = new EventbriteScraper('Daltons', SEARCH_URL, { venueMatch: 'dalton', log });
+    const brunswick = new EventbriteScraper('The Brunswick', SEARCH_URL, { venueMatch: 'brunswick', log });
+    const pages = {
+      [SEARCH_URL]: resultPage([listItem('Daltons Gig', 'Daltons')], 2),
+      [`${SEARCH_URL}?page=2`]: resultPage([listItem('Brunswick Gig', 'The Brunswick')], 2)
+    };
+    stubFetch(daltons, pages, []);
+    stubFetch(brunswick, pages, []);
+
+    const results = await Promise.all([daltons.execute(), brunswick.execute()]);
+
+    results.forEach(({ context }) => {
+      expect(context.selectors).toEqual({ 'script[type="application/ld+json"]': 2 });
+      expect(context.feed).toEqual({ pages: 2, nodes: 2 });
+    });
+  });
+
+  it('should stop paginating when a page repeats earlier results', async () => {
+    const daltons = new EventbriteScraper('Daltons', SEARCH_URL, { maxPages: 5 });
+    const requested = [];
+    const firstPage = resultPage([listItem('Daltons Gig', 'Daltons')], 99);
+    stubFetch(daltons, {
+      [SEARCH_URL]: firstPage,
+      [`${SEARCH_URL}?page=2`]: firstPage
+    }, requested);
+
+    expect(await daltons.scrape()).toHaveLength(1);
+    expect(requested).toHaveLength(2);
+  });
+
+  it('should build page URLs without disturbing existing query parameters', () => {
+    expect(EventbriteFeed.getPageUrl(`${SEARCH_URL}?q=jazz`, 3)).toBe(`${SEARCH_URL}?q=jazz&page=3`);
+    expect(EventbriteFeed.getPageUrl(SEARCH_URL, 1)).toBe(SEARCH_URL);
+  });
+});
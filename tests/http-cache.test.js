@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import axios from 'axios';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import BaseScraper from '../src/scrapers/BaseScraper.js';
+import { HttpCache, hashBody } from '../src/utils/http-cache.js';
+
+const URL = 'https://venue.example.com/whats-on';
+
+class ListingScraper extends BaseScraper {
+  async scrape() {
+    const $ = await this.fetchAndParseHTML(this.baseUrl);
+    return $('h2').map((_, el) => this.createEvent({ title: $(el).text(), date: $(el).attr('data-date') || '2025-11-27' })).get();
+  }
+}
+
+const response = (data, headers = {}, status = 200) => ({ status, headers, data });
+
+describe('HTTP cache', () => {
+  let dir;
+  let cache;
+
+  const runScraper = () => {
+    const scraper = new ListingScraper('Venue', URL, { id: 'venue', cache, retryAttempts: 1 });
+    const scrape = vi.spyOn(scraper, 'scrape');
+    return scraper.execute().then(result => ({ result, scrape }));
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'http-cache-'));
+    cache = new HttpCache({ path: path.join(dir, 'cache.json') });
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should reuse cached events when the server answers 304', async () => {
+    const request = vi.spyOn(axios, 'request').mockResolvedValueOnce(response('<h2>Gig</h2>', { etag: '"v1"' }));
+    const first = await runScraper();
+    expect(first.result.context.cache).toBe('miss');
+
+    await cache.save();
+    cache = new HttpCache({ path: path.join(dir, 'cache.json') });
+    await cache.load();
+
+    request.mockResolvedValueOnce(response('', {}, 304));
+    const second = await runScraper();
+
+    expect(second.scrape).not.toHaveBeenCalled();
+    expect(second.result.context.cache).toBe('hit');
+    expect(second.result.events.map(e => e.title)).toEqual(['Gig']);
+    expect(request.mock.calls[1][0].headers['If-None-Match']).toBe('"v1"');
+    expect(cache.getStats()).toMatchObject({ hits: 1, misses: 0, notModified: 1 });
+  });
+
+  it('should treat an identical body as unchanged', async () => {
+    vi.spyOn(axios, 'request')
+      .mockResolvedValueOnce(response('<h2>Gig</h2>'))
+      .mockResolvedValueOnce(response('<h2>Gig</h2>'));
+
+    await runScraper();
+    const second = await runScraper();
+
+    expect(second.scrape).not.toHaveBeenCalled();
+    expect(cache.getStats()).toMatchObject({ hits: 1, misses: 1, unchangedBody: 1 });
+  });
+
+  it('should scrape a changed page without fetching it twice', async () => {
+    const request = vi.spyOn(axios, 'request')
+      .mockResolvedValueOnce(response('<h2>Gig</h2>'))
+      .mockResolvedValueOnce(response('<h2>Gig</h2><h2>New Gig</h2>'));
+
+    await runScraper();
+    const second = await runScraper();
+
+    expect(request).toHaveBeenCalledTimes(2);
+    expect(second.scrape).toHaveBeenCalled();
+    expect(second.result.events.map(e => e.title)).toEqual(['Gig', 'New Gig']);
+    expect(cache.venues.venue.requests[0].hash).toBe(hashBody('<h2>Gig</h2><h2>New Gig</h2>'));
+  });
+
+  it('should parse relative dates again rather than reuse them', async () => {
+    const request = vi.spyOn(axios, 'request').mockResolvedValue(response('<h2 data-date="Tonight">Gig</h2>', { etag: '"v1"' }));
+    await runScraper();
+
+    request.mockResolvedValueOnce(response('', {}, 304));
+    const second = await runScraper();
+
+    expect(second.scrape).toHaveBeenCalled();
+    expect(second.result.context.cache).toBe('miss');
+    expect(cache.getStats()).toMatchObject({ hits: 0, notModified: 0 });
+  });
+
+  it('should ignore entries older than maxAge', () => {
+    cache.venues.venue = { storedAt: '2020-01-01T00:00:00.000Z', requests: [{ url: URL }], events: [] };
+    expect(cache.getVenue('venue')).toBeNull();
+  });
+});
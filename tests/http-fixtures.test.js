@@ -0,0 +1,66 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { HttpFixtureStore, requestKey } from '../src/utils/http-fixtures.js';
+
+describe('HttpFixtureStore', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'http-fixtures-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should write recorded exchanges to one file per venue', async () => {
+    const store = new HttpFixtureStore({ mode: 'record', dir });
+    await store.record('the-venue', { url: 'https://example.com/a' }, {
+      status: 200,
+      headers: { 'content-type': 'text/html', 'x-count': 3 },
+      data: '<p>A</p>'
+    });
+    await store.record('the-venue', { method: 'post', url: 'https://example.com/api', body: { q: 1 } }, {
+      status: 500,
+      headers: {},
+      data: 'oops'
+    });
+
+    const saved = JSON.parse(await fs.readFile(path.join(dir, 'the-venue.json'), 'utf-8'));
+    expect(saved.exchanges).toHaveLength(2);
+    expect(saved.exchanges[0].response.headers).toEqual({ 'content-type': 'text/html' });
+    expect(saved.exchanges[1].request).toEqual({ method: 'POST', url: 'https://example.com/api', body: { q: 1 } });
+  });
+
+  it('should replay recorded responses by method, URL and body', async () => {
+    const recorder = new HttpFixtureStore({ mode: 'record', dir });
+    await recorder.record('venue', { url: 'https://example.com/a' }, { status: 200, headers: {}, data: 'first' });
+    await recorder.record('venue', { url: 'https://example.com/a' }, { status: 200, headers: {}, data: 'second' });
+    await recorder.record('venue', { method: 'POST', url: 'https://example.com/a', body: { page: 2 } }, { status: 200, headers: {}, data: 'posted' });
+
+    const store = new HttpFixtureStore({ mode: 'replay', dir });
+    const get = { method: 'GET', url: 'https://example.com/a' };
+    expect((await store.replay('venue', get)).data).toBe('first');
+    expect((await store.replay('venue', get)).data).toBe('second');
+    expect((await store.replay('venue', get)).data).toBe('second');
+    expect((await store.replay('venue', { method: 'POST', url: 'https://example.com/a', body: { page: 2 } })).data).toBe('posted');
+    await expect(store.replay('venue', { url: 'https://example.com/b' })).rejects.toThrow('No recorded response for GET https://example.com/b');
+    await expect(store.replay('missing', get)).rejects.toThrow('No HTTP fixtures for "missing"');
+  });
+
+  it('should replay recorded HTTP errors as axios-style errors', async () => {
+    const recorder = new HttpFixtureStore({ mode: 'record', dir });
+    await recorder.record('venue', { url: 'https://example.com/gone' }, { status: 404, headers: {}, data: '' });
+
+    const store = new HttpFixtureStore({ mode: 'replay', dir });
+    const error = await store.replay('venue', { url: 'https://example.com/gone' }).catch(err => err);
+    expect(error.response.status).toBe(404);
+  });
+
+  it('should reject unknown modes and key requests consistently', () => {
+    expect(() => new HttpFixtureStore({ mode: 'offline' })).toThrow('Unknown HTTP fixture mode');
+    expect(requestKey({ method: 'post', url: 'u', body: { a: 1 } })).toBe('POST u {"a":1}');
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import * as cheerio from 'cheerio';
+import JsonLdScraper from '../src/scrapers/JsonLdScraper.js';
+
+const page = (...payloads) => cheerio.load(
+  payloads.map(payload => `<script type="application/ld+json">${JSON.stringify(payload)}</script>`).join('\n')
+);
+
+const musicEvent = (name, extra = {}) => ({
+  '@type': 'MusicEvent',
+  name,
+  startDate: '2025-11-27T19:30',
+  url: `https://example.com/${name.toLowerCase().replace(/\s+/g, '-')}`,
+  ...extra
+});
+
+describe('JsonLdScraper', () => {
+  const scraper = new JsonLdScraper('Test Venue', 'https://example.com/events');
+
+  describe('payload shapes', () => {
+    it('should read single objects and arrays of Event and MusicEvent', () => {
+      const $ = page(
+        { '@type': 'Event', name: 'Plain Event', startDate: '2025-11-27' },
+        [musicEvent('Band One'), musicEvent('Band Two')]
+      );
+      expect(scraper.extractJsonLdEvents($).map(e => e.title)).toEqual(['Plain Event', 'Band One', 'Band Two']);
+    });
+
+    it('should read blocks with raw control characters inside strings', () => {
+      expect(scraper.parseJsonLd('{"name": "Line\none\tTab"}')).toEqual({ name: 'Line one Tab' });
+    });
+
+    it('should read @graph containers and skip non-event nodes', () => {
+      const $ = page({
+        '@context': 'https://schema.org',
+        '@graph': [{ '@type': 'Organization', name: 'Venue Ltd' }, musicEvent('Graph Gig')]
+      });
+      expect(scraper.extractJsonLdEvents($).map(e => e.title)).toEqual(['Graph Gig']);
+    });
+
+    it('should read ItemList entries with and without ListItem wrappers', () => {
+      const $ = page({
+        '@type': 'ItemList',
+        itemListElement: [
+          { '@type': 'ListItem', position: 1, item: musicEvent('Wrapped') },
+          { '@type': 'Festival', name: 'Weekender', startDate: '2025-11-28' }
+        ]
+      });
+      expect(scraper.extractJsonLdEvents($).map(e => e.title)).toEqual(['Wrapped', 'Weekender']);
+    });
+
+    it('should accept array and full-URL @type values', () => {
+      const $ = page(
+        { '@type': ['Event', 'MusicEvent'], name: 'Multi', startDate: '2025-11-27' },
+        { '@type': 'https://schema.org/ComedyEvent', name: 'Comedy', startDate: '2025-11-27' }
+      );
+      expect(scraper.extractJsonLdEvents($)).toHaveLength(2);
+    });
+
+    it('should skip blocks that are not valid JSON', () => {
+      const $ = cheerio.load('<script type="application/ld+json">{ not json </script>');
+      expect(scraper.extractJsonLdEvents($)).toEqual([]);
+    });
+  });
+
+  describe('nested fields', () => {
+    it('should normalise location, offers, performers, image, endDate and status', () => {
+      const $ = page(musicEvent('Full Gig', {
+        endDate: '2025-11-27T23:00',
+        eventStatus: 'https://schema.org/EventPostponed',
+        location: {
+          '@type': 'Place',
+          name: 'Test Venue',
+          address: { streetAddress: '1 Queens Road', addressLocality: 'Brighton', postalCode: 'BN1 3XG' }
+        },
+        offers: [{ '@type': 'Offer', price: '12.50', priceCurrency: 'GBP', availability: 'https://schema.org/InStock' }],
+        performer: [{ '@type': 'MusicGroup', name: 'Headliner' }, 'Support'],
+        image: { '@type': 'ImageObject', url: 'https://example.com/poster.jpg' }
+      }));
+
+      const [event] = scraper.extractJsonLdEvents($);
+      expect(event.dateUnix).toBe(new Date(2025, 10, 27, 19, 30).getTime());
+      expect(event.endDate).toBe('2025-11-27T23:00');
+      expect(event.eventStatus).toBe('postponed');
+      expect(event.location).toEqual({ name: 'Test Venue', address: '1 Queens Road, Brighton, BN1 3XG' });
+      expect(event.offers).toEqual([{ price: '12.50', currency: 'GBP', url: null, availability: 'InStock' }]);
+      expect(event.performers).toEqual(['Headliner', 'Support']);
+      expect(event.image).toBe('https://example.com/poster.jpg');
+    });
+
+    it('should omit detail fields the payload does not provide', () => {
+      const [event] = scraper.extractJsonLdEvents(page(musicEvent('Bare Gig')));
+      expect(event).not.toHaveProperty('offers');
+      expect(event).not.toHaveProperty('performers');
+      expect(event).not.toHaveProperty('eventStatus');
+    });
+  });
+
+  describe('venue filter', () => {
+    const listing = page({
+      '@type': 'ItemList',
+      itemListElement: [
+        { item: musicEvent('At Brunswick', { location: { name: 'The Brunswick' } }) },
+        { item: musicEvent('At Caroline', { location: { name: 'Caroline of Brunswick' } }) },
+        { item: musicEvent('Elsewhere', { location: { name: 'Somewhere Else' } }) }
+      ]
+    });
+
+    it('should keep only events whose location matches', () => {
+      const filtered = new JsonLdScraper('The Brunswick', 'https://example.com', {
+        venueMatch: 'brunswick',
+        venueExclude: ['caroline']
+      });
+      expect(filtered.extractJsonLdEvents(listing).map(e => e.title)).toEqual(['At Brunswick']);
+    });
+
+    it('should keep every event when no filter is set', () => {
+      expect(scraper.extractJsonLdEvents(listing)).toHaveLength(3);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { needsFallback, getLastSuccess, buildFallback, summariseFallback } from '../src/utils/last-known-good.js';
+
+const NOW = Date.UTC(2025, 10, 20, 6, 0);
+const HOUR = 60 * 60 * 1000;
+
+const event = (title, dateUnix, scrapedAt = '2025-11-19T06:00:00.000Z') => ({ title, venue: 'Chalk', dateUnix, scrapedAt });
+
+describe('Last known good events', () => {
+  it('should fall back for failed and empty runs only', () => {
+    expect(needsFallback({ status: 'error' })).toBe(true);
+    expect(needsFallback({ status: 'no_events' })).toBe(true);
+    expect(needsFallback({ status: 'success' })).toBe(false);
+  });
+
+  it('should serve upcoming events marked stale with their age', () => {
+    const fallback = buildFallback(
+      [
+        event('Past', NOW - HOUR),
+        event('Next week', NOW + 168 * HOUR),
+        event('Undated', null),
+        { ...event('Residency', NOW - 72 * HOUR), endDateUnix: NOW + 96 * HOUR }
+      ],
+      { status: 'success', lastSuccessAt: '2025-11-19T06:00:00.000Z' },
+      { now: NOW }
+    );
+
+    expect(fallback).toMatchObject({ since: '2025-11-19T06:00:00.000Z', ageHours: 24, expired: false });
+    expect(fallback.events.map(e => e.title)).toEqual(['Next week', 'Undated', 'Residency']);
+    expect(fallback.events[0]).toMatchObject({ stale: true, staleSince: '2025-11-19T06:00:00.000Z', staleAgeHours: 24 });
+  });
+
+  it('should keep the original success time across repeated failures', () => {
+    const previous = buildFallback([event('Gig', NOW + 48 * HOUR)], { lastSuccessAt: '2025-11-18T06:00:00.000Z' }, { now: NOW }).events;
+    const again = buildFallback(previous, { status: 'error', lastSuccessAt: '2025-11-18T06:00:00.000Z' }, { now: NOW + 24 * HOUR });
+
+    expect(again.events[0]).toMatchObject({ staleSince: '2025-11-18T06:00:00.000Z', staleAgeHours: 72 });
+  });
+
+  it('should drop events older than the maximum staleness', () => {
+    const fallback = buildFallback([event('Gig', NOW + HOUR)], { lastSuccessAt: '2025-11-10T06:00:00.000Z' }, { now: NOW, maxStaleDays: 7 });
+
+    expect(fallback).toMatchObject({ events: [], ageHours: 240, expired: true });
+  });
+
+  it('should have nothing to serve without upcoming events or a known success', () => {
+    expect(buildFallback([event('Past', NOW - HOUR)], { lastSuccessAt: '2025-11-19T06:00:00.000Z' }, { now: NOW })).toBeNull();
+    expect(buildFallback([{ title: 'Gig', dateUnix: NOW + HOUR }], undefined, { now: NOW })).toBeNull();
+  });
+
+  it('should date stats without lastSuccessAt by the newest scrape', () => {
+    expect(getLastSuccess(undefined, [event('A', null, '2025-11-17T06:00:00.000Z'), event('B', null)])).toBe('2025-11-19T06:00:00.000Z');
+  });
+
+  it('should list venues served from fallback and those that expired', () => {
+    expect(summariseFallback({
+      Chalk: { status: 'error', fallback: { events: 3, expired: false } },
+      Quarters: { status: 'error', fallback: { events: 0, expired: true } },
+      Komedia: { status: 'success' }
+    })).toEqual({ venues: ['Chalk'], expired: ['Quarters'] });
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect, vi, beforeAll, afterAll, afterEach } from 'vitest';
+import { fromLondonTime, getLondonParts, getLondonDateKey, getLondonDayRange } from '../src/utils/london-time.js';
+import toUnixTimestamp from '../src/utils/date-parser.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('London time', () => {
+  it('should read wall-clock times in GMT and BST', () => {
+    expect(fromLondonTime(2025, 10, 27, 19, 30)).toBe(Date.UTC(2025, 10, 27, 19, 30));
+    expect(fromLondonTime(2025, 8, 4, 19, 30)).toBe(Date.UTC(2025, 8, 4, 18, 30));
+  });
+
+  it('should handle the hours skipped and repeated when the clocks change', () => {
+    // 01:30 doesn't exist on 30 March 2025; a clock reads 02:30 BST an hour after 00:30
+    expect(fromLondonTime(2025, 2, 30, 1, 30)).toBe(Date.UTC(2025, 2, 30, 1, 30));
+    // 01:30 happens twice on 26 October 2025; take the first (BST)
+    expect(fromLondonTime(2025, 9, 26, 1, 30)).toBe(Date.UTC(2025, 9, 26, 0, 30));
+  });
+
+  it('should bucket late gigs by the Brighton day', () => {
+    const lateInJune = Date.UTC(2025, 4, 31, 23, 30);
+    expect(getLondonDateKey(lateInJune)).toBe('2025-06-01');
+    expect(getLondonParts(lateInJune)).toMatchObject({ year: 2025, month: 5, day: 1, hour: 0, minute: 30, weekday: 0 });
+  });
+
+  it('should give clock-change days their real length', () => {
+    const springForward = getLondonDayRange(Date.UTC(2025, 2, 30, 12));
+    expect(springForward.start).toBe(Date.UTC(2025, 2, 30));
+    expect(springForward.end + 1 - springForward.start).toBe(23 * HOUR);
+
+    const fallBack = getLondonDayRange(Date.UTC(2025, 9, 26, 12));
+    expect(fallBack.end + 1 - fallBack.start).toBe(25 * HOUR);
+  });
+
+  describe('date parser on a machine outside the UK', () => {
+    const zone = process.env.TZ;
+
+    beforeAll(() => {
+      process.env.TZ = 'America/New_York';
+    });
+
+    afterAll(() => {
+      process.env.TZ = zone;
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should still read listing times as Brighton times', () => {
+      expect(new Date(2025, 0, 1).getTimezoneOffset()).toBe(300);
+
+      expect(toUnixTimestamp('05/09/25 7:30pm')).toBe(Date.UTC(2025, 8, 5, 18, 30));
+      expect(toUnixTimestamp('2025-09-05T19:30')).toBe(Date.UTC(2025, 8, 5, 18, 30));
+      expect(toUnixTimestamp('2025-09-05')).toBe(Date.UTC(2025, 8, 4, 23));
+      expect(toUnixTimestamp('Tue, 5 Nov 2024')).toBe(Date.UTC(2024, 10, 5));
+      expect(toUnixTimestamp('2025-09-05T19:30:00+02:00')).toBe(Date.UTC(2025, 8, 5, 17, 30));
+    });
+
+    it('should infer the year from the date in Brighton', () => {
+      // 00:30 on 1 January in Brighton, still New Year's Eve in New York
+      vi.useFakeTimers({ now: Date.UTC(2026, 0, 1, 0, 30) });
+
+      expect(toUnixTimestamp('Thu 1st Jan')).toBe(Date.UTC(2026, 0, 1));
+      expect(toUnixTimestamp('Wed 31st Dec')).toBe(Date.UTC(2026, 11, 31));
+      expect(toUnixTimestamp('today')).toBe(Date.UTC(2026, 0, 1));
+    });
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import * as cheerio from 'cheerio';
+import {
+  parseJsLiteral,
+  extractScriptCalls,
+  extractScriptAssignment,
+  extractInertiaPage,
+  extractNextData,
+  extractNuxtData
+} from '../src/utils/page-data.js';
+
+const scriptPage = (...scripts) => cheerio.load(scripts.map(script => `<script>${script}</script>`).join('\n'));
+
+describe('Page data extraction', () => {
+  describe('parseJsLiteral', () => {
+    it('should read loose JavaScript object syntax', () => {
+      const source = `{
+        title: 'It\\'s a "Gig"', // comment
+        /* block comment */ 'date_formatted': "Fri 5 Sep",
+        start_date: 1757098800,
+        tags: ['rock', 'indie',],
+        nested: { deep: { value: -1.5e2 } },
+        flags: [!0, !1, null, void 0],
+        hex: 0xff,
+      }`;
+
+      expect(parseJsLiteral(source).value).toEqual({
+        title: 'It\'s a "Gig"',
+        date_formatted: 'Fri 5 Sep',
+        start_date: 1757098800,
+        tags: ['rock', 'indie'],
+        nested: { deep: { value: -150 } },
+        flags: [true, false, null, undefined],
+        hex: 255
+      });
+    });
+
+    it('should leave braces inside strings alone and report where it stopped', () => {
+      const source = 'push({ name: "A {tricky} title", url: `/events/a` }); next();';
+      const { value, end } = parseJsLiteral(source, { start: 5 });
+      expect(value).toEqual({ name: 'A {tricky} title', url: '/events/a' });
+      expect(source.slice(end)).toBe('); next();');
+    });
+
+    it('should resolve identifiers from scope and treat unknown ones as undefined', () => {
+      expect(parseJsLiteral('{ a: x, b: y, x }', { scope: { x: 1 } }).value).toEqual({ a: 1, b: undefined, x: 1 });
+    });
+
+    it('should throw on malformed input', () => {
+      expect(() => parseJsLiteral('{ title: "unterminated }')).toThrow('Unterminated string');
+      expect(() => parseJsLiteral('{ a: 1 b: 2 }')).toThrow('Expected "," or "}"');
+    });
+  });
+
+  describe('inline scripts', () => {
+    it('should collect the first argument of every matching call', () => {
+      const $ = scriptPage(
+        "var _filter_data = []; _filter_data.push({ title: 'One', url: '/one' });",
+        "_filter_data.push({ title: 'Two', }); other_data.push({ title: 'Nope' });"
+      );
+      expect(extractScriptCalls($, '_filter_data.push').map(item => item.title)).toEqual(['One', 'Two']);
+    });
+
+    it('should skip calls that fail to parse and report them', () => {
+      const errors = [];
+      const $ = scriptPage("_filter_data.push({ title: 'Ok' }); _filter_data.push({ title: 'Bad' ");
+      const values = extractScriptCalls($, '_filter_data.push', { onError: error => errors.push(error) });
+      expect(values).toEqual([{ title: 'Ok' }]);
+      expect(errors).toHaveLength(1);
+    });
+
+    it('should read assigned state objects', () => {
+      const $ = scriptPage("window.__INITIAL_STATE__ = { events: [{ id: 1 }] }; if (a == b) {}");
+      expect(extractScriptAssignment($, 'window.__INITIAL_STATE__')).toEqual({ events: [{ id: 1 }] });
+      expect(extractScriptAssignment($, 'window.__MISSING__')).toBeNull();
+    });
+  });
+
+  describe('framework payloads', () => {
+    it('should read Inertia data-page attributes', () => {
+      const page = { component: 'Events', props: { searchEvents: [{ name: 'Gig' }] } };
+      const $ = cheerio.load(`<div id="app" data-page='${JSON.stringify(page)}'></div>`);
+      expect(extractInertiaPage($)).toEqual(page);
+    });
+
+    it('should read __NEXT_DATA__', () => {
+      const $ = cheerio.load('<script id="__NEXT_DATA__" type="application/json">{"props":{"pageProps":{"events":[]}}}</script>');
+      expect(extractNextData($).props.pageProps).toEqual({ events: [] });
+    });
+
+    it('should bind Nuxt 2 state function parameters to their arguments', () => {
+      const $ = scriptPage('window.__NUXT__=(function(a,b,c){return {data:[{events:[{title:a,soldOut:b},{title:"Two",soldOut:c}]}]}}("One",true,false));');
+      expect(extractNuxtData($)).toEqual({
+        data: [{ events: [{ title: 'One', soldOut: true }, { title: 'Two', soldOut: false }] }]
+      });
+    });
+
+    it('should revive Nuxt 3 __NUXT_DATA__ payloads', () => {
+      const payload = [['ShallowReactive', 1], { data: 2 }, { events: 3 }, [4], { title: 5, date: 6 }, 'Gig', ['Date', '2025-11-27T19:30:00.000Z']];
+      const $ = cheerio.load(`<script id="__NUXT_DATA__" type="application/json">${JSON.stringify(payload)}</script>`);
+      const data = extractNuxtData($);
+      expect(data.data.events[0].title).toBe('Gig');
+      expect(data.data.events[0].date.toISOString()).toBe('2025-11-27T19:30:00.000Z');
+    });
+
+    it('should return null when the page carries no payload', () => {
+      const $ = cheerio.load('<p>Nothing here</p>');
+      expect(extractInertiaPage($)).toBeNull();
+      expect(extractNextData($)).toBeNull();
+      expect(extractNuxtData($)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import * as cheerio from 'cheerio';
+import BaseScraper from '../src/scrapers/BaseScraper.js';
+import { createPager } from '../src/utils/pagination.js';
+import { CarolineOfBrunswickScraper } from '../src/scraper.js';
+
+const BASE_URL = 'https://venue.example/whats-on';
+
+// Serve canned responses instead of hitting the site
+const stubPages = (scraper, pages, requested = []) => {
+  const serve = async (url) => {
+    requested.push(url);
+    return pages[url];
+  };
+  scraper.fetchAndParseHTML = async (url) => cheerio.load((await serve(url)) || '');
+  scraper.fetchJSON = serve;
+  return requested;
+};
+
+const listing = (...titles) => titles.map(title => `<li><a href="/event/${title}">${title}</a></li>`).join('');
+
+const parseListing = (scraper) => ($) => $('li a').map((_, element) => scraper.createEvent({
+  title: $(element).text(),
+  date: '',
+  link: $(element).attr('href'),
+  dateUnix: null
+})).get();
+
+describe('Pagination', () => {
+  describe('createPager', () => {
+    it('should step page numbers, leaving the base URL as page one', () => {
+      const pager = createPager({ type: 'pageNumber' }, BASE_URL);
+      const first = pager.first();
+      expect(first.url).toBe(BASE_URL);
+      expect(pager.next(first).url).toBe(`${BASE_URL}?page=2`);
+
+      const templated = createPager({ type: 'pageNumber', urlTemplate: 'https://venue.example/events/page/{page}' }, BASE_URL);
+      expect(templated.next(templated.first()).url).toBe('https://venue.example/events/page/2');
+    });
+
+    it('should advance offsets by the limit or the number of items', () => {
+      const limited = createPager({ type: 'offset', limit: 20 }, BASE_URL);
+      expect(limited.first().url).toBe(`${BASE_URL}?offset=0&limit=20`);
+      expect(limited.next({ ...limited.first(), items: 5 }).url).toBe(`${BASE_URL}?offset=20&limit=20`);
+
+      const unlimited = createPager({ type: 'offset' }, BASE_URL);
+      expect(unlimited.next({ ...unlimited.first(), items: 12 }).url).toBe(`${BASE_URL}?offset=12`);
+      expect(unlimited.next({ ...unlimited.first(), items: 0 })).toBeNull();
+    });
+
+    it('should read the next cursor or URL from a JSON page', () => {
+      const byPath = createPager({ type: 'cursor', nextUrlPath: 'links.next' }, BASE_URL);
+      expect(byPath.next({ url: BASE_URL, page: { links: { next: '/whats-on?after=abc' } } }).url)
+        .toBe('https://venue.example/whats-on?after=abc');
+      expect(byPath.next({ url: BASE_URL, page: { links: {} } })).toBeNull();
+
+      const byCursor = createPager({ type: 'cursor', cursorPath: 'meta.cursor', param: 'after' }, BASE_URL);
+      expect(byCursor.next({ url: BASE_URL, page: { meta: { cursor: 'xyz' } } }).url).toBe(`${BASE_URL}?after=xyz`);
+    });
+
+    it('should walk calendar months across a year end', () => {
+      const pager = createPager({ type: 'month', from: '2025-12-15', yearParam: 'mec_year', monthParam: 'mec_month' }, BASE_URL);
+      const december = pager.first();
+      const january = pager.next(december);
+
+      expect(december.url).toBe(`${BASE_URL}?mec_year=2025&mec_month=12`);
+      expect(january.info).toEqual({ index: 1, year: 2026, month: 1 });
+      expect(january.url).toBe(`${BASE_URL}?mec_year=2026&mec_month=01`);
+      expect(pager.continueWhenEmpty).toBe(true);
+    });
+
+    it('should reject unknown strategies and next-link configs without a selector', () => {
+      expect(() => createPager({ type: 'infinite' }, BASE_URL)).toThrow('Unknown pagination type');
+      expect(() => createPager({ type: 'nextLink' }, BASE_URL)).toThrow('selector');
+    });
+  });
+
+  describe('BaseScraper.paginate', () => {
+    it('should follow next links until a page repeats earlier events', async () => {
+      const scraper = new BaseScraper('Test Venue', BASE_URL, { pagination: { type: 'nextLink', selector: 'a.next' } });
+      const requested = stubPages(scraper, {
+        [BASE_URL]: listing('one', 'two') + '<a class="next" href="?p=2">Next</a>',
+        [`${BASE_URL}?p=2`]: listing('two', 'three') + '<a class="next" href="?p=3">Next</a>',
+        [`${BASE_URL}?p=3`]: listing('three') + '<a class="next" href="?p=4">Next</a>'
+      });
+
+      const events = await scraper.paginate(parseListing(scraper));
+
+      expect(events.map(event => event.title)).toEqual(['one', 'two', 'three']);
+      expect(requested).toHaveLength(3);
+    });
+
+    it('should stop at maxPages and when the parser asks to', async () => {
+      const scraper = new BaseScraper('Test Venue', BASE_URL);
+      const requested = stubPages(scraper, {
+        [`${BASE_URL}?offset=0`]: { items: ['a', 'b'] },
+        [`${BASE_URL}?offset=2`]: { items: ['c', 'd'] }
+      });
+      const parseItems = (data) => data.items.map(title => scraper.createEvent({ title, date: '', link: `/event/${title}`, dateUnix: null }));
+
+      const capped = await scraper.paginate(parseItems, { type: 'offset', maxPages: 2 });
+      expect(capped.map(event => event.title)).toEqual(['a', 'b', 'c', 'd']);
+      expect(requested).toHaveLength(2);
+
+      const stopped = await scraper.paginate(data => ({ events: parseItems(data), stop: true }), { type: 'offset' });
+      expect(stopped.map(event => event.title)).toEqual(['a', 'b']);
+    });
+
+    it('should not fetch months that start beyond the date horizon', async () => {
+      const scraper = new BaseScraper('Test Venue', BASE_URL);
+      const requested = stubPages(scraper, {});
+
+      await scraper.paginate(() => [], { type: 'month', horizonDays: 20, maxPages: 6 });
+
+      // The current month and, at most, the next one start within 20 days
+      expect(requested.length).toBeGreaterThanOrEqual(1);
+      expect(requested.length).toBeLessThanOrEqual(2);
+    });
+
+    it('should date Caroline of Brunswick events by the month page they came from', async () => {
+      const scraper = new CarolineOfBrunswickScraper('Caroline of Brunswick', BASE_URL, {
+        pagination: { from: '2025-12-01', maxPages: 2 }
+      });
+      const article = (title, date) => `<article class="mec-event-article"><h3 class="mec-event-title">${title}</h3><a href="/event/${title}">More</a><div class="mec-event-meta-wrap">${date}</div></article>`;
+      stubPages(scraper, {
+        [`${BASE_URL}?mec_year=2025&mec_month=12`]: article('Yule', '20 Dec'),
+        [`${BASE_URL}?mec_year=2026&mec_month=01`]: article('Thaw', '10 Jan')
+      });
+
+      const events = await scraper.scrape();
+
+      expect(events.map(event => [event.title, event.date])).toEqual([['Yule', '20 Dec 2025'], ['Thaw', '10 Jan 2026']]);
+    });
+  });
+});
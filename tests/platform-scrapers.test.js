@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import * as cheerio from 'cheerio';
+import WeGotTicketsScraper from '../src/scrapers/WeGotTicketsScraper.js';
+import TicketmasterScraper from '../src/scrapers/TicketmasterScraper.js';
+import GigseekrScraper from '../src/scrapers/GigseekrScraper.js';
+import GettixScraper from '../src/scrapers/GettixScraper.js';
+
+// Serve canned pages instead of hitting the platforms
+const stubHtml = (scraper, pages, requested = []) => {
+  scraper.fetchAndParseHTML = async (url) => {
+    requested.push(url);
+    return cheerio.load(pages[url] || '');
+  };
+  return requested;
+};
+
+const jsonLd = (...events) => events
+  .map(event => `<script type="application/ld+json">${JSON.stringify({ '@type': 'MusicEvent', startDate: '2025-11-27T19:30', ...event })}</script>`)
+  .join('');
+
+describe('Ticketing platform scrapers', () => {
+  describe('URL building', () => {
+    it('should build venue URLs from platform ids', () => {
+      expect(WeGotTicketsScraper.buildUrl('23904')).toBe('https://wegottickets.com/location/23904');
+      expect(TicketmasterScraper.buildUrl('410165')).toBe('https://www.ticketmaster.co.uk/venue/410165');
+      expect(GigseekrScraper.buildUrl('the-prince-albert/6a')).toBe('https://www.gigseekr.com/uk/en/brighton/the-prince-albert/venue/6a');
+      expect(GettixScraper.buildUrl('dust')).toBe('https://gettix.online/api/events?venue=dust');
+    });
+  });
+
+  describe('WeGotTicketsScraper', () => {
+    it('should follow next links and resolve relative event URLs', async () => {
+      const baseUrl = WeGotTicketsScraper.buildUrl('20025');
+      const scraper = new WeGotTicketsScraper('Pipeline', baseUrl);
+      const requested = stubHtml(scraper, {
+        [baseUrl]: jsonLd({ name: 'First', url: '/event/1' }) + '<a class="pagination_link_text nextlink" href="/location/20025/2">Next</a>',
+        'https://wegottickets.com/location/20025/2': jsonLd({ name: 'Second', url: 'https://wegottickets.com/event/2' })
+      });
+
+      const events = await scraper.scrape();
+      expect(requested).toHaveLength(2);
+      expect(events.map(e => e.link)).toEqual(['https://wegottickets.com/event/1', 'https://wegottickets.com/event/2']);
+    });
+  });
+
+  describe('GigseekrScraper', () => {
+    it('should assemble split dates and absolute links', async () => {
+      const baseUrl = GigseekrScraper.buildUrl('the-prince-albert/6a');
+      const scraper = new GigseekrScraper('Prince Albert', baseUrl);
+      stubHtml(scraper, {
+        [baseUrl]: `
+          <div class="event-container"><div class="basic-event">
+            <div class="date-container"><span class="day">04</span><span class="month">SEP</span><span class="year">2025</span></div>
+            <div class="details"><h3><a href="/uk/en/event/gig-123">Pub Gig</a></h3></div>
+          </div></div>`
+      });
+
+      const [event] = await scraper.scrape();
+      expect(event.date).toBe('04 SEP 2025');
+      expect(event.link).toBe('https://www.gigseekr.com/uk/en/event/gig-123');
+    });
+  });
+
+  describe('GettixScraper', () => {
+    it('should page through the API and resolve links against the venue site', async () => {
+      const baseUrl = GettixScraper.buildUrl('dust');
+      const scraper = new GettixScraper('Dust', baseUrl, { linkBase: 'https://dustvenue.com' });
+      const requested = [];
+      scraper.fetchJSON = async (url) => {
+        requested.push(url);
+        return url === baseUrl
+          ? { data: [{ name: 'Night One', date: '2025-11-27', link: '/events/night-one' }], links: { next: `${baseUrl}&page=2` } }
+          : { data: [{ name: 'Night Two', date: '2025-11-28', ticket_link: 'https://tickets.example.com/2' }], links: { next: null } };
+      };
+
+      const events = await scraper.scrape();
+      expect(requested).toEqual([baseUrl, `${baseUrl}&page=2`]);
+      expect(events.map(e => e.link)).toEqual(['https://dustvenue.com/events/night-one', 'https://tickets.example.com/2']);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import BaseScraper from '../src/scrapers/BaseScraper.js';
+import { RateLimiter, globalRateLimiter } from '../src/utils/rate-limiter.js';
+import { RobotsCache, buildUserAgent, parseRobotsTxt, selectRules, isAllowed } from '../src/utils/robots.js';
+
+const ROBOTS_TXT = `
+# Everyone
+User-agent: *
+Disallow: /admin/
+Disallow: /*.pdf$
+Allow: /admin/public/
+Crawl-delay: 2
+
+User-agent: Brighton-Gigs-Scraper
+User-agent: OtherBot
+Disallow: /tickets/checkout
+Crawl-delay: 5
+`;
+
+const stubRobots = (body, status = 200) => {
+  const fetch = vi.fn(async () => ({ status, data: body }));
+  return { robots: new RobotsCache({ fetch }), fetch };
+};
+
+describe('robots.txt', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should group consecutive user-agent lines and read crawl-delay', () => {
+    const groups = parseRobotsTxt(ROBOTS_TXT);
+
+    expect(groups).toHaveLength(2);
+    expect(groups[1].agents).toEqual(['brighton-gigs-scraper', 'otherbot']);
+    expect(groups[1].crawlDelay).toBe(5);
+  });
+
+  it('should prefer the group naming our bot over the wildcard group', () => {
+    const ours = selectRules(parseRobotsTxt(ROBOTS_TXT));
+    expect(ours.crawlDelay).toBe(5);
+    expect(isAllowed(ours, '/admin/')).toBe(true);
+    expect(isAllowed(ours, '/tickets/checkout?id=1')).toBe(false);
+
+    const others = selectRules(parseRobotsTxt(ROBOTS_TXT), 'SomeCrawler');
+    expect(others.crawlDelay).toBe(2);
+    expect(isAllowed(others, '/admin/settings')).toBe(false);
+  });
+
+  it('should apply the longest match, allow on ties, wildcards and end anchors', () => {
+    const rules = selectRules(parseRobotsTxt(ROBOTS_TXT), 'SomeCrawler');
+
+    expect(isAllowed(rules, '/admin/public/events')).toBe(true);
+    expect(isAllowed(rules, '/flyers/gig.pdf')).toBe(false);
+    expect(isAllowed(rules, '/flyers/gig.pdf?download=1')).toBe(true);
+    expect(isAllowed({ rules: [{ allow: false, path: '/a' }, { allow: true, path: '/a' }] }, '/a')).toBe(true);
+    expect(isAllowed(selectRules(parseRobotsTxt('User-agent: *\nDisallow:')), '/anything')).toBe(true);
+  });
+
+  it('should fetch each origin once and allow everything when robots.txt is missing', async () => {
+    const { robots, fetch } = stubRobots('Not found', 404);
+
+    const [first, second] = await Promise.all([
+      robots.check('https://venue.example/events'),
+      robots.check('https://venue.example/events/2')
+    ]);
+
+    expect(first).toEqual({ allowed: true, crawlDelay: null });
+    expect(second.allowed).toBe(true);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledWith('https://venue.example/robots.txt');
+  });
+
+  it('should allow everything when robots.txt cannot be fetched', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const robots = new RobotsCache({ fetch: async () => { throw new Error('ECONNRESET'); } });
+
+    expect((await robots.check('https://venue.example/events')).allowed).toBe(true);
+  });
+
+  it('should put a contact URL in the User-Agent', () => {
+    expect(buildUserAgent('https://example.org/about')).toBe('Mozilla/5.0 (compatible; Brighton-Gigs-Scraper/1.0; +https://example.org/about)');
+  });
+
+  describe('BaseScraper', () => {
+    it('should fail disallowed pages with a blocked_by_robots error and no request', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const { robots } = stubRobots('User-agent: *\nDisallow: /whats-on');
+      const scraper = new BaseScraper('Test Venue', 'https://blocked.example/whats-on', { robots, retryAttempts: 1 });
+      scraper.scrape = () => scraper.fetchAndParseHTML(scraper.baseUrl);
+      const request = vi.spyOn(scraper, 'request');
+
+      const result = await scraper.execute();
+
+      expect(result.success).toBe(false);
+      expect(result.context.error.errorType).toBe('blocked_by_robots');
+      expect(request).not.toHaveBeenCalled();
+    });
+
+    it('should pass the crawl-delay on to the rate limiter', async () => {
+      const setDomainDelay = vi.spyOn(globalRateLimiter, 'setDomainDelay').mockImplementation(() => {});
+      const { robots } = stubRobots('User-agent: *\nCrawl-delay: 3');
+      const scraper = new BaseScraper('Test Venue', 'https://www.slow.example/', { robots });
+
+      await scraper.checkRobots('https://www.slow.example/events');
+
+      expect(setDomainDelay).toHaveBeenCalledWith('slow.example', 3000);
+    });
+  });
+
+  describe('RateLimiter crawl-delay', () => {
+    it('should space request starts to a domain by its crawl-delay', () => {
+      vi.spyOn(Date, 'now').mockReturnValue(10000);
+      const limiter = new RateLimiter();
+
+      expect(limiter.reserveDomainSlot('fast.example')).toBe(0);
+
+      limiter.setDomainDelay('slow.example', 2000);
+      expect(limiter.reserveDomainSlot('slow.example')).toBe(2000);
+      expect(limiter.reserveDomainSlot('slow.example')).toBe(4000);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import SquarespaceScraper from '../src/scrapers/SquarespaceScraper.js';
+
+const BASE_URL = 'https://www.theoldmarket.com/shows?category=Music&format=json';
+const DAY = 24 * 60 * 60 * 1000;
+
+// Serve canned collection pages instead of hitting the venue
+const stubFetch = (scraper, pages, requested = []) => {
+  scraper.fetchJSON = async (url) => {
+    requested.push(url);
+    return pages[url] || {};
+  };
+  return requested;
+};
+
+describe('SquarespaceScraper', () => {
+  it('should follow pagination.nextPageUrl across every page of upcoming events', async () => {
+    const scraper = new SquarespaceScraper('The Old Market', BASE_URL);
+    const soon = Date.now() + 7 * DAY;
+    const nextUrl = 'https://www.theoldmarket.com/shows?offset=1700000000000&category=Music&format=json';
+
+    const requested = stubFetch(scraper, {
+      [BASE_URL]: {
+        upcoming: [{ title: 'Band <em>One</em> &amp; Friends', startDate: soon, endDate: soon + 3 * 3600000, fullUrl: '/shows/band-one' }],
+        past: [{ title: 'Old Show', startDate: Date.now() - 30 * DAY, fullUrl: '/shows/old' }],
+        pagination: { nextPage: true, nextPageUrl: '/shows?offset=1700000000000' }
+      },
+      [nextUrl]: {
+        upcoming: [{ title: 'Band Two', startDate: soon + DAY, fullUrl: '/shows/band-two' }],
+        pagination: { nextPage: false }
+      }
+    });
+
+    const events = await scraper.scrape();
+    expect(requested).toEqual([BASE_URL, nextUrl]);
+    expect(events.map(e => e.title)).toEqual(['Band One & Friends', 'Band Two']);
+    expect(events[0].link).toBe('https://www.theoldmarket.com/shows/band-one');
+    expect(events[0].dateUnix).toBe(soon);
+    expect(events[0].endDate).toBe(new Date(soon + 3 * 3600000).toISOString());
+  });
+
+  it('should stop at the first page of an item collection that is entirely past', async () => {
+    const scraper = new SquarespaceScraper('Fortune of War', 'https://www.fortuneofwar.pub/events-2');
+    const pageOne = 'https://www.fortuneofwar.pub/events-2?format=json';
+
+    const requested = stubFetch(scraper, {
+      [pageOne]: {
+        items: [{ title: 'Last Year', startDate: Date.now() - 400 * DAY, fullUrl: '/events-2/last-year' }],
+        pagination: { nextPage: true, nextPageUrl: '/events-2?offset=1' }
+      }
+    });
+
+    expect(await scraper.scrape()).toEqual([]);
+    expect(requested).toEqual([pageOne]);
+  });
+
+  it('should span multi-day events and judge past events against the reference date', async () => {
+    const scraper = new SquarespaceScraper('The Old Market', BASE_URL, { referenceDate: Date.UTC(2026, 4, 2, 12) });
+    stubFetch(scraper, {
+      [BASE_URL]: {
+        upcoming: [
+          { title: 'Last Week', startDate: Date.UTC(2026, 3, 25, 19), fullUrl: '/shows/last-week' },
+          { title: 'Festival', startDate: Date.UTC(2026, 4, 1, 11), endDate: Date.UTC(2026, 4, 3, 21), fullUrl: '/shows/festival' },
+          { title: 'Gig', startDate: Date.UTC(2026, 4, 8, 19), endDate: Date.UTC(2026, 4, 8, 22), fullUrl: '/shows/gig' }
+        ]
+      }
+    });
+
+    const events = await scraper.scrape();
+    expect(events.map(e => e.title)).toEqual(['Festival', 'Gig']);
+    // Start of 3 May in Brighton (BST)
+    expect(events[0].endDateUnix).toBe(Date.UTC(2026, 4, 2, 23));
+    expect(events[1].endDateUnix).toBeUndefined();
+  });
+
+  it('should let venues override extractItem for titles that carry the date', async () => {
+    class PrefixedScraper extends SquarespaceScraper {
+      extractItem(item) {
+        const match = SquarespaceScraper.stripHtml(item.title).match(/^(\d{1,2} [A-Z]{3} \d{4}): (.+)$/);
+        return match ? { title: match[2], date: match[1] } : null;
+      }
+    }
+
+    const scraper = new PrefixedScraper('Prefixed', 'https://example.com/listings');
+    stubFetch(scraper, {
+      'https://example.com/listings?format=json': {
+        items: [
+          { title: '10 APR 2099: Spring Gig', fullUrl: '/listings/spring-gig' },
+          { title: 'Newsletter sign-up', fullUrl: '/listings/newsletter' }
+        ]
+      }
+    });
+
+    const events = await scraper.scrape();
+    expect(events).toHaveLength(1);
+    expect(events[0].title).toBe('Spring Gig');
+    expect(events[0].dateUnix).toBe(new Date(2099, 3, 10).getTime());
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { computeRunMetrics, assessVenueHealth, updateVenueHistory, summariseHealth } from '../src/utils/venue-health.js';
+
+const event = (overrides = {}) => ({ title: 'Gig', dateUnix: 1764271800000, link: 'https://example.com/gig', ...overrides });
+
+const historyOf = (counts, selectors = { '.event-card': 10 }) => ({
+  runs: counts.map(events => ({ at: '2025-11-01T03:00:00.000Z', events, nullDateShare: 0, missingLinkShare: 0 })),
+  selectors
+});
+
+describe('Venue health', () => {
+  it('should summarise counts and missing-field shares', () => {
+    const metrics = computeRunMetrics([event(), event({ dateUnix: null }), event({ link: null }), event({ link: null })]);
+    expect(metrics).toMatchObject({ events: 4, nullDateShare: 0.25, missingLinkShare: 0.5 });
+  });
+
+  it('should not judge venues without enough history', () => {
+    expect(assessVenueHealth(historyOf([10]), computeRunMetrics([])).status).toBe('ok');
+  });
+
+  it('should flag zero events and dead selectors as broken', () => {
+    const health = assessVenueHealth(historyOf([10, 12, 11]), computeRunMetrics([], { '.event-card': 0 }));
+    expect(health.status).toBe('broken');
+    expect(health.selectors).toEqual(['.event-card']);
+    expect(health.reasons[0]).toBe('No events (usually 11)');
+  });
+
+  it('should flag big drops and fields that stopped parsing as degraded', () => {
+    const events = [event({ dateUnix: null }), event({ dateUnix: null }), event(), event()];
+    const health = assessVenueHealth(historyOf([10, 12, 11]), computeRunMetrics(events, { '.event-card': 4 }));
+    expect(health.status).toBe('degraded');
+    expect(health.fields).toEqual(['date']);
+    expect(health.reasons).toContain('4 events (usually 11)');
+  });
+
+  it('should pass runs within the usual range', () => {
+    const events = Array.from({ length: 9 }, () => event());
+    expect(assessVenueHealth(historyOf([10, 12, 11]), computeRunMetrics(events, { '.event-card': 9 })).status).toBe('ok');
+  });
+
+  it('should keep broken runs out of the rolling history', () => {
+    const history = historyOf([10, 12, 11]);
+    const broken = updateVenueHistory(history, computeRunMetrics([]), { status: 'broken' });
+    expect(broken.runs).toHaveLength(3);
+
+    const healthy = updateVenueHistory(history, computeRunMetrics([event()], { '.event-card': 1, '.gone': 0 }), { status: 'ok' });
+    expect(healthy.runs).toHaveLength(4);
+    expect(healthy.selectors).toEqual({ '.event-card': 1 });
+  });
+
+  it('should group flagged venues by status', () => {
+    expect(summariseHealth({
+      A: { health: { status: 'broken' } },
+      B: { health: { status: 'ok' } },
+      C: { status: 'no_events' },
+      D: { health: { status: 'degraded' } }
+    })).toEqual({ degraded: ['D'], broken: ['A'] });
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import {
+  parseSource,
+  validateVenueEntry,
+  validateRegistry,
+  loadVenueRegistry,
+  getEnabledVenues,
+  createScrapers
+} from '../src/utils/venue-registry.js';
+import BaseScraper from '../src/scrapers/BaseScraper.js';
+
+describe('Venue Registry', () => {
+  const validEntry = {
+    id: 'test-venue',
+    name: 'Test Venue',
+    slug: 'test-venue',
+    scraper: 'TestScraper',
+    urls: ['https://www.example.com/events'],
+    enabled: true
+  };
+
+  describe('validateVenueEntry', () => {
+    it('should accept a complete entry', () => {
+      expect(validateVenueEntry(validEntry)).toHaveLength(0);
+    });
+
+    it('should report missing required fields', () => {
+      const entry = { ...validEntry };
+      delete entry.scraper;
+      expect(validateVenueEntry(entry)).toContain('Venue "test-venue" is missing required field "scraper"');
+    });
+
+    it('should accept a platform source in place of scraper and urls', () => {
+      expect(validateVenueEntry({ id: 'pipeline', name: 'Pipeline', slug: 'pipeline', source: 'wegottickets:20025' })).toHaveLength(0);
+      expect(validateVenueEntry({ ...validEntry, source: 'wegottickets' })).toHaveLength(1);
+    });
+
+    it('should reject empty url lists and bad slugs', () => {
+      const problems = validateVenueEntry({ ...validEntry, urls: [], slug: 'Test Venue' });
+      expect(problems).toHaveLength(2);
+    });
+  });
+
+  describe('validateRegistry', () => {
+    it('should flag duplicate ids and slugs', () => {
+      const problems = validateRegistry([validEntry, { ...validEntry }]);
+      expect(problems).toContain('Duplicate venue id "test-venue"');
+      expect(problems).toContain('Duplicate venue slug "test-venue"');
+    });
+  });
+
+  describe('parseSource', () => {
+    it('should split platform and id', () => {
+      expect(parseSource('gigseekr:the-prince-albert/6a')).toEqual({ platform: 'gigseekr', platformId: 'the-prince-albert/6a' });
+      expect(parseSource('no-id')).toBeNull();
+    });
+  });
+
+  describe('getEnabledVenues', () => {
+    it('should drop disabled venues and keep entries without a flag', () => {
+      const unflagged = { ...validEntry };
+      delete unflagged.enabled;
+      const venues = [
+        { ...validEntry, id: 'a' },
+        { ...validEntry, id: 'b', enabled: false },
+        { ...unflagged, id: 'c' }
+      ];
+      expect(getEnabledVenues(venues).map(v => v.id)).toEqual(['a', 'c']);
+    });
+  });
+
+  describe('createScrapers', () => {
+    class TestScraper extends BaseScraper {}
+
+    it('should pass registry fields through to the scraper', () => {
+      const [scraper] = createScrapers([validEntry], { TestScraper });
+      expect(scraper).toBeInstanceOf(TestScraper);
+      expect(scraper.venueName).toBe('Test Venue');
+      expect(scraper.baseUrl).toBe('https://www.example.com/events');
+      expect(scraper.slug).toBe('test-venue');
+      expect(scraper.domain).toBe('example.com');
+    });
+
+    it('should give every scraper the shared options, such as the progress log', () => {
+      const log = () => {};
+      const [scraper] = createScrapers([validEntry], { TestScraper }, { log });
+      expect(scraper.log).toBe(log);
+      expect(createScrapers([validEntry], { TestScraper })[0].log).toBe(console.log);
+    });
+
+    it('should throw for unknown scraper classes', () => {
+      expect(() => createScrapers([validEntry], {})).toThrow('Unknown scraper "TestScraper"');
+    });
+
+    it('should resolve platform sources to the platform scraper and URL', () => {
+      class PlatformScraper extends BaseScraper {
+        static platform = 'tickets';
+        static buildUrl(id) {
+          return `https://tickets.example.com/venue/${id}`;
+        }
+      }
+
+      const entry = { id: 'pub', name: 'The Pub', slug: 'pub', source: 'tickets:42' };
+      const [scraper] = createScrapers([entry], { PlatformScraper });
+      expect(scraper).toBeInstanceOf(PlatformScraper);
+      expect(scraper.baseUrl).toBe('https://tickets.example.com/venue/42');
+      expect(scraper.domain).toBe('tickets.example.com');
+      expect(() => createScrapers([{ ...entry, source: 'nope:1' }], { PlatformScraper })).toThrow('Unknown platform "nope"');
+    });
+  });
+
+  describe('data/venues.json', () => {
+    it('should be a valid registry with a page for every enabled venue', async () => {
+      const venues = await loadVenueRegistry();
+      getEnabledVenues(venues).forEach(venue => {
+        expect(fs.existsSync(`venues/${venue.slug}.html`)).toBe(true);
+      });
+    });
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { HttpFixtureStore } from '../src/utils/http-fixtures.js';
+import { ChalkScraper, BrightonCentreScraper } from '../src/scraper.js';
+
+// Venue scrapers run against HTTP exchanges recorded with SCRAPER_HTTP_MODE=record
+const fixtures = new HttpFixtureStore({ mode: 'replay' });
+
+const replayScraper = (ScraperClass, name, url, id) => new ScraperClass(name, url, { id, fixtures });
+
+describe('Venue scrapers (replayed fixtures)', () => {
+  it('ChalkScraper should read live events from the Inertia page data', async () => {
+    const scraper = replayScraper(ChalkScraper, 'Chalk', 'https://chalkvenue.com/live', 'chalk');
+    const events = await scraper.scrape();
+
+    expect(events.map(e => e.title)).toEqual(['The Lathums', 'Lambrini Girls']);
+    expect(events[0].link).toBe('https://chalkvenue.com/live/the-lathums');
+    expect(events.every(e => e.dateUnix)).toBe(true);
+  });
+
+  it('BrightonCentreScraper should read events from the POSTed search API', async () => {
+    const scraper = replayScraper(
+      BrightonCentreScraper,
+      'Brighton Centre',
+      'https://brightoncentre.co.uk/Umbraco/Api/Events/Find',
+      'brighton-centre'
+    );
+    const events = await scraper.scrape();
+
+    expect(events.map(e => e.title)).toEqual(['Madness', 'Elbow - Live']);
+    expect(events[1].link).toBe('https://brightoncentre.co.uk/whats-on/elbow');
+  });
+});
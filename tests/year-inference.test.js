@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import * as cheerio from 'cheerio';
+import BaseScraper from '../src/scrapers/BaseScraper.js';
+import { assignYears } from '../src/utils/year-inference.js';
+import { CarolineOfBrunswickScraper } from '../src/scraper.js';
+
+// Mid-October 2026 in Brighton
+const REFERENCE = Date.UTC(2026, 9, 19, 12);
+
+describe('Year inference', () => {
+  describe('assignYears', () => {
+    it('should move on a year where a listing crosses from December into January', () => {
+      const dates = [{ month: 11, day: 28 }, { month: 11, day: 30 }, { month: 0, day: 2 }, { month: 1, day: 14 }];
+
+      expect(assignYears(dates, { referenceDate: REFERENCE })).toEqual([2026, 2026, 2027, 2027]);
+    });
+
+    it('should count on from explicit years and work back from the first one', () => {
+      const dates = [{ month: 11, day: 30 }, null, { year: 2027, month: 0 }, { month: 0, day: 2 }, { month: 11, day: 5 }];
+
+      // The header anchors dates either side of it, whatever the reference date says
+      expect(assignYears(dates, { referenceDate: Date.UTC(2030, 5, 1) })).toEqual([2026, null, 2027, 2027, 2027]);
+    });
+
+    it('should keep the year for dates a little out of order', () => {
+      const dates = [{ month: 9, day: 20 }, { month: 9, day: 18 }, { month: 10, day: 1 }];
+
+      expect(assignYears(dates, { referenceDate: REFERENCE })).toEqual([2026, 2026, 2026]);
+    });
+
+    it('should start a listing without anchors at its next occurrence, or a few weeks back', () => {
+      // The first gig was yesterday; the listing hasn't caught up yet
+      const dates = [{ month: 9, day: 18 }, { month: 9, day: 20 }, { month: 10, day: 1 }];
+
+      expect(assignYears(dates, { referenceDate: REFERENCE })).toEqual([2026, 2026, 2026]);
+      expect(assignYears([{ month: 0, day: 9 }, { month: 1, day: 2 }], { referenceDate: REFERENCE })).toEqual([2027, 2027]);
+      expect(assignYears([{ month: 11, day: 30 }, { month: 0, day: 4 }], { referenceDate: Date.UTC(2027, 0, 2) })).toEqual([2026, 2027]);
+      expect(assignYears([], { referenceDate: REFERENCE })).toEqual([]);
+    });
+
+    it('should keep a listing announced about seven months ahead in the future', () => {
+      const dates = [{ month: 4, day: 20 }, { month: 5, day: 6 }];
+
+      expect(assignYears(dates, { referenceDate: REFERENCE })).toEqual([2027, 2027]);
+      // Six weeks back is too long ago to be a listing that hasn't caught up
+      expect(assignYears([{ month: 8, day: 3 }], { referenceDate: REFERENCE })).toEqual([2027]);
+    });
+  });
+
+  describe('BaseScraper.assignListingYears', () => {
+    const scraper = new BaseScraper('Test Venue', 'https://venue.example/', { referenceDate: Date.UTC(2026, 11, 1) });
+    const create = (title, date) => scraper.createEvent({ title, date, parsedDate: scraper.parseEventDate(date, title) });
+
+    it('should re-date guessed years from the listing order, keeping the time', () => {
+      const events = scraper.assignListingYears([
+        create('Panto', 'Sat 19 Dec - 7:30pm'),
+        create('Hogmanay', '31 Dec 2026'),
+        create('Hangover Gig', 'Fri 2nd Jan'),
+        create('Burns Night', 'Mon 25 Jan')
+      ]);
+
+      expect(events.map(event => new Date(event.dateUnix).toISOString())).toEqual([
+        '2026-12-19T19:30:00.000Z',
+        '2026-12-31T00:00:00.000Z',
+        '2027-01-02T00:00:00.000Z',
+        '2027-01-25T00:00:00.000Z'
+      ]);
+      expect(events[3].yearInferred).toBe(true);
+    });
+
+    it('should take month headers as anchors', () => {
+      const events = scraper.assignListingYears([create('Spring Fling', '06 Apr')], [{ index: 0, year: 2028, month: 2 }]);
+
+      expect(events[0].dateUnix).toBe(Date.UTC(2028, 3, 5, 23));
+    });
+  });
+
+  it('should carry Caroline of Brunswick dates past the end of their month page', async () => {
+    const scraper = new CarolineOfBrunswickScraper('Caroline of Brunswick', 'https://venue.example/whats-on', {
+      pagination: { from: '2026-12-01', maxPages: 1 }
+    });
+    const article = (title, date) => `<article class="mec-event-article"><h3 class="mec-event-title">${title}</h3><a href="/event/${title}">More</a><div class="mec-event-meta-wrap">${date}</div></article>`;
+    scraper.fetchAndParseHTML = async () => cheerio.load(
+      `<div class="mec-event-list-standard">December 2026</div>${article('Yule', '20 Dec')}${article('New Year Social', '03 Jan')}`
+    );
+
+    const events = await scraper.scrape();
+
+    expect(events.map(event => event.date)).toEqual(['20 Dec 2026', '03 Jan 2027']);
+  });
+});
@@ -4,6 +4,12 @@ export default defineConfig({
   test: {
     environment: 'node',
     globals: true,
+    // Keep scraper tests off the network; tests/robots.test.js uses its own RobotsCache.
+    // Pin the zone so tests that build dates with new Date(y, m, d) mean Brighton time
+    env: {
+      SCRAPER_ROBOTS: 'off',
+      TZ: 'Europe/London'
+    },
     coverage: {
       reporter: ['text', 'json', 'html']
     }